@@ -1,109 +1,288 @@
 import dotenv from 'dotenv';
+import { EventEmitter } from 'events';
+import { readFileSync, watchFile } from 'fs';
+import { extname } from 'path';
+import { parse as parseYaml } from 'yaml';
+// Only used after construction: the logger itself reads this config
+import { logger } from '../services/logger.js';
+import { configSchema, isLeaf, schemaLeaves } from './schema.js';
+
+const REDACTED = '****';
+
+const BOOLEAN_STRINGS = new Map([['true', true], ['1', true], ['false', false], ['0', false]]);
+
+// How often a config file is checked for changes
+const FILE_WATCH_INTERVAL_MS = 2000;
+
+/**
+ * @private
+ */
+const getPath = (object, path) => path.split('.').reduce(
+  (node, key) => (node !== null && typeof node === 'object' && Object.hasOwn(node, key) ? node[key] : undefined),
+  object,
+);
+
+/**
+ * @private
+ */
+const setPath = (object, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => (node[key] ??= {}), object);
+  parent[last] = value;
+};
 
 /**
  * Centralized Configuration Service
- * Loads configuration from environment variables with fallback to defaults
+ *
+ * Loads the configuration described by config/schema.js from layers, each
+ * overriding the previous one:
+ * 1. Schema defaults
+ * 2. A YAML or JSON file given by `--config <path>` or `CONFIG_FILE`
+ * 3. Environment variables (including `.env`)
+ * 4. Command-line arguments: `--<key>=<value>` with a dotted key, e.g. `--logging.level=debug`
+ *
+ * Values are type-checked and range-checked, and unknown keys in the file or
+ * the arguments are reported. All problems are collected into one error.
+ *
+ * Keys marked `reloadable` are re-read from the file on `SIGHUP` or when the
+ * file changes (see `watch`); `change` is emitted with the changed keys.
  */
-class ConfigService {
+class ConfigService extends EventEmitter {
   constructor() {
+    super();
+    
     // Load environment variables from .env file
     dotenv.config();
     
-    this.config = {
-      // Server Configuration
-      port: this._getNumber('PORT', 3001),
-      nodeEnv: this._getString('NODE_ENV', 'development'),
-      
-      // MongoDB Configuration
-      mongodb: {
-        uri: this._getString('MONGODB_URI', 'mongodb://localhost:27017/todos'),
-        dbName: this._getString('MONGODB_DB_NAME', 'todos'),
-      },
-      
-      // Elasticsearch Configuration
-      elasticsearch: {
-        node: this._getString('ELASTICSEARCH_NODE', 'http://localhost:9200'),
-        indexName: this._getString('ELASTICSEARCH_INDEX', 'todos'),
-        maxRetries: this._getNumber('ELASTICSEARCH_MAX_RETRIES', 3),
-        requestTimeout: this._getNumber('ELASTICSEARCH_REQUEST_TIMEOUT', 30000),
-      },
-      
-      // CORS Configuration
-      cors: {
-        origin: this._getString('CORS_ORIGIN', '*'),
-        credentials: this._getBoolean('CORS_CREDENTIALS', false),
-      },
-      
-      // Logging Configuration
-      logging: {
-        level: this._getString('LOG_LEVEL', 'info'),
-      },
-    };
+    const { configFile, values, errors } = this._parseArgs(process.argv.slice(2));
+    this.args = values;
+    this.filePath = configFile ?? (process.env.CONFIG_FILE || null);
+    
+    const loaded = this._load();
+    this.config = loaded.config;
+    this.sources = loaded.sources;
     
     // Validate configuration on initialization
-    this._validate();
+    this._validate([...errors, ...loaded.errors]);
   }
   
   /**
-   * Get string value from environment with fallback
+   * Split command-line arguments into the config file path and key overrides
    * @private
    */
-  _getString(key, defaultValue) {
-    return process.env[key] || defaultValue;
-  }
-  
-  /**
-   * Get number value from environment with fallback
-   * @private
-   */
-  _getNumber(key, defaultValue) {
-    const value = process.env[key];
-    if (value === undefined || value === '') {
-      return defaultValue;
+  _parseArgs(args) {
+    const values = {};
+    const errors = [];
+    let configFile;
+    
+    for (let i = 0; i < args.length; i++) {
+      const match = /^--([^=]+)(?:=(.*))?$/s.exec(args[i]);
+      if (!match) {
+        errors.push(`Unexpected argument: ${args[i]}. Expected --<key>=<value>.`);
+        continue;
+      }
+      const [, key, inlineValue] = match;
+      const value = inlineValue ?? args[++i];
+      if (value === undefined) {
+        errors.push(`Missing value for argument --${key}.`);
+      } else if (key === 'config') {
+        configFile = value;
+      } else if (!isLeaf(getPath(configSchema, key) ?? {})) {
+        errors.push(`Unknown argument: --${key}.`);
+      } else {
+        values[key] = value;
+      }
     }
-    const parsed = parseInt(value, 10);
-    return isNaN(parsed) ? defaultValue : parsed;
+    
+    return { configFile, values, errors };
   }
   
   /**
-   * Get boolean value from environment with fallback
+   * Read the config file into `{ dotted.key: value }`, reporting unknown keys
    * @private
    */
-  _getBoolean(key, defaultValue) {
-    const value = process.env[key];
-    if (value === undefined || value === '') {
-      return defaultValue;
+  _readFile(filePath, errors) {
+    let content;
+    try {
+      const text = readFileSync(filePath, 'utf8');
+      content = extname(filePath) === '.json' ? JSON.parse(text) : parseYaml(text);
+    } catch (error) {
+      errors.push(`Cannot read config file ${filePath}: ${error.message}`);
+      return {};
+    }
+    
+    const values = {};
+    const collect = (node, schemaNode, prefix) => {
+      for (const [key, value] of Object.entries(node ?? {})) {
+        const path = prefix ? `${prefix}.${key}` : key;
+        const child = Object.hasOwn(schemaNode, key) ? schemaNode[key] : undefined;
+        if (!child) {
+          errors.push(`Unknown key in ${filePath}: ${path}.`);
+        } else if (isLeaf(child)) {
+          values[path] = value;
+        } else if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+          collect(value, child, path);
+        } else {
+          errors.push(`Invalid ${path} (${filePath}): must be a section with keys ${Object.keys(child).join(', ')}.`);
+        }
+      }
+    };
+    if (content !== null && (typeof content !== 'object' || Array.isArray(content))) {
+      errors.push(`Invalid config file ${filePath}: must contain an object.`);
+    } else {
+      collect(content, configSchema, '');
     }
-    return value === 'true' || value === '1';
+    return values;
   }
   
   /**
-   * Validate configuration values
+   * Resolve every schema key from the layers
    * @private
+   * @returns {{ config: Object, sources: Object<string, string>, errors: string[] }}
    */
-  _validate() {
+  _load() {
     const errors = [];
+    const fileValues = this.filePath ? this._readFile(this.filePath, errors) : {};
+    const config = {};
+    const sources = {};
+    const computedDefaults = [];
     
-    // Validate port
-    if (this.config.port < 1 || this.config.port > 65535) {
-      errors.push(`Invalid port: ${this.config.port}. Must be between 1 and 65535.`);
+    for (const [path, leaf] of schemaLeaves()) {
+      // Highest layer first
+      const layers = [
+        [`--${path}`, this.args[path]],
+        [leaf.env, process.env[leaf.env]],
+        [this.filePath, fileValues[path]],
+      ];
+      const [source, raw] = layers.find(([, value]) => value !== undefined) ?? ['default'];
+      
+      if (source !== 'default') {
+        const value = this._coerce(raw, leaf);
+        if (value === undefined) {
+          errors.push(`Invalid ${path} (${source}): ${this._display(raw, leaf)}. Must be ${this._describeType(leaf)}.`);
+          continue;
+        }
+        setPath(config, path, value);
+      } else if (typeof leaf.default === 'function') {
+        computedDefaults.push([path, leaf]);
+      } else {
+        setPath(config, path, leaf.default);
+      }
+      sources[path] = source;
     }
     
-    // Validate MongoDB URI format
-    if (!this.config.mongodb.uri.startsWith('mongodb://') && 
-        !this.config.mongodb.uri.startsWith('mongodb+srv://')) {
-      errors.push(`Invalid MongoDB URI format: ${this.config.mongodb.uri}`);
+    for (const [path, leaf] of computedDefaults) {
+      setPath(config, path, leaf.default(config));
     }
     
-    // Validate Elasticsearch node format
-    if (!this.config.elasticsearch.node.startsWith('http://') && 
-        !this.config.elasticsearch.node.startsWith('https://')) {
-      errors.push(`Invalid Elasticsearch node format: ${this.config.elasticsearch.node}`);
+    for (const [path, leaf] of schemaLeaves()) {
+      const value = getPath(config, path);
+      const problem = value === undefined ? null : this._check(value, leaf);
+      if (problem) {
+        errors.push(`Invalid ${path} (${sources[path]}): ${this._display(value, leaf)}. ${problem}`);
+      }
     }
     
+    return { config, sources, errors };
+  }
+  
+  /**
+   * Convert a raw layer value to the leaf's type; strings (env, arguments)
+   * are parsed, file values must already have the right type
+   * @private
+   * @returns {*} The value, or undefined if it doesn't fit the type
+   */
+  _coerce(raw, leaf) {
+    const fromString = typeof raw === 'string';
+    switch (leaf.type) {
+      case 'string':
+        return fromString ? raw : undefined;
+      case 'integer': {
+        const value = fromString && /^\s*-?\d+\s*$/.test(raw) ? parseInt(raw, 10) : raw;
+        return Number.isInteger(value) ? value : undefined;
+      }
+      case 'number': {
+        const value = fromString && raw.trim() !== '' ? Number(raw) : raw;
+        return typeof value === 'number' && Number.isFinite(value) ? value : undefined;
+      }
+      case 'boolean':
+        if (fromString) {
+          return BOOLEAN_STRINGS.get(raw.trim());
+        }
+        return typeof raw === 'boolean' ? raw : undefined;
+      case 'list':
+        if (fromString) {
+          return raw.split(',').map((item) => item.trim()).filter(Boolean);
+        }
+        return Array.isArray(raw) && raw.every((item) => typeof item === 'string') ? raw : undefined;
+      default:
+        return undefined;
+    }
+  }
+  
+  /**
+   * Check a typed value against the leaf's constraints
+   * @private
+   * @returns {string|null} What is wrong, or null if valid
+   */
+  _check(value, leaf) {
+    if (leaf.required && value === '') {
+      return 'It is required.';
+    }
+    if (leaf.enum) {
+      const invalid = (leaf.type === 'list' ? value : [value]).filter((item) => !leaf.enum.includes(item));
+      if (invalid.length > 0) {
+        return `Must be ${leaf.type === 'list' ? 'a list of' : 'one of'}: ${leaf.enum.join(', ')}.`;
+      }
+    }
+    if (leaf.prefixes && !leaf.prefixes.some((prefix) => value.startsWith(prefix))) {
+      return `Must start with one of: ${leaf.prefixes.join(', ')}.`;
+    }
+    const belowMin = leaf.min !== undefined && value < leaf.min;
+    const aboveMax = leaf.max !== undefined && value > leaf.max;
+    if (belowMin || aboveMax) {
+      if (leaf.min !== undefined && leaf.max !== undefined) {
+        return `Must be between ${leaf.min} and ${leaf.max}.`;
+      }
+      return belowMin ? `Must be at least ${leaf.min}.` : `Must be at most ${leaf.max}.`;
+    }
+    return null;
+  }
+  
+  /**
+   * @private
+   */
+  _describeType(leaf) {
+    return {
+      string: 'a string',
+      integer: 'an integer',
+      number: 'a number',
+      boolean: 'true or false',
+      list: 'a list of strings',
+    }[leaf.type];
+  }
+  
+  /**
+   * A value as it may appear in logs and error messages
+   * @private
+   */
+  _display(value, leaf) {
+    if (leaf.secret) {
+      return REDACTED;
+    }
+    return JSON.stringify(leaf.uri && typeof value === 'string' ? this._maskUri(value) : value);
+  }
+  
+  /**
+   * Fail on collected errors; warn about values that are only unusual
+   * @private
+   */
+  _validate(errors) {
     // Validate node environment
     const validEnvs = ['development', 'production', 'test'];
     if (!validEnvs.includes(this.config.nodeEnv)) {
+      // The logger depends on this config, so it can't be used yet
       console.warn(`⚠️  Unknown NODE_ENV: ${this.config.nodeEnv}. Expected one of: ${validEnvs.join(', ')}`);
     }
     
@@ -112,6 +291,65 @@ class ConfigService {
     }
   }
   
+  /**
+   * Re-read the layers and apply the changed keys marked `reloadable`.
+   * Changes to other keys are logged and ignored until a restart; an
+   * invalid configuration is rejected and the current one kept.
+   * @returns {{ applied: string[], ignored: string[] }|null} Changed keys, or null if rejected
+   */
+  reload() {
+    const log = logger.child({ component: 'config' });
+    const loaded = this._load();
+    if (loaded.errors.length > 0) {
+      log.error('Configuration reload rejected; keeping the current configuration', { errors: loaded.errors });
+      return null;
+    }
+    
+    const applied = [];
+    const ignored = [];
+    for (const [path, leaf] of schemaLeaves()) {
+      const value = getPath(loaded.config, path);
+      if (JSON.stringify(value) === JSON.stringify(getPath(this.config, path))) {
+        continue;
+      }
+      if (leaf.reloadable) {
+        setPath(this.config, path, value);
+        this.sources[path] = loaded.sources[path];
+        applied.push(path);
+      } else {
+        ignored.push(path);
+      }
+    }
+    
+    if (ignored.length > 0) {
+      log.warn('Configuration changes need a restart to apply', { keys: ignored });
+    }
+    if (applied.length > 0) {
+      log.info('Configuration reloaded', {
+        changes: Object.fromEntries(applied.map((path) => [path, this._redact(path)])),
+      });
+      this.emit('change', applied);
+    }
+    return { applied, ignored };
+  }
+  
+  /**
+   * Reload on SIGHUP and, with a config file, whenever the file changes
+   */
+  watch() {
+    process.on('SIGHUP', () => {
+      logger.child({ component: 'config' }).info('SIGHUP received; reloading configuration');
+      this.reload();
+    });
+    if (this.filePath) {
+      watchFile(this.filePath, { interval: FILE_WATCH_INTERVAL_MS }, (current, previous) => {
+        if (current.mtimeMs !== previous.mtimeMs) {
+          this.reload();
+        }
+      }).unref();
+    }
+  }
+  
   /**
    * Get server port
    */
@@ -161,6 +399,34 @@ class ConfigService {
     return this.config.elasticsearch;
   }
   
+  /**
+   * Get MongoDB -> Elasticsearch sync configuration
+   */
+  getSyncConfig() {
+    return this.config.sync;
+  }
+  
+  /**
+   * Get startup retry and reconnection configuration
+   */
+  getConnectionConfig() {
+    return this.config.connection;
+  }
+  
+  /**
+   * Get health probe configuration
+   */
+  getHealthConfig() {
+    return this.config.health;
+  }
+  
+  /**
+   * Get graceful shutdown configuration
+   */
+  getShutdownConfig() {
+    return this.config.shutdown;
+  }
+  
   /**
    * Get CORS configuration
    */
@@ -168,6 +434,41 @@ class ConfigService {
     return this.config.cors;
   }
   
+  /**
+   * Get authentication configuration
+   */
+  getAuthConfig() {
+    return this.config.auth;
+  }
+  
+  /**
+   * Get admin endpoint access settings
+   */
+  getAdminConfig() {
+    return this.config.admin;
+  }
+  
+  /**
+   * Get resource hog access settings and limits
+   */
+  getHogConfig() {
+    return this.config.hog;
+  }
+  
+  /**
+   * Get the proxies trusted for the client address
+   */
+  getTrustProxy() {
+    return this.config.trustProxy;
+  }
+  
+  /**
+   * Get tracing configuration
+   */
+  getTracingConfig() {
+    return this.config.tracing;
+  }
+  
   /**
    * Get logging configuration
    */
@@ -183,20 +484,31 @@ class ConfigService {
   }
   
   /**
-   * Print configuration (hides sensitive data)
+   * Log configuration, with secrets redacted and URI credentials masked
    */
   printConfig() {
-    console.log('\n📋 Configuration:');
-    console.log('─────────────────────────────────────');
-    console.log(`Environment: ${this.config.nodeEnv}`);
-    console.log(`Port: ${this.config.port}`);
-    console.log(`MongoDB URI: ${this._maskUri(this.config.mongodb.uri)}`);
-    console.log(`MongoDB DB: ${this.config.mongodb.dbName}`);
-    console.log(`Elasticsearch Node: ${this.config.elasticsearch.node}`);
-    console.log(`Elasticsearch Index: ${this.config.elasticsearch.indexName}`);
-    console.log(`CORS Origin: ${this.config.cors.origin}`);
-    console.log(`Log Level: ${this.config.logging.level}`);
-    console.log('─────────────────────────────────────\n');
+    const config = {};
+    const overrides = {};
+    for (const [path] of schemaLeaves()) {
+      setPath(config, path, this._redact(path));
+      if (this.sources[path] !== 'default') {
+        overrides[path] = this.sources[path];
+      }
+    }
+    logger.info('Configuration loaded', { configFile: this.filePath, overrides, config });
+  }
+  
+  /**
+   * Current value of a key, safe to log
+   * @private
+   */
+  _redact(path) {
+    const leaf = getPath(configSchema, path);
+    const value = getPath(this.config, path);
+    if (leaf.secret) {
+      return REDACTED;
+    }
+    return leaf.uri ? this._maskUri(value) : value;
   }
   
   /**
@@ -206,11 +518,15 @@ class ConfigService {
   _maskUri(uri) {
     try {
       const url = new URL(uri);
+      if (!url.username && !url.password) {
+        // Returned as-is; toString() would normalize it
+        return uri;
+      }
       if (url.password) {
-        url.password = '****';
+        url.password = REDACTED;
       }
       if (url.username) {
-        url.username = '****';
+        url.username = REDACTED;
       }
       return url.toString();
     } catch {
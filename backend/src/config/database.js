@@ -1,67 +1,229 @@
 import mongoose from 'mongoose';
-import { Client } from '@elastic/elasticsearch';
+import { Client, errors as esErrors } from '@elastic/elasticsearch';
 import config from './ConfigService.js';
+import { instrumentMongoClient, instrumentElasticsearchClient, getEsOperation } from '../services/metrics.js';
+import { logger, getRequestContext } from '../services/logger.js';
+
+const log = logger.child({ component: 'database' });
 
 let mongoConnection = null;
+let mongoClosing = false;
 let esClient = null;
+let esAvailable = false;
+let esRecovery = null;
+
+// Errors meaning Elasticsearch could not be reached at all, as opposed to
+// a request it answered with an error status
+const UNREACHABLE_ERRORS = [esErrors.ConnectionError, esErrors.NoLivingConnectionsError, esErrors.TimeoutError];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Call `attempt` until it resolves, backing off exponentially between failures
+ * (`connection.retryBaseMs` doubling up to `connection.retryMaxMs`)
+ * @private
+ * @param {string} name - Dependency name for the logs
+ * @param {Function} attempt
+ * @param {object} [options]
+ * @param {number} [options.maxAttempts=0] - Give up after this many attempts; 0 retries forever
+ * @param {Function} [options.isCancelled] - Checked before each retry; stops retrying when true
+ */
+const retryWithBackoff = async (name, attempt, { maxAttempts = 0, isCancelled = () => false } = {}) => {
+  const { retryBaseMs, retryMaxMs } = config.getConnectionConfig();
+
+  for (let attempts = 1; ; attempts++) {
+    try {
+      return await attempt();
+    } catch (error) {
+      if (maxAttempts > 0 && attempts >= maxAttempts) {
+        throw error;
+      }
+      const delayMs = Math.min(retryMaxMs, retryBaseMs * 2 ** (attempts - 1));
+      log.warn(`${name} is unavailable; retrying`, { attempt: attempts, delayMs, error: error.message });
+      await sleep(delayMs);
+      if (isCancelled()) {
+        throw new Error(`Stopped connecting to ${name}`);
+      }
+    }
+  }
+};
 
+/**
+ * Connect to MongoDB, retrying with backoff up to `connection.startupMaxAttempts`.
+ * Once connected the driver reconnects by itself after connection loss.
+ */
 export const connectMongoDB = async () => {
   try {
     const mongoConfig = config.getMongoConfig();
-    mongoConnection = await mongoose.connect(mongoConfig.uri);
-    console.log('✅ MongoDB connected successfully');
+    const { startupMaxAttempts } = config.getConnectionConfig();
+
+    // Command monitoring feeds the MongoDB latency metrics
+    mongoConnection = await retryWithBackoff(
+      'MongoDB',
+      () => mongoose.connect(mongoConfig.uri, { monitorCommands: true }),
+      { maxAttempts: startupMaxAttempts, isCancelled: () => mongoClosing },
+    );
+    instrumentMongoClient(mongoose.connection.getClient());
+
+    // Only now: failed startup attempts also emit `disconnected`, for a
+    // connection that never existed
+    mongoose.connection.on('disconnected', () => {
+      if (!mongoClosing) {
+        log.warn('MongoDB connection lost; reconnecting');
+      }
+    });
+    mongoose.connection.on('reconnected', () => log.info('MongoDB reconnected'));
+
+    // Mongoose calls this synchronously from the query, so request IDs carry over.
+    // Only names are logged: arguments would include whole documents.
+    mongoose.set('debug', (collection, method) => {
+      log.debug('MongoDB operation', { collection, method });
+    });
+
+    log.info('MongoDB connected');
     return mongoConnection;
   } catch (error) {
-    console.error('❌ MongoDB connection error:', error);
+    log.error('MongoDB connection failed', { error });
     throw error;
   }
 };
 
+/**
+ * True if `error` means Elasticsearch could not be reached
+ */
+export const isElasticsearchUnreachableError = (error) => UNREACHABLE_ERRORS.some((type) => error instanceof type);
+
+/**
+ * Whether Elasticsearch answered the last request. False until the first
+ * successful ping and after any request that could not reach it.
+ */
+export const isElasticsearchAvailable = () => esAvailable;
+
+/**
+ * Track availability from every response, including child clients'
+ * @private
+ */
+const updateElasticsearchAvailability = (error) => {
+  if (error && isElasticsearchUnreachableError(error)) {
+    if (esAvailable) {
+      esAvailable = false;
+      log.warn('Elasticsearch is unreachable; running in degraded mode', { error: error.message });
+    }
+    waitForElasticsearch().catch(() => {});
+  } else if (!esAvailable) {
+    esAvailable = true;
+    log.info('Elasticsearch is available');
+  }
+};
+
+/**
+ * Ping Elasticsearch with backoff until it answers. Concurrent calls share
+ * the same attempt.
+ * @private
+ */
+const waitForElasticsearch = () => {
+  const client = esClient;
+  esRecovery ??= retryWithBackoff(
+    'Elasticsearch',
+    () => client.ping({}, { maxRetries: 0 }),
+    { isCancelled: () => esClient !== client },
+  ).finally(() => {
+    esRecovery = null;
+  });
+  return esRecovery;
+};
+
+/**
+ * Create the Elasticsearch client and wait until Elasticsearch answers,
+ * retrying with backoff. Callers need not wait: until then the client exists
+ * and `isElasticsearchAvailable()` is false.
+ * @returns {Promise<Client>}
+ */
 export const connectElasticsearch = async () => {
   try {
     const esConfig = config.getElasticsearchConfig();
-    console.log(`🔗 Connecting to Elasticsearch at: ${esConfig.node}`);
+    log.info('Connecting to Elasticsearch', { node: esConfig.node });
     
     esClient = new Client({
       node: esConfig.node,
       maxRetries: esConfig.maxRetries,
       requestTimeout: esConfig.requestTimeout,
     });
+    instrumentElasticsearchClient(esClient);
+
+    esClient.diagnostic.on('response', (error, result) => {
+      updateElasticsearchAvailability(error);
+      if (!result?.meta) {
+        return;
+      }
+      const fields = {
+        operation: getEsOperation(result.meta.request.params),
+        path: result.meta.request.params.path,
+        statusCode: result.statusCode,
+      };
+      if (error) {
+        log.warn('Elasticsearch request failed', { ...fields, error: error.message });
+      } else {
+        log.debug('Elasticsearch request', fields);
+      }
+    });
     
-    // Test the connection
-    try {
-      const pingResult = await esClient.ping();
-      console.log('✅ Elasticsearch client initialized and connected');
-      console.log(`   Ping result: ${pingResult}`);
-    } catch (pingError) {
-      console.error('❌ Elasticsearch ping failed:', pingError.message);
-      throw pingError;
-    }
+    await waitForElasticsearch();
+    log.info('Elasticsearch connected');
     
     return esClient;
   } catch (error) {
-    console.error('❌ Elasticsearch connection error:', error);
-    console.error('   Error details:', {
-      message: error.message,
-      stack: error.stack,
-      meta: error.meta,
-    });
+    log.error('Elasticsearch connection failed', { error });
     throw error;
   }
 };
 
+/**
+ * Elasticsearch client. While handling a request, returns a child client that
+ * sends the request ID as `X-Opaque-Id` so it shows up in Elasticsearch
+ * tasks and slow logs.
+ */
 export const getElasticsearchClient = () => {
   if (!esClient) {
     const esConfig = config.getElasticsearchConfig();
-    console.error('❌ Elasticsearch client not initialized!');
-    console.error(`   Expected to connect to: ${esConfig.node}`);
-    console.error('   Make sure connectElasticsearch() is called during server startup');
+    log.error('Elasticsearch client not initialized; connectElasticsearch() must run during startup', {
+      node: esConfig.node,
+    });
     throw new Error('Elasticsearch client is not initialized. Call connectElasticsearch() first.');
   }
+
+  const context = getRequestContext();
+  if (context) {
+    context.esClient ??= esClient.child({ headers: { 'x-opaque-id': context.requestId } });
+    return context.esClient;
+  }
   return esClient;
 };
 
+/**
+ * Close the MongoDB connection pool
+ */
+export const disconnectMongoDB = async () => {
+  mongoClosing = true;
+  await mongoose.disconnect();
+  mongoConnection = null;
+  log.info('MongoDB disconnected');
+};
+
+/**
+ * Close the Elasticsearch client's connections
+ */
+export const closeElasticsearch = async () => {
+  if (!esClient) {
+    return;
+  }
+  const client = esClient;
+  esClient = null;
+  esAvailable = false;
+  await client.close();
+  log.info('Elasticsearch client closed');
+};
+
 export const getMongoConnection = () => {
   return mongoConnection;
 };
-
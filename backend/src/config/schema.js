@@ -0,0 +1,211 @@
+import { randomBytes } from 'crypto';
+import { tmpdir } from 'os';
+
+/**
+ * Declarative configuration schema.
+ *
+ * The nesting mirrors the config object returned by ConfigService and the
+ * layout of a config file. Every leaf declares:
+ * - `type`: `string`, `integer`, `number`, `boolean` or `list` (comma-separated in env and CLI)
+ * - `env`: environment variable it is read from
+ * - `default`: value when no layer sets it; a function receives the rest of the config
+ * - `min` / `max`: allowed range for numbers
+ * - `enum`: allowed values (for lists, allowed items)
+ * - `prefixes`: allowed prefixes for strings, e.g. URL schemes
+ * - `required`: an empty value is an error
+ * - `secret`: redacted by `printConfig`
+ * - `uri`: printed with credentials masked
+ * - `reloadable`: applied at runtime on reload; other keys need a restart
+ */
+
+const MIGRATION_MODES = ['apply', 'refuse', 'warn'];
+
+// Outside production a missing JWT secret falls back to one generated per
+// process: tokens don't survive a restart, and replicas don't accept each other's
+const DEVELOPMENT_JWT_SECRET = randomBytes(32).toString('hex');
+
+export const configSchema = {
+  // Server Configuration
+  port: { type: 'integer', env: 'PORT', default: 3001, min: 1, max: 65535 },
+  // Unknown values only warn (see ConfigService)
+  nodeEnv: { type: 'string', env: 'NODE_ENV', default: 'development', required: true },
+  // Proxies whose X-Forwarded-For is believed for the client address (Express `trust proxy`):
+  // addresses, subnets or `loopback`, `linklocal`, `uniquelocal`
+  trustProxy: { type: 'list', env: 'TRUST_PROXY', default: ['loopback', 'linklocal', 'uniquelocal'] },
+
+  // MongoDB Configuration
+  mongodb: {
+    uri: {
+      type: 'string',
+      env: 'MONGODB_URI',
+      default: 'mongodb://localhost:27017/todos',
+      required: true,
+      prefixes: ['mongodb://', 'mongodb+srv://'],
+      uri: true,
+    },
+    dbName: { type: 'string', env: 'MONGODB_DB_NAME', default: 'todos', required: true },
+    migrationMode: { type: 'string', env: 'MONGODB_MIGRATION_MODE', default: 'apply', enum: MIGRATION_MODES },
+  },
+
+  // Elasticsearch Configuration
+  elasticsearch: {
+    node: {
+      type: 'string',
+      env: 'ELASTICSEARCH_NODE',
+      default: 'http://localhost:9200',
+      required: true,
+      prefixes: ['http://', 'https://'],
+      uri: true,
+    },
+    indexName: { type: 'string', env: 'ELASTICSEARCH_INDEX', default: 'todos', required: true },
+    maxRetries: { type: 'integer', env: 'ELASTICSEARCH_MAX_RETRIES', default: 3, min: 0 },
+    requestTimeout: { type: 'integer', env: 'ELASTICSEARCH_REQUEST_TIMEOUT', default: 30000, min: 1 },
+    reindexBatchSize: { type: 'integer', env: 'ELASTICSEARCH_REINDEX_BATCH_SIZE', default: 500, min: 1 },
+    migrationMode: { type: 'string', env: 'ELASTICSEARCH_MIGRATION_MODE', default: 'apply', enum: MIGRATION_MODES },
+  },
+
+  // MongoDB -> Elasticsearch sync (outbox) Configuration
+  sync: {
+    pollIntervalMs: { type: 'integer', env: 'SYNC_POLL_INTERVAL_MS', default: 5000, min: 1 },
+    batchSize: { type: 'integer', env: 'SYNC_BATCH_SIZE', default: 50, min: 1 },
+    maxAttempts: { type: 'integer', env: 'SYNC_MAX_ATTEMPTS', default: 8, min: 1 },
+    backoffBaseMs: { type: 'integer', env: 'SYNC_BACKOFF_BASE_MS', default: 1000, min: 1 },
+    backoffMaxMs: { type: 'integer', env: 'SYNC_BACKOFF_MAX_MS', default: 300000, min: 1 },
+    lockMs: { type: 'integer', env: 'SYNC_LOCK_MS', default: 60000, min: 1 },
+  },
+
+  // Startup retry and reconnection Configuration
+  connection: {
+    retryBaseMs: { type: 'integer', env: 'CONNECT_RETRY_BASE_MS', default: 1000, min: 1 },
+    retryMaxMs: { type: 'integer', env: 'CONNECT_RETRY_MAX_MS', default: 30000, min: 1 },
+    // 0 retries MongoDB forever; Elasticsearch is always retried in the background
+    startupMaxAttempts: { type: 'integer', env: 'CONNECT_STARTUP_MAX_ATTEMPTS', default: 0, min: 0 },
+  },
+
+  // Health probe Configuration
+  health: {
+    timeoutMs: { type: 'integer', env: 'HEALTH_CHECK_TIMEOUT_MS', default: 2000, min: 1 },
+    cacheMs: { type: 'integer', env: 'HEALTH_CHECK_CACHE_MS', default: 2000, min: 0 },
+    // Elasticsearch is optional by default: the backend serves /db in degraded mode without it.
+    // `none` is kept for compatibility and means an empty list.
+    optionalDependencies: {
+      type: 'list',
+      env: 'HEALTH_OPTIONAL_DEPENDENCIES',
+      default: ['elasticsearch'],
+      enum: ['mongodb', 'elasticsearch', 'none'],
+    },
+  },
+
+  // Graceful shutdown Configuration
+  shutdown: {
+    timeoutMs: { type: 'integer', env: 'SHUTDOWN_TIMEOUT_MS', default: 25000, min: 1 },
+    drainDelayMs: { type: 'integer', env: 'SHUTDOWN_DRAIN_DELAY_MS', default: 0, min: 0 },
+  },
+
+  // CORS Configuration
+  cors: {
+    // `*` allows any origin
+    origins: { type: 'list', env: 'CORS_ORIGIN', default: ['*'], reloadable: true },
+    credentials: { type: 'boolean', env: 'CORS_CREDENTIALS', default: false, reloadable: true },
+  },
+
+  // User accounts and token authentication
+  auth: {
+    jwtSecret: {
+      type: 'string',
+      env: 'JWT_SECRET',
+      default: (config) => (config.nodeEnv === 'production' ? '' : DEVELOPMENT_JWT_SECRET),
+      required: true,
+      secret: true,
+    },
+    accessTokenTtlSeconds: { type: 'integer', env: 'JWT_ACCESS_TOKEN_TTL_SECONDS', default: 900, min: 1 },
+    refreshTokenTtlSeconds: { type: 'integer', env: 'JWT_REFRESH_TOKEN_TTL_SECONDS', default: 604800, min: 1 },
+    passwordHashRounds: { type: 'integer', env: 'PASSWORD_HASH_ROUNDS', default: 10, min: 4, max: 15 },
+    // Registration and login attempts allowed per client within the window
+    rateLimit: { type: 'integer', env: 'AUTH_RATE_LIMIT', default: 20, min: 1, reloadable: true },
+    rateLimitWindowMs: { type: 'integer', env: 'AUTH_RATE_LIMIT_WINDOW_MS', default: 60000, min: 1000, reloadable: true },
+  },
+
+  // Access to the /admin endpoints
+  admin: {
+    // Bearer token every admin request needs; without one the endpoints refuse all requests
+    token: { type: 'string', env: 'ADMIN_TOKEN', default: '', secret: true, reloadable: true },
+  },
+
+  // Resource hog access and limits; requests above the limits are rejected
+  hog: {
+    // Off in production unless enabled explicitly
+    enabled: {
+      type: 'boolean',
+      env: 'HOG_ENABLED',
+      default: (config) => config.nodeEnv !== 'production',
+      reloadable: true,
+    },
+    // Bearer token every hog request needs; without one the endpoints refuse all requests
+    adminToken: { type: 'string', env: 'HOG_ADMIN_TOKEN', default: '', secret: true, reloadable: true },
+    // Starts and stops allowed per client within the window
+    rateLimit: { type: 'integer', env: 'HOG_RATE_LIMIT', default: 10, min: 1, reloadable: true },
+    rateLimitWindowMs: { type: 'integer', env: 'HOG_RATE_LIMIT_WINDOW_MS', default: 60000, min: 1000, reloadable: true },
+    // Status requests allowed per client within the same window; higher, as dashboards poll them
+    statusRateLimit: { type: 'integer', env: 'HOG_STATUS_RATE_LIMIT', default: 120, min: 1, reloadable: true },
+    maxMemoryMb: { type: 'integer', env: 'HOG_MAX_MEMORY_MB', default: 2048, min: 0, max: 2048, reloadable: true },
+    maxCpuSliceMs: { type: 'integer', env: 'HOG_MAX_CPU_SLICE_MS', default: 200, min: 1, max: 200, reloadable: true },
+    maxMinutes: { type: 'integer', env: 'HOG_MAX_MINUTES', default: 120, min: 1, max: 120, reloadable: true },
+    maxIntensityMultiplier: {
+      type: 'integer',
+      env: 'HOG_MAX_INTENSITY_MULTIPLIER',
+      default: 100,
+      min: 1,
+      max: 100,
+      reloadable: true,
+    },
+    maxWorkers: { type: 'integer', env: 'HOG_MAX_WORKERS', default: 4, min: 1, max: 64, reloadable: true },
+    maxBlockMs: { type: 'integer', env: 'HOG_MAX_BLOCK_MS', default: 5000, min: 1, max: 30000, reloadable: true },
+    maxDiskMb: { type: 'integer', env: 'HOG_MAX_DISK_MB', default: 1024, min: 0, max: 102400, reloadable: true },
+    maxFileDescriptors: {
+      type: 'integer',
+      env: 'HOG_MAX_FILE_DESCRIPTORS',
+      default: 4096,
+      min: 0,
+      max: 65536,
+      reloadable: true,
+    },
+    // Where the disk mode writes its temp files; point it at a volume to fill that instead
+    diskDir: { type: 'string', env: 'HOG_DISK_DIR', default: () => tmpdir(), required: true, reloadable: true },
+  },
+
+  // Tracing (OpenTelemetry) Configuration
+  tracing: {
+    exporters: { type: 'list', env: 'TRACING_EXPORTER', default: ['none'], enum: ['none', 'console', 'file', 'otlp'] },
+    serviceName: { type: 'string', env: 'TRACING_SERVICE_NAME', default: 'todo-backend', required: true },
+    sampleRatio: { type: 'number', env: 'TRACING_SAMPLE_RATIO', default: 1, min: 0, max: 1 },
+    filePath: { type: 'string', env: 'TRACING_FILE_PATH', default: 'traces.jsonl', required: true },
+  },
+
+  // Logging Configuration
+  logging: {
+    level: { type: 'string', env: 'LOG_LEVEL', default: 'info', enum: ['debug', 'info', 'warn', 'error'], reloadable: true },
+    format: {
+      type: 'string',
+      env: 'LOG_FORMAT',
+      default: (config) => (config.nodeEnv === 'production' ? 'json' : 'pretty'),
+      enum: ['json', 'pretty'],
+      reloadable: true,
+    },
+  },
+};
+
+/**
+ * True for a schema leaf, false for a section
+ */
+export const isLeaf = (node) => typeof node.type === 'string';
+
+/**
+ * Every leaf with its dotted path, e.g. `['logging.level', { type: 'string', ... }]`
+ * @returns {Array<[string, Object]>}
+ */
+export const schemaLeaves = (node = configSchema, prefix = '') =>
+  Object.entries(node).flatMap(([key, child]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    return isLeaf(child) ? [[path, child]] : schemaLeaves(child, path);
+  });
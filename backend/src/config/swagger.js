@@ -27,6 +27,14 @@ const options = {
         name: 'Health',
         description: 'Health check and status endpoints',
       },
+      {
+        name: 'Auth',
+        description: 'User registration and login. The access token returned authenticates the MongoDB and Elasticsearch todo endpoints, which only see the caller\'s own todos.',
+      },
+      {
+        name: 'Workspaces',
+        description: 'Workspaces share todos among their members. Each member is an owner (also manages the workspace and its members), editor (changes todos) or viewer (reads todos). Every user has a personal workspace with the same ID as the user.',
+      },
       {
         name: 'MongoDB',
         description: 'MongoDB todo operations',
@@ -37,10 +45,32 @@ const options = {
       },
       {
         name: 'Resource Hog',
-        description: 'Resource consumption endpoints for Kubernetes scaling tests',
+        description: 'Resource consumption endpoints for Kubernetes scaling tests. Disabled in production unless HOG_ENABLED is set, and protected by the HOG_ADMIN_TOKEN bearer token. Requests are rate limited per client, and starts and stops are written to the audit log.',
+      },
+      {
+        name: 'Admin',
+        description: 'Operational endpoints for MongoDB to Elasticsearch sync, reindexing and consistency checks, protected by the ADMIN_TOKEN bearer token',
       },
     ],
     components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+          description: 'Access token from POST /auth/register, /auth/login or /auth/refresh',
+        },
+        hogAdminToken: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'The HOG_ADMIN_TOKEN configured on the backend',
+        },
+        adminToken: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'The ADMIN_TOKEN configured on the backend',
+        },
+      },
       schemas: {
         Todo: {
           type: 'object',
@@ -61,20 +91,72 @@ const options = {
               description: 'Completion status',
               example: false,
             },
+            description: {
+              type: 'string',
+              nullable: true,
+              maxLength: 2000,
+              description: 'Longer free-text notes',
+              example: 'Milk, eggs and bread',
+            },
+            dueDate: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'When the todo is due',
+              example: '2024-01-31T17:00:00.000Z',
+            },
+            priority: {
+              type: 'string',
+              enum: ['low', 'medium', 'high'],
+              description: 'Priority (defaults to medium)',
+              example: 'high',
+            },
+            tags: {
+              type: 'array',
+              maxItems: 20,
+              items: {
+                type: 'string',
+                minLength: 1,
+                maxLength: 32,
+              },
+              description: 'Tags, stored trimmed, lowercase and unique',
+              example: ['errands', 'home'],
+            },
+            owner: {
+              type: 'string',
+              description: 'ID of the user who created the todo',
+              example: '65b0e3f2a1c4d5e6f7a8b9c0',
+            },
+            workspace: {
+              type: 'string',
+              description: 'ID of the workspace the todo belongs to',
+              example: '65b0e3f2a1c4d5e6f7a8b9c0',
+            },
             createdAt: {
               type: 'string',
               format: 'date-time',
               description: 'Creation timestamp',
               example: '2024-01-24T10:30:00.000Z',
             },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Last modification timestamp',
+              example: '2024-01-25T08:15:00.000Z',
+            },
           },
         },
         TodoInput: {
           type: 'object',
           required: ['title'],
+          additionalProperties: false,
           properties: {
             title: {
               type: 'string',
+              minLength: 1,
+              maxLength: 200,
+              pattern: '\\S',
+              'x-messages': { pattern: 'must not be blank' },
               description: 'Todo title',
               example: 'Buy groceries',
             },
@@ -83,6 +165,441 @@ const options = {
               description: 'Completion status (optional, defaults to false)',
               example: false,
             },
+            description: {
+              type: 'string',
+              nullable: true,
+              maxLength: 2000,
+              description: 'Longer free-text notes',
+              example: 'Milk, eggs and bread',
+            },
+            dueDate: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'When the todo is due',
+              example: '2024-01-31T17:00:00.000Z',
+            },
+            priority: {
+              type: 'string',
+              enum: ['low', 'medium', 'high'],
+              description: 'Priority (defaults to medium)',
+              example: 'high',
+            },
+            tags: {
+              type: 'array',
+              maxItems: 20,
+              items: {
+                type: 'string',
+                minLength: 1,
+                maxLength: 32,
+                pattern: '\\S',
+                'x-messages': { pattern: 'must not be blank' },
+              },
+              description: 'Tags, stored trimmed, lowercase and unique',
+              example: ['errands', 'home'],
+            },
+          },
+        },
+        TodoPatch: {
+          type: 'object',
+          minProperties: 1,
+          additionalProperties: false,
+          'x-messages': { minProperties: 'must contain at least one field to update' },
+          properties: {
+            title: {
+              type: 'string',
+              minLength: 1,
+              maxLength: 200,
+              pattern: '\\S',
+              'x-messages': { pattern: 'must not be blank' },
+              description: 'New todo title',
+              example: 'Buy groceries and milk',
+            },
+            completed: {
+              type: 'boolean',
+              description: 'New completion status',
+              example: true,
+            },
+            description: {
+              type: 'string',
+              nullable: true,
+              maxLength: 2000,
+              description: 'Longer free-text notes',
+              example: 'Milk, eggs and bread',
+            },
+            dueDate: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'When the todo is due',
+              example: '2024-01-31T17:00:00.000Z',
+            },
+            priority: {
+              type: 'string',
+              enum: ['low', 'medium', 'high'],
+              description: 'Priority (defaults to medium)',
+              example: 'high',
+            },
+            tags: {
+              type: 'array',
+              maxItems: 20,
+              items: {
+                type: 'string',
+                minLength: 1,
+                maxLength: 32,
+                pattern: '\\S',
+                'x-messages': { pattern: 'must not be blank' },
+              },
+              description: 'Tags, stored trimmed, lowercase and unique',
+              example: ['errands', 'home'],
+            },
+          },
+        },
+        TodoPage: {
+          type: 'object',
+          properties: {
+            items: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/Todo',
+              },
+            },
+            total: {
+              type: 'integer',
+              description: 'Number of todos matching the filters across all pages',
+              example: 137,
+            },
+            pagination: {
+              type: 'object',
+              properties: {
+                limit: { type: 'integer', example: 20 },
+                sort: { type: 'string', enum: ['createdAt', 'title'], example: 'createdAt' },
+                order: { type: 'string', enum: ['asc', 'desc'], example: 'desc' },
+                hasMore: { type: 'boolean', example: true },
+                next: {
+                  type: 'string',
+                  nullable: true,
+                  description: 'Opaque cursor for the next page; null on the last page',
+                  example: 'eyJzIjoiY3JlYXRlZEF0IiwibyI6ImRlc2MiLCJhZnRlciI6WzE3MDYwOTIyMDAwMDAsIjY1YjBjIl19',
+                },
+              },
+            },
+          },
+        },
+        TodoSearchHit: {
+          allOf: [
+            { $ref: '#/components/schemas/Todo' },
+            {
+              type: 'object',
+              properties: {
+                score: {
+                  type: 'number',
+                  nullable: true,
+                  description: 'Relevance score',
+                  example: 1.87,
+                },
+                highlight: {
+                  type: 'object',
+                  description: 'Matched text with hits wrapped in <mark> tags, per field',
+                  properties: {
+                    title: {
+                      type: 'array',
+                      items: { type: 'string' },
+                      example: ['Buy <mark>groceries</mark>'],
+                    },
+                  },
+                },
+              },
+            },
+          ],
+        },
+        TodoSearchPage: {
+          allOf: [
+            { $ref: '#/components/schemas/TodoPage' },
+            {
+              type: 'object',
+              properties: {
+                items: {
+                  type: 'array',
+                  items: {
+                    $ref: '#/components/schemas/TodoSearchHit',
+                  },
+                },
+              },
+            },
+          ],
+        },
+        TodoStats: {
+          type: 'object',
+          properties: {
+            total: {
+              type: 'integer',
+              description: 'Todos matching the query and filters',
+              example: 42,
+            },
+            status: {
+              type: 'object',
+              properties: {
+                completed: { type: 'integer', example: 17 },
+                pending: { type: 'integer', example: 25 },
+              },
+            },
+            createdOverTime: {
+              type: 'object',
+              properties: {
+                interval: { type: 'string', enum: ['day', 'week', 'month'], example: 'day' },
+                buckets: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      date: { type: 'string', format: 'date-time', example: '2024-01-24T00:00:00.000Z' },
+                      count: { type: 'integer', example: 5 },
+                      completed: { type: 'integer', example: 2 },
+                      pending: { type: 'integer', example: 3 },
+                    },
+                  },
+                },
+              },
+            },
+            topTerms: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  term: { type: 'string', example: 'groceries' },
+                  count: { type: 'integer', example: 4 },
+                },
+              },
+            },
+            priority: {
+              type: 'object',
+              properties: {
+                low: { type: 'integer', example: 10 },
+                medium: { type: 'integer', example: 25 },
+                high: { type: 'integer', example: 7 },
+              },
+            },
+            topTags: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  tag: { type: 'string', example: 'errands' },
+                  count: { type: 'integer', example: 6 },
+                },
+              },
+            },
+            createdAt: {
+              type: 'object',
+              properties: {
+                count: { type: 'integer', example: 42 },
+                first: { type: 'string', format: 'date-time', nullable: true },
+                last: { type: 'string', format: 'date-time', nullable: true },
+              },
+            },
+          },
+        },
+        AuthCredentials: {
+          type: 'object',
+          required: ['email', 'password'],
+          additionalProperties: false,
+          properties: {
+            email: {
+              type: 'string',
+              format: 'email',
+              maxLength: 254,
+              description: 'Account email; case-insensitive',
+              example: 'ada@example.com',
+            },
+            password: {
+              type: 'string',
+              minLength: 8,
+              maxLength: 72,
+              description: 'Account password (8 to 72 characters)',
+              example: 'correct horse battery',
+            },
+          },
+        },
+        RefreshRequest: {
+          type: 'object',
+          required: ['refreshToken'],
+          additionalProperties: false,
+          properties: {
+            refreshToken: {
+              type: 'string',
+              minLength: 1,
+              description: 'Refresh token from an earlier register, login or refresh response',
+            },
+          },
+        },
+        User: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              example: '65b0e3f2a1c4d5e6f7a8b9c0',
+            },
+            email: {
+              type: 'string',
+              example: 'ada@example.com',
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+              example: '2024-01-24T10:30:00.000Z',
+            },
+          },
+        },
+        AuthSession: {
+          type: 'object',
+          properties: {
+            user: {
+              $ref: '#/components/schemas/User',
+            },
+            accessToken: {
+              type: 'string',
+              description: 'JWT to send as `Authorization: Bearer <accessToken>`',
+            },
+            refreshToken: {
+              type: 'string',
+              description: 'JWT for POST /auth/refresh once the access token expires; revoked by POST /auth/logout',
+            },
+            tokenType: {
+              type: 'string',
+              enum: ['Bearer'],
+            },
+            expiresIn: {
+              type: 'integer',
+              description: 'Seconds until the access token expires',
+              example: 900,
+            },
+          },
+        },
+        WorkspaceInput: {
+          type: 'object',
+          required: ['name'],
+          additionalProperties: false,
+          properties: {
+            name: {
+              type: 'string',
+              minLength: 1,
+              maxLength: 100,
+              pattern: '\\S',
+              'x-messages': { pattern: 'must not be blank' },
+              example: 'Platform team',
+            },
+          },
+        },
+        WorkspaceMemberInput: {
+          type: 'object',
+          required: ['email', 'role'],
+          additionalProperties: false,
+          properties: {
+            email: {
+              type: 'string',
+              format: 'email',
+              description: 'Email of a registered user',
+              example: 'grace@example.com',
+            },
+            role: {
+              type: 'string',
+              enum: ['owner', 'editor', 'viewer'],
+              example: 'editor',
+            },
+          },
+        },
+        WorkspaceRoleInput: {
+          type: 'object',
+          required: ['role'],
+          additionalProperties: false,
+          properties: {
+            role: {
+              type: 'string',
+              enum: ['owner', 'editor', 'viewer'],
+              example: 'viewer',
+            },
+          },
+        },
+        WorkspaceMember: {
+          type: 'object',
+          properties: {
+            userId: {
+              type: 'string',
+              example: '65b0e3f2a1c4d5e6f7a8b9c1',
+            },
+            email: {
+              type: 'string',
+              nullable: true,
+              example: 'grace@example.com',
+            },
+            role: {
+              type: 'string',
+              enum: ['owner', 'editor', 'viewer'],
+              example: 'editor',
+            },
+          },
+        },
+        Workspace: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              example: '65b0e3f2a1c4d5e6f7a8b9d0',
+            },
+            name: {
+              type: 'string',
+              example: 'Platform team',
+            },
+            personal: {
+              type: 'boolean',
+              description: 'Whether this is the caller\'s personal workspace, which cannot be shared or deleted',
+              example: false,
+            },
+            role: {
+              type: 'string',
+              enum: ['owner', 'editor', 'viewer'],
+              description: 'The caller\'s role in the workspace',
+              example: 'owner',
+            },
+            memberCount: {
+              type: 'integer',
+              example: 3,
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+              example: '2024-01-24T10:30:00.000Z',
+            },
+          },
+        },
+        WorkspaceDetails: {
+          allOf: [
+            {
+              $ref: '#/components/schemas/Workspace',
+            },
+            {
+              type: 'object',
+              properties: {
+                members: {
+                  type: 'array',
+                  items: {
+                    $ref: '#/components/schemas/WorkspaceMember',
+                  },
+                },
+              },
+            },
+          ],
+        },
+        WorkspaceList: {
+          type: 'object',
+          properties: {
+            items: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/Workspace',
+              },
+            },
           },
         },
         HealthResponse: {
@@ -90,8 +607,9 @@ const options = {
           properties: {
             status: {
               type: 'string',
-              description: 'Overall service status',
-              example: 'IAAAAAAAAC',
+              enum: ['ready', 'degraded', 'not_ready', 'shutting_down'],
+              description: 'Overall service status (same as /readyz)',
+              example: 'ready',
             },
             mongodb: {
               type: 'string',
@@ -107,30 +625,327 @@ const options = {
             },
           },
         },
+        LivenessResponse: {
+          type: 'object',
+          properties: {
+            status: { type: 'string', example: 'ok' },
+            uptimeSeconds: { type: 'integer', example: 3600 },
+            pid: { type: 'integer', example: 1 },
+          },
+        },
+        DependencyStatus: {
+          type: 'object',
+          properties: {
+            status: {
+              type: 'string',
+              enum: ['up', 'down', 'unknown'],
+              example: 'up',
+            },
+            required: {
+              type: 'boolean',
+              description: 'False if listed in HEALTH_OPTIONAL_DEPENDENCIES',
+              example: true,
+            },
+            latencyMs: { type: 'integer', nullable: true, example: 3 },
+            lastCheckedAt: { type: 'string', format: 'date-time', nullable: true },
+            lastError: {
+              type: 'string',
+              nullable: true,
+              description: 'Most recent failure, kept after the dependency recovers',
+              example: 'Timed out after 2000ms',
+            },
+            lastErrorAt: { type: 'string', format: 'date-time', nullable: true },
+          },
+        },
+        ReadinessResponse: {
+          type: 'object',
+          properties: {
+            status: {
+              type: 'string',
+              enum: ['ready', 'degraded', 'not_ready', 'shutting_down'],
+              example: 'ready',
+            },
+            dependencies: {
+              type: 'object',
+              properties: {
+                mongodb: { $ref: '#/components/schemas/DependencyStatus' },
+                elasticsearch: { $ref: '#/components/schemas/DependencyStatus' },
+              },
+            },
+          },
+        },
         HogConfig: {
           type: 'object',
+          additionalProperties: false,
+          description: 'Flat settings. Only those of the chosen `mode` apply (`maxMinutes` to all); the others are ignored.',
           properties: {
+            mode: {
+              type: 'string',
+              enum: ['cpu', 'event-loop', 'disk', 'fds'],
+              default: 'cpu',
+              description: '`cpu` allocates memory and burns CPU in worker threads; `event-loop` blocks the backend\'s main thread (stalling every request, probes included); `disk` writes temp files and reads them back; `fds` holds file descriptors or sockets open',
+            },
             memoryMb: {
               type: 'integer',
-              description: 'Memory to allocate in MB (clamped between 0-2048)',
+              description: 'Memory to allocate in MB; also capped by HOG_MAX_MEMORY_MB',
               example: 256,
+              default: 256,
               minimum: 0,
               maximum: 2048,
             },
             cpuSliceMs: {
               type: 'integer',
-              description: 'CPU slice duration in milliseconds (clamped between 1-200)',
+              description: 'CPU slice duration in milliseconds; also capped by HOG_MAX_CPU_SLICE_MS',
               example: 20,
+              default: 20,
               minimum: 1,
               maximum: 200,
             },
             maxMinutes: {
               type: 'integer',
-              description: 'Maximum runtime in minutes (clamped between 1-120)',
+              description: 'Maximum runtime in minutes; the hog auto-stops after this duration. Also capped by HOG_MAX_MINUTES',
               example: 10,
+              default: 10,
               minimum: 1,
               maximum: 120,
             },
+            intensityMultiplier: {
+              type: 'integer',
+              description: 'Multiplier applied to the CPU work done per slice; also capped by HOG_MAX_INTENSITY_MULTIPLIER',
+              example: 2,
+              default: 2,
+              minimum: 1,
+              maximum: 100,
+            },
+            workers: {
+              type: 'integer',
+              description: 'Worker threads to run, each able to keep one core busy (default: 1); also capped by HOG_MAX_WORKERS. Memory is split evenly across them.',
+              example: 2,
+              minimum: 1,
+              maximum: 64,
+            },
+            targetMillicores: {
+              type: 'integer',
+              description: 'CPU to burn in total, instead of `workers`: runs one worker per started 1000 millicores and scales their duty cycles to match',
+              example: 1500,
+              minimum: 1,
+              maximum: 64000,
+            },
+            blockMs: {
+              type: 'integer',
+              description: '`event-loop` mode: how long each block lasts, in milliseconds; also capped by HOG_MAX_BLOCK_MS',
+              example: 3000,
+              default: 1000,
+              minimum: 1,
+              maximum: 30000,
+            },
+            blockIntervalMs: {
+              type: 'integer',
+              description: '`event-loop` mode: how often a block starts, in milliseconds; must be longer than `blockMs`',
+              example: 10000,
+              default: 5000,
+              minimum: 100,
+              maximum: 600000,
+            },
+            diskMb: {
+              type: 'integer',
+              description: '`disk` mode: temp files to write, in MB, under HOG_DISK_DIR; also capped by HOG_MAX_DISK_MB',
+              example: 512,
+              default: 256,
+              minimum: 1,
+              maximum: 102400,
+            },
+            fdCount: {
+              type: 'integer',
+              description: '`fds` mode: files or connections to hold open; also capped by HOG_MAX_FILE_DESCRIPTORS. Each loopback connection uses two descriptors.',
+              example: 1000,
+              default: 1000,
+              minimum: 1,
+              maximum: 65536,
+            },
+            fdKind: {
+              type: 'string',
+              enum: ['files', 'sockets'],
+              default: 'files',
+              description: '`fds` mode: open the null device, or TCP connections to a loopback listener',
+            },
+          },
+        },
+        HogStage: {
+          type: 'object',
+          additionalProperties: false,
+          required: ['memoryMb', 'cpuDutyCycle', 'durationSeconds'],
+          properties: {
+            memoryMb: {
+              type: 'integer',
+              description: 'Memory to hold by the end of the stage, in MB; also capped by HOG_MAX_MEMORY_MB',
+              example: 512,
+              minimum: 0,
+              maximum: 2048,
+            },
+            cpuDutyCycle: {
+              type: 'number',
+              description: 'Share of each CPU slice spent burning CPU by the end of the stage, from 0 (idle) to 1 (one core busy)',
+              example: 0.8,
+              minimum: 0,
+              maximum: 1,
+            },
+            durationSeconds: {
+              type: 'integer',
+              description: 'How long the stage lasts',
+              example: 120,
+              minimum: 1,
+              maximum: 7200,
+            },
+            transition: {
+              type: 'string',
+              enum: ['step', 'linear'],
+              default: 'step',
+              description: '`step` jumps to the targets at the start of the stage; `linear` moves there from the previous stage\'s targets (zero before the first stage) over the stage',
+            },
+          },
+        },
+        HogProfile: {
+          type: 'object',
+          additionalProperties: false,
+          required: ['stages'],
+          description: 'Load that changes over time. The total duration is capped by HOG_MAX_MINUTES.',
+          properties: {
+            stages: {
+              type: 'array',
+              minItems: 1,
+              maxItems: 50,
+              items: { $ref: '#/components/schemas/HogStage' },
+            },
+            repeat: {
+              type: 'integer',
+              description: 'How many times the stages run before the hog stops',
+              default: 1,
+              minimum: 1,
+              maximum: 100,
+            },
+            cpuSliceMs: {
+              type: 'integer',
+              description: 'Length of the period the duty cycle applies to, in milliseconds; also capped by HOG_MAX_CPU_SLICE_MS',
+              default: 100,
+              minimum: 1,
+              maximum: 200,
+            },
+            intensityMultiplier: {
+              type: 'integer',
+              description: 'Multiplier applied to the CPU work done per slice; also capped by HOG_MAX_INTENSITY_MULTIPLIER',
+              default: 2,
+              minimum: 1,
+              maximum: 100,
+            },
+            workers: {
+              type: 'integer',
+              description: 'Worker threads to run, each able to keep one core busy (default: 1); also capped by HOG_MAX_WORKERS. Memory is split evenly across them.',
+              example: 2,
+              minimum: 1,
+              maximum: 64,
+            },
+            targetMillicores: {
+              type: 'integer',
+              description: 'CPU to burn in total, instead of `workers`: runs one worker per started 1000 millicores and scales their duty cycles to match',
+              example: 1500,
+              minimum: 1,
+              maximum: 64000,
+            },
+          },
+        },
+        HogStageStatus: {
+          type: 'object',
+          description: 'Progress through the load profile',
+          properties: {
+            index: { type: 'integer', description: 'Current stage, counting repetitions, from 0', example: 1 },
+            count: { type: 'integer', description: 'Stages in the profile, counting repetitions', example: 3 },
+            transition: { type: 'string', enum: ['step', 'linear'], example: 'linear' },
+            memoryMb: { type: 'integer', description: 'Current memory target in MB', example: 384 },
+            cpuDutyCycle: { type: 'number', description: 'Current CPU duty cycle', example: 0.55 },
+            stageRemainingSeconds: { type: 'integer', example: 40 },
+            remainingSeconds: { type: 'integer', description: 'Until the profile ends and the hog stops', example: 340 },
+          },
+        },
+        HogWorkerStatus: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer', description: 'Worker ID, from 1; used to stop a single worker', example: 1 },
+            threadId: { type: 'integer', example: 3 },
+            memoryMb: { type: 'integer', description: 'Memory the worker currently targets, in MB', example: 256 },
+            cpuDutyCycle: { type: 'number', description: 'Duty cycle the worker currently runs at', example: 0.75 },
+            sample: {
+              allOf: [{ $ref: '#/components/schemas/HogSample' }],
+              nullable: true,
+              description: 'Latest telemetry from the worker; null until its first sample',
+            },
+          },
+        },
+        HogSample: {
+          type: 'object',
+          description: 'What a worker actually achieved over the last second or so',
+          properties: {
+            workerId: { type: 'integer', description: 'Only in the event stream', example: 1 },
+            time: { type: 'string', format: 'date-time' },
+            stage: { type: 'integer', description: 'Stage index, counting repetitions', example: 0 },
+            allocatedBytes: { type: 'integer', description: 'Memory the worker holds', example: 268435456 },
+            iterationsPerSecond: { type: 'integer', description: 'CPU burn loop iterations per second', example: 5400 },
+            cpuDutyCycle: {
+              type: 'number',
+              description: 'Share of wall-clock time spent burning CPU, or blocking the event loop',
+              example: 0.74,
+            },
+            blocks: { type: 'integer', description: '`event-loop` mode: blocks since the last sample', example: 1 },
+            diskBytes: { type: 'integer', description: '`disk` mode: temp files written so far', example: 268435456 },
+            writeBytesPerSecond: { type: 'integer', description: '`disk` mode', example: 0 },
+            readBytesPerSecond: { type: 'integer', description: '`disk` mode', example: 83886080 },
+            openFds: { type: 'integer', description: '`fds` mode: descriptors held', example: 1000 },
+            fdError: {
+              type: 'string',
+              nullable: true,
+              description: '`fds` mode: error code that stopped opening more, e.g. EMFILE',
+              example: null,
+            },
+            rssBytes: {
+              type: 'integer',
+              nullable: true,
+              description: 'Resident set size of the whole backend process; null when it can\'t be read, e.g. with no file descriptors left',
+              example: 412090368,
+            },
+          },
+        },
+        HogTelemetry: {
+          type: 'object',
+          nullable: true,
+          description: 'Latest samples of all workers added up; null until the first sample',
+          properties: {
+            sampledAt: { type: 'string', format: 'date-time' },
+            allocatedBytes: { type: 'integer', example: 536870912 },
+            iterationsPerSecond: { type: 'integer', example: 10800 },
+            cpuMillicores: { type: 'integer', description: 'Achieved duty cycles added up, where 1000 is one busy core', example: 1480 },
+            diskBytes: { type: 'integer', example: 0 },
+            openFds: { type: 'integer', example: 0 },
+            rssBytes: { type: 'integer', example: 680525824 },
+          },
+        },
+        HogTotals: {
+          type: 'object',
+          description: 'Resources the running workers currently target together',
+          properties: {
+            workers: { type: 'integer', example: 2 },
+            memoryMb: { type: 'integer', example: 512 },
+            cpuMillicores: { type: 'integer', description: 'Sum of the duty cycles, where 1000 is one busy core', example: 1500 },
+          },
+        },
+        HogStopQuery: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            workerId: {
+              type: 'integer',
+              description: 'Stop only this worker; the others keep running',
+              minimum: 1,
+            },
           },
         },
         HogStartResponse: {
@@ -143,7 +958,19 @@ const options = {
               example: 'started',
             },
             config: {
-              $ref: '#/components/schemas/HogConfig',
+              allOf: [{ $ref: '#/components/schemas/HogConfig' }],
+              description: 'Flat settings; absent when started with a load profile',
+            },
+            profile: {
+              allOf: [{ $ref: '#/components/schemas/HogProfile' }],
+              description: 'Load profile; flat settings appear as a single stage',
+            },
+            workers: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/HogWorkerStatus' },
+            },
+            totals: {
+              $ref: '#/components/schemas/HogTotals',
             },
             startedAt: {
               type: 'string',
@@ -154,7 +981,7 @@ const options = {
             message: {
               type: 'string',
               description: 'Status message',
-              example: 'Resource hog started. Will auto-stop after 10 minutes.',
+              example: 'Resource hog started in cpu mode. Will auto-stop after 10 minutes.',
             },
           },
         },
@@ -163,12 +990,29 @@ const options = {
           properties: {
             status: {
               type: 'string',
-              enum: ['stopped', 'not_running'],
+              enum: ['stopped', 'worker_stopped', 'not_running'],
               description: 'Operation status',
               example: 'stopped',
             },
             config: {
-              $ref: '#/components/schemas/HogConfig',
+              allOf: [{ $ref: '#/components/schemas/HogConfig' }],
+              description: 'Flat settings; absent when started with a load profile',
+            },
+            profile: {
+              allOf: [{ $ref: '#/components/schemas/HogProfile' }],
+              description: 'Load profile; flat settings appear as a single stage',
+            },
+            workerId: {
+              type: 'integer',
+              description: 'The worker stopped, when stopping a single one',
+            },
+            workers: {
+              type: 'array',
+              description: 'Workers still running, when stopping a single one',
+              items: { $ref: '#/components/schemas/HogWorkerStatus' },
+            },
+            totals: {
+              $ref: '#/components/schemas/HogTotals',
             },
             runtime: {
               type: 'string',
@@ -192,7 +1036,25 @@ const options = {
               example: 'running',
             },
             config: {
-              $ref: '#/components/schemas/HogConfig',
+              allOf: [{ $ref: '#/components/schemas/HogConfig' }],
+              description: 'Flat settings; absent when started with a load profile',
+            },
+            profile: {
+              allOf: [{ $ref: '#/components/schemas/HogProfile' }],
+              description: 'Load profile; flat settings appear as a single stage',
+            },
+            stage: {
+              $ref: '#/components/schemas/HogStageStatus',
+            },
+            workers: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/HogWorkerStatus' },
+            },
+            totals: {
+              $ref: '#/components/schemas/HogTotals',
+            },
+            telemetry: {
+              $ref: '#/components/schemas/HogTelemetry',
             },
             startedAt: {
               type: 'string',
@@ -207,18 +1069,786 @@ const options = {
             },
           },
         },
-        Error: {
+        SyncStatusResponse: {
+          type: 'object',
+          properties: {
+            dispatcher: {
+              type: 'string',
+              enum: ['running', 'paused', 'stopped'],
+              description: 'Background dispatcher state; `paused` while Elasticsearch is unreachable',
+              example: 'running',
+            },
+            queue: {
+              type: 'object',
+              properties: {
+                pending: { type: 'integer', example: 2 },
+                processing: { type: 'integer', example: 0 },
+                dead: { type: 'integer', example: 1 },
+                oldestPendingAgeMs: { type: 'integer', example: 4200 },
+              },
+            },
+            stats: {
+              type: 'object',
+              description: 'Counters since process start',
+              properties: {
+                delivered: { type: 'integer', example: 120 },
+                failed: { type: 'integer', example: 9 },
+                deadLettered: { type: 'integer', example: 1 },
+                lastError: { type: 'string', nullable: true, example: 'connect ECONNREFUSED' },
+                lastErrorAt: { type: 'string', format: 'date-time', nullable: true },
+                lastDrainAt: { type: 'string', format: 'date-time', nullable: true },
+              },
+            },
+            deadLetters: {
+              type: 'array',
+              description: 'Most recent dead-lettered entries (up to 20)',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string' },
+                  todoId: { type: 'string' },
+                  op: { type: 'string', enum: ['upsert', 'delete'] },
+                  attempts: { type: 'integer' },
+                  lastError: { type: 'string' },
+                  createdAt: { type: 'string', format: 'date-time' },
+                },
+              },
+            },
+          },
+        },
+        ReindexStatus: {
+          type: 'object',
+          properties: {
+            status: {
+              type: 'string',
+              enum: ['idle', 'running', 'completed', 'failed'],
+              example: 'running',
+            },
+            alias: {
+              type: 'string',
+              description: 'Alias that serves searches (ELASTICSEARCH_INDEX)',
+              example: 'todos',
+            },
+            targetIndex: {
+              type: 'string',
+              description: 'New concrete index being built',
+              example: 'todos-20240124103000123',
+            },
+            previousIndices: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Indices the alias pointed to before the swap',
+            },
+            total: { type: 'integer', example: 1200 },
+            processed: { type: 'integer', example: 500 },
+            indexed: { type: 'integer', example: 498 },
+            skipped: {
+              type: 'integer',
+              description: 'Documents already written by live syncs during the copy',
+              example: 2,
+            },
+            replayed: {
+              type: 'integer',
+              description: 'Todos changed during the copy and re-indexed by the catch-up passes',
+              example: 3,
+            },
+            deleted: {
+              type: 'integer',
+              description: 'Documents removed by the catch-up passes because their todo was deleted during the copy',
+              example: 1,
+            },
+            aliasSwapped: {
+              type: 'boolean',
+              description: 'Whether the alias already points at the new index',
+              example: false,
+            },
+            failed: { type: 'integer', example: 0 },
+            percent: { type: 'integer', example: 41 },
+            startedAt: { type: 'string', format: 'date-time' },
+            finishedAt: { type: 'string', format: 'date-time', nullable: true },
+            error: { type: 'string', nullable: true },
+            message: { type: 'string' },
+          },
+        },
+        MigrationStatus: {
+          type: 'object',
+          properties: {
+            mongodb: {
+              type: 'object',
+              properties: {
+                currentVersion: { type: 'integer', description: 'Highest applied migration (0 if none)', example: 1 },
+                latestVersion: { type: 'integer', example: 2 },
+                upToDate: { type: 'boolean', example: false },
+                applied: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      version: { type: 'integer', example: 1 },
+                      description: { type: 'string' },
+                      appliedAt: { type: 'string', format: 'date-time' },
+                      durationMs: { type: 'integer', example: 42 },
+                    },
+                  },
+                },
+                pending: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      version: { type: 'integer', example: 2 },
+                      description: { type: 'string' },
+                    },
+                  },
+                },
+              },
+            },
+            elasticsearch: {
+              type: 'object',
+              properties: {
+                alias: { type: 'string', example: 'todos' },
+                indices: {
+                  type: 'object',
+                  description: 'Mapping version of each concrete index behind the alias',
+                  additionalProperties: { type: 'integer' },
+                  example: { 'todos-20240124103000123': 3 },
+                },
+                currentVersion: { type: 'integer', description: 'Lowest mapping version behind the alias', example: 3 },
+                latestVersion: { type: 'integer', example: 4 },
+                upToDate: { type: 'boolean', example: false },
+                pending: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      version: { type: 'integer', example: 4 },
+                      description: { type: 'string' },
+                      strategy: { type: 'string', enum: ['put_mapping', 'reindex'] },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+        DriftReport: {
           type: 'object',
           properties: {
-            error: {
+            checkedAt: { type: 'string', format: 'date-time' },
+            consistent: { type: 'boolean', example: false },
+            counts: {
+              type: 'object',
+              properties: {
+                mongodb: { type: 'integer', example: 42 },
+                elasticsearch: { type: 'integer', example: 41 },
+                missing: { type: 'integer', example: 2 },
+                extra: { type: 'integer', example: 1 },
+                mismatched: { type: 'integer', example: 1 },
+                syncing: { type: 'integer', example: 0 },
+              },
+            },
+            truncated: {
+              type: 'boolean',
+              description: 'True if any list below was cut at `limit`',
+              example: false,
+            },
+            missing: {
+              type: 'array',
+              description: 'Ids in MongoDB but not in Elasticsearch',
+              items: { type: 'string' },
+            },
+            extra: {
+              type: 'array',
+              description: 'Ids in Elasticsearch but not in MongoDB',
+              items: { type: 'string' },
+            },
+            mismatched: {
+              type: 'array',
+              description: 'Documents present in both stores with differing fields',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string' },
+                  fields: {
+                    type: 'object',
+                    additionalProperties: {
+                      type: 'object',
+                      properties: {
+                        mongodb: {},
+                        elasticsearch: {},
+                      },
+                    },
+                    example: {
+                      completed: { mongodb: true, elasticsearch: false },
+                    },
+                  },
+                },
+              },
+            },
+            syncing: {
+              type: 'array',
+              description: 'Ids that differ but have an outbox entry still pending or in delivery; left to the dispatcher and never repaired',
+              items: { type: 'string' },
+            },
+          },
+        },
+        Problem: {
+          type: 'object',
+          description: 'RFC 7807 problem details, served as `application/problem+json`',
+          required: ['type', 'title', 'status'],
+          properties: {
+            type: {
               type: 'string',
-              description: 'Error message',
-              example: 'Failed to create todo',
+              description: 'Problem type: `urn:problem-type:` followed by `validation-error`, `unauthorized`, `forbidden`, `not-found`, `conflict`, `too-many-requests`, `dependency-unavailable` or `timeout`; `about:blank` for any other error',
+              example: 'urn:problem-type:not-found',
             },
-            details: {
+            title: {
               type: 'string',
-              description: 'Additional error details',
-              example: 'Database connection failed',
+              description: 'HTTP status text',
+              example: 'Not Found',
+            },
+            status: {
+              type: 'integer',
+              example: 404,
+            },
+            detail: {
+              type: 'string',
+              description: 'What went wrong; unexpected errors only say `An unexpected error occurred`',
+              example: 'Todo not found',
+            },
+            instance: {
+              type: 'string',
+              description: 'Request path',
+              example: '/db/0b7c9a52-4a4d-4d53-9a53-3f2b8f0e6c11',
+            },
+            requestId: {
+              type: 'string',
+              description: 'Correlation ID, also returned in the `X-Request-Id` header',
+              example: '5f0c6a8e-2f55-4c1b-9d4e-8a1f0e7b6c3d',
+            },
+            errors: {
+              type: 'array',
+              description: 'Validation errors only: one entry per failed constraint',
+              items: {
+                type: 'object',
+                properties: {
+                  field: {
+                    type: 'string',
+                    nullable: true,
+                    description: 'Dotted path of the offending field; null when the error concerns the whole body',
+                    example: 'title',
+                  },
+                  message: {
+                    type: 'string',
+                    example: 'must NOT have more than 200 characters',
+                  },
+                },
+              },
+            },
+            dependency: {
+              type: 'string',
+              enum: ['mongodb', 'elasticsearch'],
+              description: 'Dependency-unavailable and timeout errors only: the backing service at fault',
+            },
+          },
+        },
+      },
+      parameters: {
+        ListLimit: {
+          in: 'query',
+          name: 'limit',
+          schema: { type: 'integer', default: 20, minimum: 1, maximum: 100 },
+          description: 'Page size',
+        },
+        ListCursor: {
+          in: 'query',
+          name: 'cursor',
+          schema: { type: 'string' },
+          description: 'Opaque `pagination.next` value from the previous page. Only valid with the same sort and order.',
+        },
+        ListSort: {
+          in: 'query',
+          name: 'sort',
+          schema: { type: 'string', enum: ['createdAt', 'title'], default: 'createdAt' },
+          description: 'Field to sort by',
+        },
+        ListOrder: {
+          in: 'query',
+          name: 'order',
+          schema: { type: 'string', enum: ['asc', 'desc'], default: 'desc' },
+          description: 'Sort direction',
+        },
+        ListCompleted: {
+          in: 'query',
+          name: 'completed',
+          schema: { type: 'boolean' },
+          description: 'Only return completed (true) or pending (false) todos',
+        },
+        ListCreatedFrom: {
+          in: 'query',
+          name: 'createdFrom',
+          schema: { type: 'string', format: 'date-time' },
+          description: 'Only return todos created at or after this time',
+        },
+        ListCreatedTo: {
+          in: 'query',
+          name: 'createdTo',
+          schema: { type: 'string', format: 'date-time' },
+          description: 'Only return todos created at or before this time',
+        },
+        ListDueFrom: {
+          in: 'query',
+          name: 'dueFrom',
+          schema: { type: 'string', format: 'date-time' },
+          description: 'Only return todos due at or after this time',
+        },
+        ListDueTo: {
+          in: 'query',
+          name: 'dueTo',
+          schema: { type: 'string', format: 'date-time' },
+          description: 'Only return todos due at or before this time',
+        },
+        ListPriority: {
+          in: 'query',
+          name: 'priority',
+          schema: { type: 'string', enum: ['low', 'medium', 'high'] },
+          description: 'Only return todos with this priority',
+        },
+        ListTag: {
+          in: 'query',
+          name: 'tag',
+          schema: { type: 'array', items: { type: 'string' } },
+          style: 'form',
+          explode: true,
+          description: 'Only return todos carrying every given tag (repeat the parameter or comma-separate)',
+        },
+        DriftLimit: {
+          in: 'query',
+          name: 'limit',
+          schema: {
+            type: 'integer',
+            default: 100,
+            minimum: 1,
+            maximum: 1000,
+          },
+          description: 'Max ids listed per drift category (clamped between 1-1000)',
+        },
+        TodoId: {
+          in: 'path',
+          name: 'id',
+          required: true,
+          schema: {
+            type: 'string',
+          },
+          description: 'Todo identifier (shared by MongoDB and Elasticsearch)',
+          example: '507f1f77bcf86cd799439011',
+        },
+        WorkspaceHeader: {
+          in: 'header',
+          name: 'X-Workspace-Id',
+          required: false,
+          schema: {
+            type: 'string',
+          },
+          description: 'Workspace whose todos the request reads or changes (default: the caller\'s personal workspace). Reading needs any role in it, changing todos at least `editor`.',
+          example: '65b0e3f2a1c4d5e6f7a8b9d0',
+        },
+        WorkspaceId: {
+          in: 'path',
+          name: 'workspaceId',
+          required: true,
+          schema: {
+            type: 'string',
+          },
+          description: 'Workspace identifier',
+          example: '65b0e3f2a1c4d5e6f7a8b9d0',
+        },
+        MemberUserId: {
+          in: 'path',
+          name: 'userId',
+          required: true,
+          schema: {
+            type: 'string',
+          },
+          description: 'User ID of the member',
+          example: '65b0e3f2a1c4d5e6f7a8b9c1',
+        },
+      },
+      responses: {
+        InvalidRequest: {
+          description: 'Bad request - the body or query does not match the schema',
+          content: {
+            'application/problem+json': {
+              schema: {
+                $ref: '#/components/schemas/Problem',
+              },
+              example: {
+                type: 'urn:problem-type:validation-error',
+                title: 'Bad Request',
+                status: 400,
+                detail: 'Invalid request body',
+                instance: '/db',
+                requestId: '5f0c6a8e-2f55-4c1b-9d4e-8a1f0e7b6c3d',
+                errors: [
+                  { field: 'title', message: 'must NOT have more than 200 characters' },
+                  { field: 'color', message: 'is not a known field' },
+                ],
+              },
+            },
+          },
+        },
+        InvalidListQuery: {
+          description: 'Bad request - invalid pagination, sort or filter parameter',
+          content: {
+            'application/problem+json': {
+              schema: {
+                $ref: '#/components/schemas/Problem',
+              },
+              example: {
+                type: 'urn:problem-type:validation-error',
+                title: 'Bad Request',
+                status: 400,
+                detail: 'limit must be an integer between 1 and 100',
+                instance: '/db?limit=500',
+                requestId: '5f0c6a8e-2f55-4c1b-9d4e-8a1f0e7b6c3d',
+              },
+            },
+          },
+        },
+        TodoNotFound: {
+          description: 'Todo not found in the workspace, or the workspace does not exist or the caller is not a member',
+          content: {
+            'application/problem+json': {
+              schema: {
+                $ref: '#/components/schemas/Problem',
+              },
+              example: {
+                type: 'urn:problem-type:not-found',
+                title: 'Not Found',
+                status: 404,
+                detail: 'Todo not found',
+                instance: '/db/0b7c9a52-4a4d-4d53-9a53-3f2b8f0e6c11',
+                requestId: '5f0c6a8e-2f55-4c1b-9d4e-8a1f0e7b6c3d',
+              },
+            },
+          },
+        },
+        Conflict: {
+          description: 'Conflict - the request clashes with work already in progress',
+          content: {
+            'application/problem+json': {
+              schema: {
+                $ref: '#/components/schemas/Problem',
+              },
+            },
+          },
+        },
+        ElasticsearchUnavailable: {
+          description: 'Service unavailable - Elasticsearch is unreachable. Retry after the number of seconds in `Retry-After`.',
+          headers: {
+            'Retry-After': {
+              schema: {
+                type: 'integer',
+              },
+              description: 'Seconds to wait before retrying',
+            },
+          },
+          content: {
+            'application/problem+json': {
+              schema: {
+                $ref: '#/components/schemas/Problem',
+              },
+              example: {
+                type: 'urn:problem-type:dependency-unavailable',
+                title: 'Service Unavailable',
+                status: 503,
+                detail: 'Elasticsearch is unavailable. Todos saved via /db are queued and indexed once it is back.',
+                instance: '/es',
+                requestId: '5f0c6a8e-2f55-4c1b-9d4e-8a1f0e7b6c3d',
+                dependency: 'elasticsearch',
+              },
+            },
+          },
+        },
+        Unauthorized: {
+          description: 'Unauthorized - the bearer token is missing or wrong',
+          headers: {
+            'WWW-Authenticate': {
+              schema: {
+                type: 'string',
+              },
+              description: 'Expected scheme: `Bearer`',
+            },
+          },
+          content: {
+            'application/problem+json': {
+              schema: {
+                $ref: '#/components/schemas/Problem',
+              },
+              example: {
+                type: 'urn:problem-type:unauthorized',
+                title: 'Unauthorized',
+                status: 401,
+                detail: 'A valid admin token is required: send Authorization: Bearer <HOG_ADMIN_TOKEN>',
+                instance: '/hog-resources',
+                requestId: '5f0c6a8e-2f55-4c1b-9d4e-8a1f0e7b6c3d',
+              },
+            },
+          },
+        },
+        AdminTokenRequired: {
+          description: 'Unauthorized - the admin token is missing or wrong',
+          headers: {
+            'WWW-Authenticate': {
+              schema: {
+                type: 'string',
+              },
+              description: 'Expected scheme: `Bearer`',
+            },
+          },
+          content: {
+            'application/problem+json': {
+              schema: {
+                $ref: '#/components/schemas/Problem',
+              },
+              example: {
+                type: 'urn:problem-type:unauthorized',
+                title: 'Unauthorized',
+                status: 401,
+                detail: 'A valid admin token is required: send Authorization: Bearer <ADMIN_TOKEN>',
+                instance: '/admin/sync',
+                requestId: '5f0c6a8e-2f55-4c1b-9d4e-8a1f0e7b6c3d',
+              },
+            },
+          },
+        },
+        AuthRequired: {
+          description: 'Unauthorized - the access token is missing, invalid or expired',
+          headers: {
+            'WWW-Authenticate': {
+              schema: {
+                type: 'string',
+              },
+              description: 'Expected scheme: `Bearer`',
+            },
+          },
+          content: {
+            'application/problem+json': {
+              schema: {
+                $ref: '#/components/schemas/Problem',
+              },
+              example: {
+                type: 'urn:problem-type:unauthorized',
+                title: 'Unauthorized',
+                status: 401,
+                detail: 'Authentication required: send Authorization: Bearer <access token>',
+                instance: '/db',
+                requestId: '5f0c6a8e-2f55-4c1b-9d4e-8a1f0e7b6c3d',
+              },
+            },
+          },
+        },
+        InvalidCredentials: {
+          description: 'Unauthorized - the email and password do not match an account',
+          headers: {
+            'WWW-Authenticate': {
+              schema: {
+                type: 'string',
+              },
+              description: 'Expected scheme: `Bearer`',
+            },
+          },
+          content: {
+            'application/problem+json': {
+              schema: {
+                $ref: '#/components/schemas/Problem',
+              },
+              example: {
+                type: 'urn:problem-type:unauthorized',
+                title: 'Unauthorized',
+                status: 401,
+                detail: 'Invalid email or password',
+                instance: '/auth/login',
+                requestId: '5f0c6a8e-2f55-4c1b-9d4e-8a1f0e7b6c3d',
+              },
+            },
+          },
+        },
+        InvalidRefreshToken: {
+          description: 'Unauthorized - the refresh token is invalid, expired or revoked by a logout',
+          headers: {
+            'WWW-Authenticate': {
+              schema: {
+                type: 'string',
+              },
+              description: 'Expected scheme: `Bearer`',
+            },
+          },
+          content: {
+            'application/problem+json': {
+              schema: {
+                $ref: '#/components/schemas/Problem',
+              },
+              example: {
+                type: 'urn:problem-type:unauthorized',
+                title: 'Unauthorized',
+                status: 401,
+                detail: 'The refresh token is invalid, expired or revoked; log in again',
+                instance: '/auth/refresh',
+                requestId: '5f0c6a8e-2f55-4c1b-9d4e-8a1f0e7b6c3d',
+              },
+            },
+          },
+        },
+        EmailTaken: {
+          description: 'Conflict - an account with this email already exists',
+          content: {
+            'application/problem+json': {
+              schema: {
+                $ref: '#/components/schemas/Problem',
+              },
+              example: {
+                type: 'urn:problem-type:conflict',
+                title: 'Conflict',
+                status: 409,
+                detail: 'An account with this email already exists',
+                instance: '/auth/register',
+                requestId: '5f0c6a8e-2f55-4c1b-9d4e-8a1f0e7b6c3d',
+              },
+            },
+          },
+        },
+        WorkspaceNotFound: {
+          description: 'Not found - the workspace does not exist or the caller is not a member',
+          content: {
+            'application/problem+json': {
+              schema: {
+                $ref: '#/components/schemas/Problem',
+              },
+              example: {
+                type: 'urn:problem-type:not-found',
+                title: 'Not Found',
+                status: 404,
+                detail: 'Workspace not found',
+                instance: '/db',
+                requestId: '5f0c6a8e-2f55-4c1b-9d4e-8a1f0e7b6c3d',
+              },
+            },
+          },
+        },
+        WorkspaceRoleTooLow: {
+          description: 'Forbidden - the caller\'s role in the workspace does not allow this',
+          content: {
+            'application/problem+json': {
+              schema: {
+                $ref: '#/components/schemas/Problem',
+              },
+              example: {
+                type: 'urn:problem-type:forbidden',
+                title: 'Forbidden',
+                status: 403,
+                detail: 'This needs at least the editor role in the workspace; yours is viewer',
+                instance: '/db',
+                requestId: '5f0c6a8e-2f55-4c1b-9d4e-8a1f0e7b6c3d',
+              },
+            },
+          },
+        },
+        AdminTokenNotConfigured: {
+          description: 'Forbidden - no ADMIN_TOKEN is configured, so every admin request is refused',
+          content: {
+            'application/problem+json': {
+              schema: {
+                $ref: '#/components/schemas/Problem',
+              },
+              example: {
+                type: 'urn:problem-type:forbidden',
+                title: 'Forbidden',
+                status: 403,
+                detail: 'Admin endpoints need an admin token. Set ADMIN_TOKEN to enable them.',
+                instance: '/admin/sync',
+                requestId: '5f0c6a8e-2f55-4c1b-9d4e-8a1f0e7b6c3d',
+              },
+            },
+          },
+        },
+        HogTokenNotConfigured: {
+          description: 'Forbidden - no HOG_ADMIN_TOKEN is configured, so every hog request is refused',
+          content: {
+            'application/problem+json': {
+              schema: {
+                $ref: '#/components/schemas/Problem',
+              },
+              example: {
+                type: 'urn:problem-type:forbidden',
+                title: 'Forbidden',
+                status: 403,
+                detail: 'Resource hog endpoints need an admin token. Set HOG_ADMIN_TOKEN to enable them.',
+                instance: '/hog-resources',
+                requestId: '5f0c6a8e-2f55-4c1b-9d4e-8a1f0e7b6c3d',
+              },
+            },
+          },
+        },
+        HogDisabled: {
+          description: 'Not found - the resource hog endpoints are disabled (HOG_ENABLED, off by default in production)',
+          content: {
+            'application/problem+json': {
+              schema: {
+                $ref: '#/components/schemas/Problem',
+              },
+              example: {
+                type: 'urn:problem-type:not-found',
+                title: 'Not Found',
+                status: 404,
+                detail: 'Resource hog endpoints are disabled. Set HOG_ENABLED=true to enable them.',
+                instance: '/hog-resources',
+                requestId: '5f0c6a8e-2f55-4c1b-9d4e-8a1f0e7b6c3d',
+              },
+            },
+          },
+        },
+        TooManyRequests: {
+          description: 'Too many requests from this client. Retry after the number of seconds in `Retry-After`.',
+          headers: {
+            'Retry-After': {
+              schema: {
+                type: 'integer',
+              },
+              description: 'Seconds until the current rate limit window ends',
+            },
+          },
+          content: {
+            'application/problem+json': {
+              schema: {
+                $ref: '#/components/schemas/Problem',
+              },
+              example: {
+                type: 'urn:problem-type:too-many-requests',
+                title: 'Too Many Requests',
+                status: 429,
+                detail: 'Rate limit of 10 requests per 60 seconds exceeded',
+                instance: '/hog-resources',
+                requestId: '5f0c6a8e-2f55-4c1b-9d4e-8a1f0e7b6c3d',
+              },
+            },
+          },
+        },
+        InternalError: {
+          description: 'Internal server error',
+          content: {
+            'application/problem+json': {
+              schema: {
+                $ref: '#/components/schemas/Problem',
+              },
+              example: {
+                type: 'about:blank',
+                title: 'Internal Server Error',
+                status: 500,
+                detail: 'An unexpected error occurred',
+                instance: '/db',
+                requestId: '5f0c6a8e-2f55-4c1b-9d4e-8a1f0e7b6c3d',
+              },
             },
           },
         },
@@ -0,0 +1,93 @@
+import { User } from '../models/user.js';
+import { hashPassword, verifyPassword, issueTokens, verifyToken } from '../services/auth.js';
+import { ensurePersonalWorkspace } from '../services/workspaces.js';
+import { audit, auditDenied } from '../services/audit.js';
+import { ConflictError, UnauthorizedError } from '../errors/index.js';
+
+const DUPLICATE_KEY = 11000;
+
+/**
+ * Shape a User document for API responses; never includes the password hash
+ */
+const formatUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  createdAt: user.createdAt,
+});
+
+/**
+ * Create an account with its personal workspace and log it in
+ */
+export const register = async (req, res) => {
+  const { email, password } = req.body;
+  const user = new User({ email, passwordHash: await hashPassword(password) });
+
+  try {
+    await user.save();
+  } catch (error) {
+    if (error.code === DUPLICATE_KEY) {
+      throw new ConflictError('An account with this email already exists', {}, { cause: error });
+    }
+    throw error;
+  }
+  await ensurePersonalWorkspace(user.id);
+
+  audit('auth.register', req, { userId: user.id });
+  res.status(201).json({ user: formatUser(user), ...issueTokens(user) });
+};
+
+/**
+ * Exchange an email and password for a token pair
+ */
+export const login = async (req, res) => {
+  const { email, password } = req.body;
+  const user = await User.findOne({ email: email.trim().toLowerCase() });
+
+  if (!(await verifyPassword(password, user?.passwordHash))) {
+    auditDenied('auth.login', req, user ? 'wrong password' : 'unknown email');
+    throw new UnauthorizedError('Invalid email or password');
+  }
+
+  audit('auth.login', req, { userId: user.id });
+  res.status(200).json({ user: formatUser(user), ...issueTokens(user) });
+};
+
+/**
+ * Exchange a refresh token for a new token pair
+ */
+export const refresh = async (req, res) => {
+  const claims = verifyToken(req.body.refreshToken, 'refresh');
+  const user = claims && await User.findOne({ id: claims.sub });
+
+  // Logging out bumps tokenVersion, revoking every refresh token issued before
+  if (!user || user.tokenVersion !== claims.tokenVersion) {
+    throw new UnauthorizedError('The refresh token is invalid, expired or revoked; log in again');
+  }
+
+  res.status(200).json({ user: formatUser(user), ...issueTokens(user) });
+};
+
+/**
+ * Revoke the caller's refresh tokens. Access tokens already issued stay
+ * valid until they expire.
+ */
+export const logout = async (req, res) => {
+  await User.updateOne({ id: req.user.id }, { $inc: { tokenVersion: 1 } });
+
+  audit('auth.logout', req, { userId: req.user.id });
+  res.status(204).send();
+};
+
+/**
+ * Get the caller's account
+ */
+export const getCurrentUser = async (req, res) => {
+  const user = await User.findOne({ id: req.user.id });
+
+  // The account may have been removed since the token was issued
+  if (!user) {
+    throw new UnauthorizedError('The account for this token no longer exists');
+  }
+
+  res.status(200).json(formatUser(user));
+};
@@ -0,0 +1,37 @@
+import { computeDrift, formatDrift, repairDrift, REPAIR_DIRECTIONS } from '../services/consistency.js';
+import { ValidationError } from '../errors/index.js';
+
+/**
+ * Parse and clamp the per-category listing limit
+ */
+function parseLimit(query) {
+  return Math.max(1, Math.min(1000, parseInt(query.limit || '100', 10) || 100));
+}
+
+/**
+ * Report drift between MongoDB and Elasticsearch
+ */
+export const checkConsistency = async (req, res) => {
+  const drift = await computeDrift();
+  res.status(200).json(formatDrift(drift, parseLimit(req.query)));
+};
+
+/**
+ * Report drift, then repair it in the requested direction
+ */
+export const repairConsistency = async (req, res) => {
+  const { direction } = req.query;
+
+  if (!REPAIR_DIRECTIONS.includes(direction)) {
+    throw new ValidationError(`direction must be one of: ${REPAIR_DIRECTIONS.join(', ')}`);
+  }
+
+  const drift = await computeDrift();
+  const repaired = await repairDrift(drift, direction);
+
+  res.status(200).json({
+    direction,
+    repaired,
+    drift: formatDrift(drift, parseLimit(req.query)),
+  });
+};
@@ -1,98 +1,191 @@
 import { Todo } from '../models/todo.js';
-import { getElasticsearchClient } from '../config/database.js';
-import config from '../config/ConfigService.js';
-import { getIndex } from './esController.js';
+import { withOutbox, outboxDispatcher } from '../services/esSync.js';
+import { parseListQuery, buildPage } from '../services/listQuery.js';
+import { normalizeTodoInput } from '../services/todoInput.js';
+import { logger } from '../services/logger.js';
+import { ValidationError, NotFoundError } from '../errors/index.js';
 
-const getIndexName = () => config.getElasticsearchConfig().indexName;
+/**
+ * Shape a Todo document for API responses
+ */
+const formatTodo = (todo) => ({
+  id: todo.id,
+  title: todo.title,
+  completed: todo.completed,
+  description: todo.description,
+  dueDate: todo.dueDate,
+  priority: todo.priority,
+  tags: todo.tags,
+  owner: todo.owner,
+  workspace: todo.workspace,
+  createdAt: todo.createdAt,
+  updatedAt: todo.updatedAt,
+});
+
+/**
+ * Persist a todo write together with an outbox entry, then try to sync it to
+ * Elasticsearch straight away. If ES is unavailable the outbox dispatcher
+ * retries in the background, so the request never fails because of ES.
+ */
+const saveWithSync = async (todoId, write) => {
+  const { result, entries } = await withOutbox(async (session, record) => {
+    // Record first: without a transaction an orphan entry is harmless, a lost one is not
+    await record(write.op, todoId);
+    return write.run(session);
+  });
 
-export const createTodo = async (req, res) => {
   try {
-    const { title, completed } = req.body;
+    await outboxDispatcher.deliverNow(entries);
+  } catch (error) {
+    logger.warn('Immediate Elasticsearch sync failed; the outbox will retry', { todoId, error: error.message });
+  }
 
-    if (!title) {
-      return res.status(400).json({ error: 'Title is required' });
-    }
+  return result;
+};
 
-    const todo = new Todo({
-      title,
-      completed: completed || false,
-    });
-
-    await todo.save();
-
-    // Auto-index in Elasticsearch
-    try {
-      console.log(`📤 Attempting to index todo in Elasticsearch: ${todo.id}`);
-      
-      // Ensure index exists
-      await getIndex();
-
-      const client = getElasticsearchClient();
-      const indexName = getIndexName();
-      
-      if (!client) {
-        throw new Error('Elasticsearch client is not available');
-      }
-
-      const esTodo = {
-        id: todo.id,
-        title: todo.title,
-        completed: todo.completed,
-        createdAt: todo.createdAt.toISOString(),
-      };
-
-      console.log(`   Indexing to: ${indexName}`);
-      console.log(`   Document:`, JSON.stringify(esTodo, null, 2));
-
-      const indexResult = await client.index({
-        index: indexName,
-        id: todo.id,
-        document: esTodo,
-        refresh: 'wait_for', // Make document immediately searchable
-      });
-      
-      console.log(`✅ Successfully indexed todo in Elasticsearch: ${todo.id}`);
-      console.log(`   Index result:`, JSON.stringify(indexResult, null, 2));
-    } catch (esError) {
-      // Log ES indexing error but don't fail the request
-      console.error('❌ Error indexing todo in Elasticsearch:', esError);
-      console.error('   Error message:', esError.message);
-      console.error('   Error stack:', esError.stack);
-      if (esError.meta) {
-        console.error('   Error meta:', JSON.stringify(esError.meta, null, 2));
-      }
-      if (esError.cause) {
-        console.error('   Error cause:', esError.cause);
-      }
-    }
+/**
+ * Find a todo of the selected workspace; a todo of another workspace is reported as missing
+ * @private
+ */
+const findWorkspaceTodo = async (req) => {
+  const todo = await Todo.findOne({ id: req.params.id, workspace: req.workspace.id });
 
-    res.status(201).json({
-      id: todo.id,
-      title: todo.title,
-      completed: todo.completed,
-      createdAt: todo.createdAt,
-    });
-  } catch (error) {
-    console.error('Error creating todo:', error);
-    res.status(500).json({ error: 'Failed to create todo' });
+  if (!todo) {
+    throw new NotFoundError('Todo not found');
   }
+  return todo;
+};
+
+export const createTodo = async (req, res) => {
+  const todo = new Todo({
+    ...normalizeTodoInput(req.body, { withDefaults: true }),
+    owner: req.user.id,
+    workspace: req.workspace.id,
+  });
+
+  // Auto-index in Elasticsearch
+  await saveWithSync(todo.id, {
+    op: 'upsert',
+    run: (session) => todo.save({ session }),
+  });
+
+  res.status(201).json(formatTodo(todo));
 };
 
 export const getTodos = async (req, res) => {
-  try {
-    const todos = await Todo.find().sort({ createdAt: -1 });
+  const parsed = parseListQuery(req.query);
+  if (parsed.error) {
+    throw new ValidationError(parsed.error);
+  }
+  const { params } = parsed;
 
-    const formattedTodos = todos.map((todo) => ({
-      id: todo.id,
-      title: todo.title,
-      completed: todo.completed,
-      createdAt: todo.createdAt,
-    }));
+  const filter = { workspace: req.workspace.id };
+  if (params.completed !== undefined) {
+    filter.completed = params.completed;
+  }
+  if (params.createdFrom || params.createdTo) {
+    filter.createdAt = {};
+    if (params.createdFrom) {
+      filter.createdAt.$gte = params.createdFrom;
+    }
+    if (params.createdTo) {
+      filter.createdAt.$lte = params.createdTo;
+    }
+  }
+  if (params.priority) {
+    filter.priority = params.priority;
+  }
+  if (params.tags) {
+    filter.tags = { $all: params.tags };
+  }
+  if (params.dueFrom || params.dueTo) {
+    filter.dueDate = {};
+    if (params.dueFrom) {
+      filter.dueDate.$gte = params.dueFrom;
+    }
+    if (params.dueTo) {
+      filter.dueDate.$lte = params.dueTo;
+    }
+  }
 
-    res.status(200).json(formattedTodos);
-  } catch (error) {
-    console.error('Error fetching todos:', error);
-    res.status(500).json({ error: 'Failed to fetch todos' });
+  // Keyset pagination on (sort field, id) so ties on the sort field are stable
+  const direction = params.order === 'asc' ? 1 : -1;
+  const pageFilter = { ...filter };
+  if (params.after) {
+    const [afterValue, afterId] = params.after;
+    const value = params.sort === 'createdAt' ? new Date(afterValue) : afterValue;
+    const beyond = direction === 1 ? '$gt' : '$lt';
+    pageFilter.$and = [
+      {
+        $or: [
+          { [params.sort]: { [beyond]: value } },
+          { [params.sort]: value, id: { [beyond]: afterId } },
+        ],
+      },
+    ];
   }
+
+  const [todos, total] = await Promise.all([
+    Todo.find(pageFilter)
+      .sort({ [params.sort]: direction, id: direction })
+      .limit(params.limit + 1),
+    Todo.countDocuments(filter),
+  ]);
+
+  const items = todos.slice(0, params.limit);
+  const last = items[items.length - 1];
+  const nextAfter = todos.length > params.limit
+    ? [params.sort === 'createdAt' ? last.createdAt.getTime() : last.title, last.id]
+    : null;
+
+  res.status(200).json(buildPage(params, items.map(formatTodo), total, nextAfter));
+};
+
+export const getTodoById = async (req, res) => {
+  const todo = await findWorkspaceTodo(req);
+
+  res.status(200).json(formatTodo(todo));
+};
+
+/**
+ * PATCH: update only the fields present in the body
+ */
+export const updateTodo = async (req, res) => {
+  const todo = await findWorkspaceTodo(req);
+
+  todo.set(normalizeTodoInput(req.body));
+
+  await saveWithSync(todo.id, {
+    op: 'upsert',
+    run: (session) => todo.save({ session }),
+  });
+
+  res.status(200).json(formatTodo(todo));
 };
 
+/**
+ * PUT: replace the writable fields; omitted optional fields reset to their defaults
+ */
+export const replaceTodo = async (req, res) => {
+  const todo = await findWorkspaceTodo(req);
+
+  todo.set(normalizeTodoInput(req.body, { withDefaults: true }));
+
+  await saveWithSync(todo.id, {
+    op: 'upsert',
+    run: (session) => todo.save({ session }),
+  });
+
+  res.status(200).json(formatTodo(todo));
+};
+
+export const deleteTodo = async (req, res) => {
+  const todo = await findWorkspaceTodo(req);
+
+  await saveWithSync(todo.id, {
+    op: 'delete',
+    run: (session) => Todo.deleteOne({ id: todo.id }, { session }),
+  });
+
+  res.status(204).send();
+};
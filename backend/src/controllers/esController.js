@@ -1,11 +1,33 @@
 import { getElasticsearchClient } from '../config/database.js';
 import config from '../config/ConfigService.js';
+import { TODO_PRIORITIES } from '../models/todo.js';
+import { buildIndexDefinition } from '../migrations/elasticsearch.js';
 import { v4 as uuidv4 } from 'uuid';
+import { parseListQuery, parseFilterQuery, buildPage, SORT_FIELDS, RELEVANCE_SORT } from '../services/listQuery.js';
+import { buildSearchClauses, getHighlight } from '../services/searchQuery.js';
+import { normalizeTodoInput } from '../services/todoInput.js';
+import { logger } from '../services/logger.js';
+import { ValidationError } from '../errors/index.js';
 
 const getIndexName = () => config.getElasticsearchConfig().indexName;
 
 /**
- * Ensures the Elasticsearch index exists, creating it if it doesn't
+ * Settings and mappings for a new concrete todo index (latest mapping version)
+ */
+export const getIndexDefinition = () => buildIndexDefinition();
+
+/**
+ * Name for a new concrete index behind the alias, e.g. `todos-20240124103000123`
+ */
+export const createVersionedIndexName = (alias) => {
+  const stamp = new Date().toISOString().replace(/[-:.TZ]/g, '');
+  return `${alias}-${stamp}`;
+};
+
+/**
+ * Ensures the Elasticsearch index exists, creating it if it doesn't.
+ * `ELASTICSEARCH_INDEX` names an alias; a fresh cluster gets a versioned
+ * concrete index behind it so it can later be rebuilt by the reindex job.
  * @returns {Promise<void>}
  */
 export const getIndex = async () => {
@@ -17,125 +39,281 @@ export const getIndex = async () => {
       throw new Error('Elasticsearch client is not initialized');
     }
     
-    console.log(`🔍 Checking if Elasticsearch index exists: ${indexName}`);
+    logger.debug('Checking Elasticsearch index', { alias: indexName });
     
     // Test connection first
     try {
       await client.ping();
-      console.log('✅ Elasticsearch connection verified');
     } catch (pingError) {
-      console.error('❌ Elasticsearch ping failed:', pingError.message);
-      throw new Error(`Cannot connect to Elasticsearch: ${pingError.message}`);
+      logger.error('Elasticsearch ping failed', { error: pingError.message });
+      // Rethrown as is so callers can tell an unreachable cluster apart
+      throw pingError;
     }
     
     const indexExists = await client.indices.exists({ index: indexName });
-    console.log(`   Index exists: ${indexExists}`);
     
     if (!indexExists) {
-      console.log(`📝 Creating Elasticsearch index: ${indexName}`);
+      const concreteIndex = createVersionedIndexName(indexName);
+      logger.info('Creating Elasticsearch index', { index: concreteIndex, alias: indexName });
       await client.indices.create({
-        index: indexName,
+        index: concreteIndex,
         body: {
-          // This app runs Elasticsearch as a single-node cluster in k8s.
-          // Default replicas=1 is unnecessary; keep it at 0.
-          settings: {
-            number_of_shards: 1,
-            number_of_replicas: 0,
-          },
-          mappings: {
-            properties: {
-              id: { type: 'keyword' },
-              title: { type: 'text' },
-              completed: { type: 'boolean' },
-              createdAt: { type: 'date' },
-            },
-          },
+          ...getIndexDefinition(),
+          aliases: { [indexName]: {} },
         },
       });
-      console.log(`✅ Created Elasticsearch index: ${indexName}`);
+      logger.info('Created Elasticsearch index', { index: concreteIndex, alias: indexName });
     } else {
-      console.log(`✅ Elasticsearch index already exists: ${indexName}`);
+      logger.debug('Elasticsearch index already exists', { alias: indexName });
     }
   } catch (error) {
-    console.error('❌ Error in getIndex:', error);
-    console.error('   Error details:', {
-      message: error.message,
-      stack: error.stack,
-      meta: error.meta,
-    });
+    logger.error('Error in getIndex', { error });
     throw error;
   }
 };
 
-export const indexTodo = async (req, res) => {
-  try {
-    const { title, completed } = req.body;
-
-    if (!title) {
-      return res.status(400).json({ error: 'Title is required' });
+/**
+ * Combine parsed search clauses with the shared filter params, limited to the
+ * todos of `workspace` so a search never reaches another tenant's
+ * @private
+ */
+const buildQuery = (search, filters, workspace) => {
+  const filter = [...search.filter, { term: { workspace } }];
+  if (filters.completed !== undefined) {
+    filter.push({ term: { completed: filters.completed } });
+  }
+  if (filters.createdFrom || filters.createdTo) {
+    const range = {};
+    if (filters.createdFrom) {
+      range.gte = filters.createdFrom.toISOString();
+    }
+    if (filters.createdTo) {
+      range.lte = filters.createdTo.toISOString();
+    }
+    filter.push({ range: { createdAt: range } });
+  }
+  if (filters.dueFrom || filters.dueTo) {
+    const range = {};
+    if (filters.dueFrom) {
+      range.gte = filters.dueFrom.toISOString();
+    }
+    if (filters.dueTo) {
+      range.lte = filters.dueTo.toISOString();
     }
+    filter.push({ range: { dueDate: range } });
+  }
+  if (filters.priority) {
+    filter.push({ term: { priority: filters.priority } });
+  }
+  for (const tag of filters.tags || []) {
+    filter.push({ term: { tags: tag } });
+  }
 
-    // Ensure index exists
-    await getIndex();
+  return { bool: { must: search.must, should: search.should, filter } };
+};
 
-    const client = getElasticsearchClient();
-    const id = uuidv4();
-    const todo = {
-      id,
-      title,
-      completed: completed || false,
-      createdAt: new Date().toISOString(),
-    };
+export const indexTodo = async (req, res) => {
+  // Ensure index exists
+  await getIndex();
 
-    await client.index({
-      index: getIndexName(),
-      id,
-      document: todo,
-      refresh: 'wait_for', // Make document immediately searchable
-    });
+  const client = getElasticsearchClient();
+  const id = uuidv4();
+  const input = normalizeTodoInput(req.body, { withDefaults: true });
+  const now = new Date().toISOString();
+  const todo = {
+    id,
+    ...input,
+    dueDate: input.dueDate ? input.dueDate.toISOString() : null,
+    owner: req.user.id,
+    workspace: req.workspace.id,
+    createdAt: now,
+    updatedAt: now,
+  };
 
-    res.status(201).json(todo);
-  } catch (error) {
-    console.error('Error indexing todo:', error);
-    res.status(500).json({ error: 'Failed to index todo' });
+  await client.index({
+    index: getIndexName(),
+    id,
+    document: todo,
+    refresh: 'wait_for', // Make document immediately searchable
+  });
+
+  res.status(201).json(todo);
+};
+
+/**
+ * The `q` search parameter; a repeated (`?q=a&q=b`) or nested (`?q[x]=1`)
+ * one is parsed into an array or object by Express, and refused
+ * @private
+ */
+const getSearchText = (query) => {
+  if (query.q !== undefined && typeof query.q !== 'string') {
+    throw new ValidationError('q must be given once, as a string');
   }
+  return query.q;
 };
 
+// `title.keyword` skips titles over 256 characters (`ignore_above`). Without
+// a value their sort key would be null, which the next-page cursor can't
+// carry, so they get a string that sorts after every real title.
+const TITLE_SORT_MISSING = { asc: '\u{10FFFF}', desc: '\u0000' };
+
 export const searchTodos = async (req, res) => {
-  try {
-    // Ensure index exists
-    await getIndex();
+  const search = buildSearchClauses(getSearchText(req.query));
 
-    const { q } = req.query;
-    const client = getElasticsearchClient();
+  // Relevance is the natural order for text searches, newest first otherwise
+  const parsed = parseListQuery(req.query, {
+    sorts: [RELEVANCE_SORT, ...SORT_FIELDS],
+    defaultSort: search.hasText ? RELEVANCE_SORT : 'createdAt',
+  });
+  if (parsed.error) {
+    throw new ValidationError(parsed.error);
+  }
+  const { params } = parsed;
 
-    let query = {
-      match_all: {},
-    };
+  // Ensure index exists
+  await getIndex();
 
-    if (q) {
-      query = {
-        wildcard: {
-          title: {
-            value: `*${q}*`,
-            case_insensitive: true,
-          },
-        },
-      };
-    }
+  const client = getElasticsearchClient();
 
-    const result = await client.search({
-      index: getIndexName(),
-      query,
-      size: 100,
-    });
+  const query = buildQuery(search, params, req.workspace.id);
 
-    const todos = result.hits.hits.map((hit) => hit._source);
+  // search_after on (sort field, id) mirrors the keyset pagination of GET /db
+  const sortField = { relevance: '_score', title: 'title.keyword' }[params.sort] || params.sort;
+  const sortOptions = params.sort === 'title'
+    ? { order: params.order, missing: TITLE_SORT_MISSING[params.order] }
+    : params.order;
+  const result = await client.search({
+    index: getIndexName(),
+    query,
+    sort: [{ [sortField]: sortOptions }, { id: params.order }],
+    track_scores: true,
+    highlight: getHighlight(),
+    size: params.limit + 1,
+    track_total_hits: true,
+    ...(params.after && { search_after: params.after }),
+  });
 
-    res.status(200).json(todos);
-  } catch (error) {
-    console.error('Error searching todos:', error);
-    res.status(500).json({ error: 'Failed to search todos' });
-  }
+  const hits = result.hits.hits;
+  const page = hits.slice(0, params.limit);
+  const nextAfter = hits.length > params.limit ? page[page.length - 1].sort : null;
+
+  const items = page.map((hit) => ({
+    ...hit._source,
+    score: hit._score,
+    ...(hit.highlight && { highlight: hit.highlight }),
+  }));
+
+  res.status(200).json(buildPage(params, items, result.hits.total.value, nextAfter));
 };
 
+const STATS_INTERVALS = ['day', 'week', 'month'];
+
+// Common words that would otherwise dominate the top title terms
+const STOPWORDS = ['a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it', 'of', 'on', 'or', 'the', 'to', 'with'];
+
+/**
+ * Todo statistics for dashboards: completed vs pending, todos created per
+ * interval, priorities, top title terms and tags, optionally scoped by the same `q` and
+ * filters as searchTodos. Only the todos of the selected workspace are counted.
+ */
+export const getTodoStats = async (req, res) => {
+  const q = getSearchText(req.query);
+  const parsed = parseFilterQuery(req.query);
+  if (parsed.error) {
+    throw new ValidationError(parsed.error);
+  }
+  const { filters } = parsed;
+
+  const interval = req.query.interval || 'day';
+  if (!STATS_INTERVALS.includes(interval)) {
+    throw new ValidationError(`interval must be one of: ${STATS_INTERVALS.join(', ')}`);
+  }
+  const topTermsSize = Math.max(1, Math.min(50, parseInt(req.query.topTerms || '10', 10) || 10));
+
+  // Ensure index exists
+  await getIndex();
+
+  const client = getElasticsearchClient();
+  const query = buildQuery(buildSearchClauses(q), filters, req.workspace.id);
+
+  const histogram = {
+    field: 'createdAt',
+    calendar_interval: interval,
+    min_doc_count: 0,
+  };
+  // Emit empty buckets across the whole requested range
+  if (filters.createdFrom || filters.createdTo) {
+    histogram.extended_bounds = {
+      ...(filters.createdFrom && { min: filters.createdFrom.toISOString() }),
+      ...(filters.createdTo && { max: filters.createdTo.toISOString() }),
+    };
+  }
+
+  const result = await client.search({
+    index: getIndexName(),
+    query,
+    size: 0,
+    track_total_hits: true,
+    aggs: {
+      status: {
+        terms: { field: 'completed', size: 2 },
+      },
+      createdOverTime: {
+        date_histogram: histogram,
+        aggs: {
+          completed: { filter: { term: { completed: true } } },
+        },
+      },
+      topTerms: {
+        terms: { field: 'title', size: topTermsSize, exclude: STOPWORDS },
+      },
+      priority: {
+        terms: { field: 'priority', size: 10 },
+      },
+      topTags: {
+        terms: { field: 'tags', size: topTermsSize },
+      },
+      createdAtStats: {
+        stats: { field: 'createdAt' },
+      },
+    },
+  });
+
+  const { aggregations } = result;
+  const statusCounts = { completed: 0, pending: 0 };
+  for (const bucket of aggregations.status.buckets) {
+    statusCounts[bucket.key ? 'completed' : 'pending'] = bucket.doc_count;
+  }
+  const createdAtStats = aggregations.createdAtStats;
+
+  res.status(200).json({
+    total: result.hits.total.value,
+    status: statusCounts,
+    createdOverTime: {
+      interval,
+      buckets: aggregations.createdOverTime.buckets.map((bucket) => ({
+        date: bucket.key_as_string,
+        count: bucket.doc_count,
+        completed: bucket.completed.doc_count,
+        pending: bucket.doc_count - bucket.completed.doc_count,
+      })),
+    },
+    topTerms: aggregations.topTerms.buckets.map((bucket) => ({
+      term: bucket.key,
+      count: bucket.doc_count,
+    })),
+    priority: Object.fromEntries(TODO_PRIORITIES.map((priority) => [
+      priority,
+      aggregations.priority.buckets.find((bucket) => bucket.key === priority)?.doc_count || 0,
+    ])),
+    topTags: aggregations.topTags.buckets.map((bucket) => ({
+      tag: bucket.key,
+      count: bucket.doc_count,
+    })),
+    createdAt: {
+      count: createdAtStats.count,
+      first: createdAtStats.min_as_string || null,
+      last: createdAtStats.max_as_string || null,
+    },
+  });
+};
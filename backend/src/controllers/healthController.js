@@ -0,0 +1,36 @@
+import { healthMonitor } from '../services/health.js';
+import { logger } from '../services/logger.js';
+
+/**
+ * Liveness probe: the process is up and serving requests
+ */
+export const getLiveness = (req, res) => {
+  res.status(200).json(healthMonitor.getLiveness());
+};
+
+/**
+ * Readiness probe: 503 while a required dependency is down
+ */
+export const getReadiness = async (req, res) => {
+  try {
+    const { ready, ...readiness } = await healthMonitor.getReadiness();
+    res.status(ready ? 200 : 503).json(readiness);
+  } catch (error) {
+    logger.error('Error checking readiness', { error });
+    res.status(503).json({ status: 'not_ready', error: error.message });
+  }
+};
+
+/**
+ * Connection summary for the legacy `GET /` health route
+ */
+export const getHealth = async (req, res) => {
+  const { status, dependencies } = await healthMonitor.getReadiness();
+  const connection = (name) => (dependencies[name].status === 'up' ? 'connected' : 'disconnected');
+
+  res.status(200).json({
+    status,
+    mongodb: connection('mongodb'),
+    elasticsearch: connection('elasticsearch'),
+  });
+};
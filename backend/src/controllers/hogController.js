@@ -1,168 +1,580 @@
 import { Worker } from 'worker_threads';
+import { EventEmitter } from 'events';
+import { mkdtempSync } from 'fs';
+import { rm } from 'fs/promises';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import config from '../config/ConfigService.js';
+import { logger } from '../services/logger.js';
+import { ValidationError, NotFoundError } from '../errors/index.js';
+import { toProfile, stageAt, profileDurationSeconds } from '../services/hogSchedule.js';
+import { openEventStream } from '../services/eventStream.js';
+import { EventLoopBlocker } from '../services/eventLoopBlocker.js';
+import { audit } from '../services/audit.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-// Singleton hog state
+// Singleton hog state; `config` is only set for flat settings, `profile` always.
+// `workers` maps worker IDs (1..N for each start) to `{ id, worker, profile, sample }`,
+// where `profile` is that worker's share of the load and `sample` its latest telemetry.
+// In `event-loop` mode the only "worker" is an EventLoopBlocker on the main thread.
 let hogState = {
-  worker: null,
+  workers: new Map(),
   config: null,
+  profile: null,
   startedAt: null,
 };
 
+// Hog lifecycle and worker telemetry, for the event stream: `started`,
+// `sample`, `worker_stopped` and `stopped`
+const hogEvents = new EventEmitter();
+// One listener per open stream
+hogEvents.setMaxListeners(0);
+
+/**
+ * @private
+ */
+const clearHogState = () => {
+  if (hogState.startedAt) {
+    hogEvents.emit('stopped', {});
+  }
+  hogState.workers = new Map();
+  hogState.config = null;
+  hogState.profile = null;
+  hogState.startedAt = null;
+};
+
+/**
+ * @private
+ */
+const getElapsedMs = () => Date.now() - new Date(hogState.startedAt).getTime();
+
+/**
+ * Progress through the running profile, in whole seconds
+ * @private
+ */
+const getStage = () => {
+  if (hogState.workers.size === 0) {
+    return null;
+  }
+  const position = stageAt(hogState.profile, getElapsedMs());
+  if (!position) {
+    return null;
+  }
+  const { stageRemainingMs, remainingMs, ...stage } = position;
+  return {
+    ...stage,
+    stageRemainingSeconds: Math.ceil(stageRemainingMs / 1000),
+    remainingSeconds: Math.ceil(remainingMs / 1000),
+  };
+};
+
+/**
+ * What each running worker currently holds
+ * @private
+ */
+const getWorkers = () => [...hogState.workers.values()].map(({ id, worker, profile, sample }) => {
+  const position = stageAt(profile, getElapsedMs());
+  return {
+    id,
+    threadId: worker.threadId,
+    memoryMb: position?.memoryMb ?? 0,
+    cpuDutyCycle: position?.cpuDutyCycle ?? 0,
+    sample: sample ?? null,
+  };
+});
+
+/**
+ * Resources held by all workers together; a worker at a duty cycle of 1 keeps one core busy
+ * @private
+ */
+const getTotals = (workers) => ({
+  workers: workers.length,
+  memoryMb: workers.reduce((total, worker) => total + worker.memoryMb, 0),
+  cpuMillicores: Math.round(workers.reduce((total, worker) => total + worker.cpuDutyCycle, 0) * 1000),
+});
+
+/**
+ * What the workers actually achieved together, from their latest samples
+ * @private
+ */
+const getTelemetry = (workers) => {
+  const samples = workers.map((worker) => worker.sample).filter(Boolean);
+  if (samples.length === 0) {
+    return null;
+  }
+  const latest = samples.reduce((a, b) => (a.time >= b.time ? a : b));
+  // Each mode samples only what it uses
+  const sum = (key) => samples.reduce((total, sample) => total + (sample[key] ?? 0), 0);
+  return {
+    sampledAt: latest.time,
+    allocatedBytes: sum('allocatedBytes'),
+    iterationsPerSecond: sum('iterationsPerSecond'),
+    cpuMillicores: Math.round(sum('cpuDutyCycle') * 1000),
+    diskBytes: sum('diskBytes'),
+    openFds: sum('openFds'),
+    // Process-wide, so the same for every worker
+    rssBytes: latest.rssBytes,
+  };
+};
+
+/**
+ * Current hog state for metrics
+ */
+export const getHogSnapshot = () => {
+  const workers = getWorkers();
+  return {
+    running: workers.length > 0,
+    config: hogState.config,
+    profile: hogState.profile,
+    stage: getStage(),
+    workers,
+    totals: getTotals(workers),
+    telemetry: getTelemetry(workers),
+    startedAt: hogState.startedAt,
+  };
+};
+
+/**
+ * Ask a worker to stop, terminating it if it hasn't after a second
+ * @private
+ */
+const stopWorker = ({ id, worker }) => {
+  worker.postMessage({ type: 'stop' });
+  const forceTimer = setTimeout(() => {
+    logger.warn('Force terminating hog worker', { workerId: id });
+    worker.terminate();
+  }, 1000);
+  worker.once('exit', () => clearTimeout(forceTimer));
+};
+
+/**
+ * Terminate the hog workers, if running, and wait for them to exit
+ * @returns {Promise<boolean>} Whether any worker was running
+ */
+export const terminateHog = async () => {
+  const workers = [...hogState.workers.values()];
+  if (workers.length === 0) {
+    return false;
+  }
+
+  clearHogState();
+  await Promise.all(workers.map(({ worker }) => worker.terminate()));
+  return true;
+};
+
 /**
- * Parse and clamp configuration from query params
+ * Pick the configuration from query params already validated against
+ * `HogConfig`, which also fills in the defaults. Only the settings of the
+ * chosen mode are kept; every mode auto-stops after `maxMinutes`.
  */
 function parseConfig(query) {
-  const memoryMb = Math.max(0, Math.min(2048, parseInt(query.memoryMb || '256', 10) || 256));
-  const cpuSliceMs = Math.max(1, Math.min(200, parseInt(query.cpuSliceMs || '20', 10) || 20));
-  const maxMinutes = Math.max(1, Math.min(120, parseInt(query.maxMinutes || '10', 10) || 10));
-  const intensityMultiplier = Math.max(1, Math.min(100, parseInt(query.intensityMultiplier || '2', 10) || 2));
+  const { mode, maxMinutes } = query;
+  switch (mode) {
+    case 'event-loop':
+      return { mode, blockMs: query.blockMs, blockIntervalMs: query.blockIntervalMs, maxMinutes };
+    case 'disk':
+      return { mode, diskMb: query.diskMb, maxMinutes };
+    case 'fds':
+      return { mode, fdCount: query.fdCount, fdKind: query.fdKind, maxMinutes };
+    default: {
+      const { memoryMb, cpuSliceMs, intensityMultiplier, workers, targetMillicores } = query;
+      return {
+        mode,
+        memoryMb,
+        cpuSliceMs,
+        maxMinutes,
+        intensityMultiplier,
+        ...(workers !== undefined && { workers }),
+        ...(targetMillicores !== undefined && { targetMillicores }),
+      };
+    }
+  }
+}
+
+// Hog setting -> limit in the `hog` config section
+const HOG_LIMITS = {
+  memoryMb: 'maxMemoryMb',
+  cpuSliceMs: 'maxCpuSliceMs',
+  maxMinutes: 'maxMinutes',
+  intensityMultiplier: 'maxIntensityMultiplier',
+  workers: 'maxWorkers',
+  blockMs: 'maxBlockMs',
+  diskMb: 'maxDiskMb',
+  fdCount: 'maxFileDescriptors',
+};
+
+/**
+ * Errors for a worker count or CPU target the limits don't allow
+ * @private
+ */
+function checkWorkerSettings({ workers, targetMillicores }, limits) {
+  if (workers !== undefined && targetMillicores !== undefined) {
+    return [{ field: 'workers', message: 'must not be combined with targetMillicores' }];
+  }
+  const maxMillicores = limits.maxWorkers * 1000;
+  if (targetMillicores > maxMillicores) {
+    return [{ field: 'targetMillicores', message: `must be <= ${maxMillicores}` }];
+  }
+  return [];
+}
+
+/**
+ * Errors for event-loop blocks that would leave no time between them, so
+ * the server could never answer, not even a request to stop
+ * @private
+ */
+function checkBlockSettings({ blockMs, blockIntervalMs }) {
+  if (blockMs !== undefined && blockIntervalMs <= blockMs) {
+    return [{ field: 'blockIntervalMs', message: 'must be > blockMs' }];
+  }
+  return [];
+}
+
+/**
+ * Reject settings above the configured limits, which can be lowered at
+ * runtime by a config reload
+ */
+function checkLimits(hogConfig) {
+  const limits = config.getHogConfig();
+  const errors = Object.entries(HOG_LIMITS)
+    .filter(([field, limit]) => hogConfig[field] > limits[limit])
+    .map(([field, limit]) => ({ field, message: `must be <= ${limits[limit]}` }))
+    .concat(checkWorkerSettings(hogConfig, limits))
+    .concat(checkBlockSettings(hogConfig));
+  if (errors.length > 0) {
+    throw new ValidationError('Resource hog settings exceed the configured limits', errors);
+  }
+}
+
+/**
+ * Same limits for a load profile: every stage's memory, the slice,
+ * intensity and workers, and the total duration
+ */
+function checkProfileLimits(profile) {
+  const limits = config.getHogConfig();
+  const errors = profile.stages
+    .map((stage, index) => [`stages.${index}.memoryMb`, stage.memoryMb, limits.maxMemoryMb])
+    .concat([
+      ['cpuSliceMs', profile.cpuSliceMs, limits.maxCpuSliceMs],
+      ['intensityMultiplier', profile.intensityMultiplier, limits.maxIntensityMultiplier],
+      ['workers', profile.workers, limits.maxWorkers],
+    ])
+    .filter(([, value, limit]) => value > limit)
+    .map(([field, , limit]) => ({ field, message: `must be <= ${limit}` }))
+    .concat(checkWorkerSettings(profile, limits));
+
+  const maxSeconds = limits.maxMinutes * 60;
+  if (profileDurationSeconds(profile) > maxSeconds) {
+    errors.push({ field: 'stages', message: `total duration, repeats included, must be <= ${maxSeconds} seconds` });
+  }
+  if (errors.length > 0) {
+    throw new ValidationError('Resource hog load profile exceeds the configured limits', errors);
+  }
+}
+
+/**
+ * Fill in the defaults of a body validated against `HogProfile`
+ */
+function parseProfile(body) {
+  const { stages, repeat = 1, cpuSliceMs = 100, intensityMultiplier = 2, workers, targetMillicores } = body;
+  return {
+    cpuSliceMs,
+    intensityMultiplier,
+    repeat,
+    ...(workers !== undefined && { workers }),
+    ...(targetMillicores !== undefined && { targetMillicores }),
+    stages: stages.map(({ transition = 'step', ...stage }) => ({ ...stage, transition })),
+  };
+}
+
+/**
+ * Each worker's share of the profile: memory is split evenly. With
+ * `targetMillicores`, there are enough workers for it and their duty cycles
+ * are scaled down so that together they burn just that much CPU.
+ */
+function splitProfile(profile, { workers, targetMillicores }) {
+  const count = targetMillicores !== undefined ? Math.ceil(targetMillicores / 1000) : workers ?? 1;
+  const cpuScale = targetMillicores !== undefined ? targetMillicores / (count * 1000) : 1;
+  const share = {
+    ...profile,
+    stages: profile.stages.map((stage) => ({
+      ...stage,
+      memoryMb: stage.memoryMb / count,
+      cpuDutyCycle: stage.cpuDutyCycle * cpuScale,
+    })),
+  };
+  return Array.from({ length: count }, () => share);
+}
+
+/**
+ * Settings the hog needs besides the profile; the disk mode gets a fresh
+ * temp directory under the configured `diskDir`
+ * @private
+ */
+function getModeSettings(hogConfig) {
+  const { mode = 'cpu', blockMs, blockIntervalMs, diskMb, fdCount, fdKind } = hogConfig ?? {};
+  switch (mode) {
+    case 'event-loop':
+      return { mode, blockMs, blockIntervalMs };
+    case 'disk':
+      return { mode, diskMb, dir: mkdtempSync(join(config.getHogConfig().diskDir, 'todo-hog-')) };
+    case 'fds':
+      return { mode, fdCount, fdKind };
+    default:
+      return { mode };
+  }
+}
+
+/**
+ * Start a worker thread following `profile` in the given mode, or, to block
+ * the event loop, an EventLoopBlocker on this thread
+ * @private
+ */
+function spawnWorker(id, profile, startedAt, mode) {
+  if (mode.mode === 'event-loop') {
+    const blocker = new EventLoopBlocker(id, profile, startedAt, mode);
+    return watchWorker(id, blocker, profile, mode);
+  }
+
+  const workerPath = join(__dirname, '../workers/hogWorker.js');
+  const worker = new Worker(workerPath, {
+    env: {
+      ...process.env,
+      HOG_CONFIG: JSON.stringify(profile),
+      HOG_MODE: JSON.stringify(mode),
+      HOG_WORKER_ID: String(id),
+      // The schedule runs from here, so /hog-status matches the worker
+      HOG_STARTED_AT: startedAt,
+    },
+    // Same command-line config overrides as this process
+    argv: process.argv.slice(2),
+  });
+  return watchWorker(id, worker, profile, mode);
+}
+
+/**
+ * Track a worker's samples and exit
+ * @private
+ */
+function watchWorker(id, worker, profile, mode) {
+  // Handle worker events; 'exit' follows 'error' too
+  worker.on('error', (err) => {
+    logger.error('Hog worker error', { workerId: id, error: err });
+  });
+  
+  worker.on('exit', (code) => {
+    logger.info('Hog worker exited', { workerId: id, code });
+    // Whether it stopped, was terminated or replaced, its files go
+    if (mode.dir) {
+      rm(mode.dir, { recursive: true, force: true }).catch((err) => {
+        logger.error('Failed to remove hog temp files', { workerId: id, dir: mode.dir, error: err });
+      });
+    }
+    // Only if it's still a current worker, not one replaced by a restart
+    if (hogState.workers.get(id)?.worker === worker) {
+      hogState.workers.delete(id);
+      if (hogState.workers.size === 0) {
+        clearHogState();
+      }
+    }
+  });
   
-  return { memoryMb, cpuSliceMs, maxMinutes, intensityMultiplier };
+  worker.on('message', (msg) => {
+    const entry = hogState.workers.get(id);
+    if (msg.type === 'sample' && entry?.worker === worker) {
+      entry.sample = msg.sample;
+      hogEvents.emit('sample', { workerId: id, ...msg.sample });
+      return;
+    }
+    logger.debug('Hog worker message', { workerId: id, message: msg });
+  });
+  
+  return { id, worker, profile, sample: null };
 }
 
 /**
- * Start resource hog
+ * Start resource hog, with the load profile in the body or, without one,
+ * the flat settings from the query params
  */
 export const startHog = async (req, res) => {
-  try {
-    // Stop existing worker if running (allows dynamic config updates)
-    if (hogState.worker) {
-      console.log('🔄 Stopping existing worker to start with new configuration');
-      hogState.worker.postMessage({ type: 'stop' });
-      hogState.worker.terminate();
-      hogState.worker = null;
-      hogState.config = null;
-      hogState.startedAt = null;
-    }
-    
+  let config = null;
+  let profile;
+  if (req.body?.stages) {
+    profile = parseProfile(req.body);
+    checkProfileLimits(profile);
+  } else {
     // Parse configuration from query params
-    const config = parseConfig(req.query);
-    
-    console.log('🔥 Starting resource hog with config:', config);
-    
-    // Create worker thread
-    const workerPath = join(__dirname, '../workers/hogWorker.js');
-    const worker = new Worker(workerPath, {
-      env: {
-        ...process.env,
-        HOG_CONFIG: JSON.stringify(config),
-      },
-    });
-    
-    // Handle worker events
-    worker.on('error', (err) => {
-      console.error('❌ Worker error:', err);
-      hogState.worker = null;
-      hogState.config = null;
-      hogState.startedAt = null;
-    });
-    
-    worker.on('exit', (code) => {
-      console.log(`🛑 Worker exited with code ${code}`);
-      hogState.worker = null;
-      hogState.config = null;
-      hogState.startedAt = null;
-    });
-    
-    worker.on('message', (msg) => {
-      console.log('[Worker message]:', msg);
-    });
-    
-    // Store state
-    hogState.worker = worker;
-    hogState.config = config;
-    hogState.startedAt = new Date().toISOString();
-    
-    res.status(202).json({
-      status: 'started',
-      config,
-      startedAt: hogState.startedAt,
-      message: `Resource hog started. Will auto-stop after ${config.maxMinutes} minutes.`,
-    });
-  } catch (error) {
-    console.error('Error starting resource hog:', error);
-    res.status(500).json({ error: 'Failed to start resource hog', details: error.message });
+    config = parseConfig(req.query);
+    checkLimits(config);
+    profile = toProfile(config);
   }
+  
+  // Stop existing workers if running (allows dynamic config updates)
+  const replaced = hogState.workers.size > 0;
+  if (replaced) {
+    logger.info('Stopping existing hog workers to restart with new configuration');
+    for (const { worker } of hogState.workers.values()) {
+      worker.postMessage({ type: 'stop' });
+      worker.terminate();
+    }
+    clearHogState();
+  }
+  
+  logger.info('Starting resource hog', config ? { config } : { profile });
+  const startedAt = new Date().toISOString();
+  
+  // Create worker threads
+  const shares = splitProfile(profile, config ?? profile);
+  shares.forEach((share, index) => {
+    const entry = spawnWorker(index + 1, share, startedAt, getModeSettings(config));
+    hogState.workers.set(entry.id, entry);
+  });
+  
+  // Store state
+  hogState.config = config;
+  hogState.profile = profile;
+  hogState.startedAt = startedAt;
+  
+  const workers = getWorkers();
+  const started = {
+    status: 'started',
+    ...(config && { config }),
+    profile,
+    workers,
+    totals: getTotals(workers),
+    startedAt: hogState.startedAt,
+  };
+  hogEvents.emit('started', started);
+  audit('hog.start', req, { ...(config ? { config } : { profile }), workers: shares.length, replaced });
+  
+  res.status(202).json({
+    ...started,
+    message: config
+      ? `Resource hog started in ${config.mode} mode. Will auto-stop after ${config.maxMinutes} minutes.`
+      : `Resource hog started with a ${profile.stages.length}-stage load profile. Will auto-stop after ${profileDurationSeconds(profile)} seconds.`,
+  });
 };
 
 /**
- * Stop resource hog
+ * Stop resource hog: every worker, or only the one given by `workerId`
  */
 export const stopHog = async (req, res) => {
-  try {
-    // Check if running
-    if (!hogState.worker) {
+  // Check if running
+  if (hogState.workers.size === 0) {
+    return res.status(200).json({
+      status: 'not_running',
+      message: 'Resource hog is not currently running.',
+    });
+  }
+  
+  const { workerId } = req.query;
+  if (workerId !== undefined) {
+    const entry = hogState.workers.get(workerId);
+    if (!entry) {
+      throw new NotFoundError(`No hog worker with ID ${workerId}`);
+    }
+    
+    // Stopping the last worker stops the hog, below
+    if (hogState.workers.size > 1) {
+      logger.info('Stopping resource hog worker', { workerId });
+      stopWorker(entry);
+      hogState.workers.delete(workerId);
+      hogEvents.emit('worker_stopped', { workerId });
+      audit('hog.stop', req, { workerId, remainingWorkers: hogState.workers.size });
+      
+      const workers = getWorkers();
       return res.status(200).json({
-        status: 'not_running',
-        message: 'Resource hog is not currently running.',
+        status: 'worker_stopped',
+        workerId,
+        workers,
+        totals: getTotals(workers),
+        message: `Resource hog worker ${workerId} stopped; ${workers.length} still running.`,
       });
     }
-    
-    console.log('🛑 Stopping resource hog');
-    
-    // Send stop message to worker
-    hogState.worker.postMessage({ type: 'stop' });
-    
-    // Force terminate after 1 second if it hasn't stopped
-    setTimeout(() => {
-      if (hogState.worker) {
-        console.log('⚠️  Force terminating worker');
-        hogState.worker.terminate();
-        hogState.worker = null;
-        hogState.config = null;
-        hogState.startedAt = null;
-      }
-    }, 1000);
-    
-    const stoppedConfig = hogState.config;
-    const runtime = hogState.startedAt 
-      ? Math.floor((Date.now() - new Date(hogState.startedAt).getTime()) / 1000)
-      : 0;
-    
-    // Clear state immediately
-    hogState.worker = null;
-    hogState.config = null;
-    hogState.startedAt = null;
-    
-    res.status(200).json({
-      status: 'stopped',
-      config: stoppedConfig,
-      runtime: `${runtime} seconds`,
-      message: 'Resource hog stopped successfully.',
-    });
-  } catch (error) {
-    console.error('Error stopping resource hog:', error);
-    res.status(500).json({ error: 'Failed to stop resource hog', details: error.message });
   }
+  
+  logger.info('Stopping resource hog');
+  
+  // Send stop message to every worker
+  for (const entry of hogState.workers.values()) {
+    stopWorker(entry);
+  }
+  
+  const stoppedConfig = hogState.config;
+  const stoppedProfile = hogState.profile;
+  const runtime = hogState.startedAt 
+    ? Math.floor((Date.now() - new Date(hogState.startedAt).getTime()) / 1000)
+    : 0;
+  
+  // Clear state immediately
+  clearHogState();
+  audit('hog.stop', req, {
+    ...(stoppedConfig ? { config: stoppedConfig } : { profile: stoppedProfile }),
+    runtimeSeconds: runtime,
+  });
+  
+  res.status(200).json({
+    status: 'stopped',
+    ...(stoppedConfig && { config: stoppedConfig }),
+    profile: stoppedProfile,
+    runtime: `${runtime} seconds`,
+    message: 'Resource hog stopped successfully.',
+  });
+};
+
+/**
+ * Body of `/hog-status`, also the first event of the stream
+ * @private
+ */
+const buildStatus = () => {
+  if (hogState.workers.size === 0) {
+    return { status: 'not_running' };
+  }
+  
+  const runtime = hogState.startedAt 
+    ? Math.floor((Date.now() - new Date(hogState.startedAt).getTime()) / 1000)
+    : 0;
+  
+  const workers = getWorkers();
+  return {
+    status: 'running',
+    ...(hogState.config && { config: hogState.config }),
+    profile: hogState.profile,
+    stage: getStage(),
+    workers,
+    totals: getTotals(workers),
+    telemetry: getTelemetry(workers),
+    startedAt: hogState.startedAt,
+    runtime: `${runtime} seconds`,
+  };
 };
 
 /**
  * Get hog status
  */
 export const getHogStatus = async (req, res) => {
-  try {
-    if (!hogState.worker) {
-      return res.status(200).json({
-        status: 'not_running',
-      });
+  res.status(200).json(buildStatus());
+};
+
+/**
+ * Stream hog events as Server-Sent Events: the current status first, then
+ * `started`, `sample` (per worker, about every second), `worker_stopped`
+ * and `stopped` as they happen
+ */
+export const streamHogTelemetry = async (req, res) => {
+  const stream = openEventStream(req, res);
+  stream.send('status', buildStatus());
+  
+  const listeners = ['started', 'sample', 'worker_stopped', 'stopped'].map((event) => {
+    const listener = (data) => stream.send(event, data);
+    hogEvents.on(event, listener);
+    return [event, listener];
+  });
+  res.on('close', () => {
+    for (const [event, listener] of listeners) {
+      hogEvents.off(event, listener);
     }
-    
-    const runtime = hogState.startedAt 
-      ? Math.floor((Date.now() - new Date(hogState.startedAt).getTime()) / 1000)
-      : 0;
-    
-    res.status(200).json({
-      status: 'running',
-      config: hogState.config,
-      startedAt: hogState.startedAt,
-      runtime: `${runtime} seconds`,
-    });
-  } catch (error) {
-    console.error('Error getting hog status:', error);
-    res.status(500).json({ error: 'Failed to get hog status', details: error.message });
-  }
+  });
 };
@@ -0,0 +1,9 @@
+import { register } from '../services/metrics.js';
+
+/**
+ * Serve all metrics in the Prometheus text exposition format
+ */
+export const getMetrics = async (req, res) => {
+  res.set('Content-Type', register.contentType);
+  res.status(200).send(await register.metrics());
+};
@@ -0,0 +1,27 @@
+import {
+  getMongoMigrationStatus,
+  getElasticsearchMigrationStatus,
+  applyMongoMigrations,
+  applyElasticsearchMigrations,
+} from '../services/migrator.js';
+
+/**
+ * Get MongoDB and Elasticsearch schema versions and pending migrations
+ */
+export const getMigrationStatus = async (req, res) => {
+  const [mongodb, elasticsearch] = await Promise.all([
+    getMongoMigrationStatus(),
+    getElasticsearchMigrationStatus(),
+  ]);
+  res.status(200).json({ mongodb, elasticsearch });
+};
+
+/**
+ * Apply pending migrations to both stores
+ */
+export const applyMigrations = async (req, res) => {
+  // MongoDB first: the Elasticsearch backfill mirrors its defaults
+  const mongodb = await applyMongoMigrations();
+  const elasticsearch = await applyElasticsearchMigrations();
+  res.status(200).json({ mongodb, elasticsearch });
+};
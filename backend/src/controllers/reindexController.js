@@ -0,0 +1,28 @@
+import { reindexJob } from '../services/reindex.js';
+import { ConflictError } from '../errors/index.js';
+
+/**
+ * Start rebuilding the Elasticsearch index from MongoDB
+ */
+export const startReindex = async (req, res) => {
+  if (reindexJob.isRunning()) {
+    throw new ConflictError('A reindex is already running. Poll GET /admin/reindex for progress.', {
+      reindex: reindexJob.getStatus(),
+    });
+  }
+
+  const deleteOld = req.query.deleteOld === 'true' || req.query.deleteOld === '1';
+  const status = reindexJob.start({ deleteOld });
+
+  res.status(202).json({
+    ...status,
+    message: `Reindexing into ${status.targetIndex}. Poll GET /admin/reindex for progress.`,
+  });
+};
+
+/**
+ * Get progress of the current or last reindex
+ */
+export const getReindexStatus = async (req, res) => {
+  res.status(200).json(reindexJob.getStatus());
+};
@@ -0,0 +1,23 @@
+import { outboxDispatcher } from '../services/esSync.js';
+
+/**
+ * Get outbox queue depth, dead letters and dispatcher counters
+ */
+export const getSyncStatus = async (req, res) => {
+  const status = await outboxDispatcher.getStatus();
+  res.status(200).json(status);
+};
+
+/**
+ * Requeue dead-lettered outbox entries and drain the queue
+ */
+export const retryDeadLetters = async (req, res) => {
+  const requeued = await outboxDispatcher.retryDeadLetters();
+  outboxDispatcher.drain();
+
+  res.status(202).json({
+    status: 'requeued',
+    requeued,
+    message: `${requeued} dead-lettered entries requeued for sync.`,
+  });
+};
@@ -0,0 +1,185 @@
+import { Workspace } from '../models/workspace.js';
+import { User } from '../models/user.js';
+import { Todo } from '../models/todo.js';
+import { audit } from '../services/audit.js';
+import { ConflictError, ForbiddenError, NotFoundError } from '../errors/index.js';
+
+/**
+ * Shape a Workspace document for API responses, with the caller's role in it
+ */
+const formatWorkspace = (workspace, userId) => ({
+  id: workspace.id,
+  name: workspace.name,
+  personal: workspace.personal,
+  role: workspace.members.find((member) => member.userId === userId)?.role ?? null,
+  memberCount: workspace.members.length,
+  createdAt: workspace.createdAt,
+});
+
+/**
+ * Members of a workspace with their emails
+ * @private
+ */
+const formatMembers = async (workspace) => {
+  const users = await User.find({ id: { $in: workspace.members.map((member) => member.userId) } });
+  const emails = new Map(users.map((user) => [user.id, user.email]));
+
+  return workspace.members.map((member) => ({
+    userId: member.userId,
+    email: emails.get(member.userId) ?? null,
+    role: member.role,
+  }));
+};
+
+/**
+ * Refuse a change that would leave the workspace without an owner
+ * @private
+ */
+const keepAnOwner = (workspace, userId) => {
+  const otherOwners = workspace.members.filter((member) => member.role === 'owner' && member.userId !== userId);
+  if (otherOwners.length === 0) {
+    throw new ConflictError('A workspace needs at least one owner; make another member owner first');
+  }
+};
+
+/**
+ * @private
+ */
+const findMember = (workspace, userId) => {
+  const member = workspace.members.find((candidate) => candidate.userId === userId);
+  if (!member) {
+    throw new NotFoundError('Member not found');
+  }
+  return member;
+};
+
+/**
+ * List the workspaces the caller belongs to, personal workspace first
+ */
+export const listWorkspaces = async (req, res) => {
+  const workspaces = await Workspace.find({ 'members.userId': req.user.id }).sort({ personal: -1, createdAt: 1 });
+
+  res.status(200).json({ items: workspaces.map((workspace) => formatWorkspace(workspace, req.user.id)) });
+};
+
+/**
+ * Create a shared workspace owned by the caller
+ */
+export const createWorkspace = async (req, res) => {
+  const workspace = new Workspace({
+    name: req.body.name,
+    members: [{ userId: req.user.id, role: 'owner' }],
+  });
+  await workspace.save();
+
+  audit('workspace.create', req, { workspaceId: workspace.id });
+  res.status(201).json(formatWorkspace(workspace, req.user.id));
+};
+
+/**
+ * Get a workspace and its members
+ */
+export const getWorkspace = async (req, res) => {
+  const workspace = req.workspace.document;
+
+  res.status(200).json({
+    ...formatWorkspace(workspace, req.user.id),
+    members: await formatMembers(workspace),
+  });
+};
+
+/**
+ * Rename a workspace
+ */
+export const updateWorkspace = async (req, res) => {
+  const workspace = req.workspace.document;
+  workspace.name = req.body.name;
+  await workspace.save();
+
+  res.status(200).json(formatWorkspace(workspace, req.user.id));
+};
+
+/**
+ * Delete an empty shared workspace
+ */
+export const deleteWorkspace = async (req, res) => {
+  const workspace = req.workspace.document;
+  if (workspace.personal) {
+    throw new ConflictError('A personal workspace cannot be deleted');
+  }
+  // Refused rather than deleting the todos along with it
+  if (await Todo.exists({ workspace: workspace.id })) {
+    throw new ConflictError('The workspace still has todos; delete them first');
+  }
+
+  await Workspace.deleteOne({ id: workspace.id });
+
+  audit('workspace.delete', req, { workspaceId: workspace.id });
+  res.status(204).send();
+};
+
+/**
+ * Add a registered user to a workspace
+ */
+export const addMember = async (req, res) => {
+  const workspace = req.workspace.document;
+  const { email, role } = req.body;
+  if (workspace.personal) {
+    throw new ConflictError('A personal workspace cannot be shared; create a workspace for the team instead');
+  }
+
+  const user = await User.findOne({ email: email.trim().toLowerCase() });
+  if (!user) {
+    throw new NotFoundError('No user is registered with this email');
+  }
+  if (workspace.members.some((member) => member.userId === user.id)) {
+    throw new ConflictError('The user is already a member; change their role instead');
+  }
+
+  workspace.members.push({ userId: user.id, role });
+  await workspace.save();
+
+  audit('workspace.member.add', req, { workspaceId: workspace.id, userId: user.id, role });
+  res.status(201).json({ userId: user.id, email: user.email, role });
+};
+
+/**
+ * Change a member's role
+ */
+export const updateMember = async (req, res) => {
+  const workspace = req.workspace.document;
+  const { userId } = req.params;
+  const { role } = req.body;
+  const member = findMember(workspace, userId);
+  if (member.role === 'owner' && role !== 'owner') {
+    keepAnOwner(workspace, userId);
+  }
+
+  member.role = role;
+  await workspace.save();
+
+  audit('workspace.member.update', req, { workspaceId: workspace.id, userId, role });
+  const user = await User.findOne({ id: userId });
+  res.status(200).json({ userId, email: user?.email ?? null, role });
+};
+
+/**
+ * Remove a member; owners remove anyone, other members only themselves (leave)
+ */
+export const removeMember = async (req, res) => {
+  const workspace = req.workspace.document;
+  const { userId } = req.params;
+  if (userId !== req.user.id && req.workspace.role !== 'owner') {
+    throw new ForbiddenError('Only owners can remove other members');
+  }
+  const member = findMember(workspace, userId);
+  if (member.role === 'owner') {
+    keepAnOwner(workspace, userId);
+  }
+
+  workspace.members = workspace.members.filter((candidate) => candidate.userId !== userId);
+  await workspace.save();
+
+  audit('workspace.member.remove', req, { workspaceId: workspace.id, userId });
+  res.status(204).send();
+};
@@ -0,0 +1,152 @@
+import { STATUS_CODES } from 'http';
+
+/**
+ * Error classes mapped to HTTP responses.
+ *
+ * Controllers throw these; the error handler middleware turns them into an
+ * RFC 7807 `application/problem+json` document. Each subclass fixes the
+ * status code, problem `type` and `title`; the message becomes `detail` and
+ * `extensions` are added to the document as extra members.
+ */
+
+const PROBLEM_TYPE_PREFIX = 'urn:problem-type:';
+
+/**
+ * Base class; used as is for unexpected errors (500, `about:blank`)
+ */
+export class AppError extends Error {
+  status = 500;
+  type = 'about:blank';
+
+  /**
+   * @param {string} detail - Human-readable explanation, safe to show to clients
+   * @param {Object} [extensions] - Extra members of the problem document
+   * @param {Object} [options] - Passed to Error, e.g. `{ cause }`
+   */
+  constructor(detail, extensions = {}, options) {
+    super(detail, options);
+    this.name = this.constructor.name;
+    this.extensions = extensions;
+  }
+
+  get title() {
+    return STATUS_CODES[this.status];
+  }
+
+  /**
+   * Problem document for the response
+   * @param {Object} context
+   * @param {string} context.instance - Request path
+   * @param {string} [context.requestId]
+   */
+  toProblem({ instance, requestId }) {
+    return {
+      type: this.type,
+      title: this.title,
+      status: this.status,
+      detail: this.message,
+      instance,
+      ...(requestId && { requestId }),
+      ...this.extensions,
+    };
+  }
+}
+
+/**
+ * Any other HTTP error without special semantics, e.g. 413 from the body parser
+ */
+export class HttpError extends AppError {
+  constructor(status, detail, extensions, options) {
+    super(detail, extensions, options);
+    this.status = status;
+  }
+}
+
+/**
+ * 400: the request is malformed or fails validation
+ */
+export class ValidationError extends AppError {
+  status = 400;
+  type = `${PROBLEM_TYPE_PREFIX}validation-error`;
+
+  /**
+   * @param {string} detail
+   * @param {Array<{ field: string|null, message: string }>} [errors] - Per-field failures
+   */
+  constructor(detail, errors = [], options) {
+    super(detail, errors.length > 0 ? { errors } : {}, options);
+  }
+}
+
+/**
+ * 401: credentials are missing or wrong. The response carries
+ * `WWW-Authenticate` with the expected scheme.
+ */
+export class UnauthorizedError extends AppError {
+  status = 401;
+  type = `${PROBLEM_TYPE_PREFIX}unauthorized`;
+  authenticateScheme = 'Bearer';
+}
+
+/**
+ * 403: the request is understood but not allowed
+ */
+export class ForbiddenError extends AppError {
+  status = 403;
+  type = `${PROBLEM_TYPE_PREFIX}forbidden`;
+}
+
+/**
+ * 404: the resource or route does not exist
+ */
+export class NotFoundError extends AppError {
+  status = 404;
+  type = `${PROBLEM_TYPE_PREFIX}not-found`;
+}
+
+/**
+ * 409: the request conflicts with the current state
+ */
+export class ConflictError extends AppError {
+  status = 409;
+  type = `${PROBLEM_TYPE_PREFIX}conflict`;
+}
+
+/**
+ * 429: the client sent too many requests. The response carries `Retry-After`.
+ */
+export class TooManyRequestsError extends AppError {
+  status = 429;
+  type = `${PROBLEM_TYPE_PREFIX}too-many-requests`;
+
+  constructor(detail, { retryAfterSeconds, ...options } = {}) {
+    super(detail, {}, options);
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+/**
+ * 503: a backing service (`mongodb`, `elasticsearch`) cannot be reached.
+ * The response carries `Retry-After`.
+ */
+export class DependencyUnavailableError extends AppError {
+  status = 503;
+  type = `${PROBLEM_TYPE_PREFIX}dependency-unavailable`;
+
+  constructor(dependency, detail, { retryAfterSeconds = 10, ...options } = {}) {
+    super(detail, { dependency }, options);
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+/**
+ * 504: a backing service did not answer in time
+ */
+export class TimeoutError extends AppError {
+  status = 504;
+  type = `${PROBLEM_TYPE_PREFIX}timeout`;
+
+  constructor(dependency, detail, options) {
+    super(detail, { dependency }, options);
+  }
+}
@@ -0,0 +1,100 @@
+import mongoose from 'mongoose';
+import { errors as esErrors } from '@elastic/elasticsearch';
+import {
+  AppError,
+  HttpError,
+  ValidationError,
+  ConflictError,
+  DependencyUnavailableError,
+  TimeoutError,
+} from './index.js';
+
+const { mongo } = mongoose;
+
+// MongoDB server error codes
+const DUPLICATE_KEY = 11000;
+const MAX_TIME_MS_EXPIRED = 50;
+
+/**
+ * @private
+ */
+const translateElasticsearchError = (error) => {
+  if (error instanceof esErrors.TimeoutError) {
+    return new TimeoutError('elasticsearch', 'Elasticsearch did not respond in time', { cause: error });
+  }
+  if (error instanceof esErrors.ConnectionError || error instanceof esErrors.NoLivingConnectionsError) {
+    return new DependencyUnavailableError('elasticsearch', 'Elasticsearch is unreachable', { cause: error });
+  }
+  if (error instanceof esErrors.ResponseError) {
+    if (error.statusCode === 409) {
+      return new ConflictError('The document was modified concurrently', {}, { cause: error });
+    }
+    if (error.statusCode === 429 || error.statusCode === 503) {
+      return new DependencyUnavailableError('elasticsearch', 'Elasticsearch is overloaded', { cause: error });
+    }
+  }
+  return null;
+};
+
+/**
+ * @private
+ */
+const translateMongoError = (error) => {
+  if (error instanceof mongoose.Error.ValidationError) {
+    const errors = Object.values(error.errors).map((fieldError) => ({
+      field: fieldError.path,
+      message: fieldError.message,
+    }));
+    return new ValidationError('The document failed validation', errors, { cause: error });
+  }
+  if (error instanceof mongoose.Error.CastError) {
+    return new ValidationError(`Invalid value for ${error.path}`, [], { cause: error });
+  }
+  if (error.code === DUPLICATE_KEY) {
+    return new ConflictError('A document with the same key already exists', {}, { cause: error });
+  }
+  if (error.code === MAX_TIME_MS_EXPIRED || error instanceof mongo.MongoNetworkTimeoutError) {
+    return new TimeoutError('mongodb', 'MongoDB did not respond in time', { cause: error });
+  }
+  if (
+    error instanceof mongo.MongoServerSelectionError
+    || error instanceof mongoose.Error.MongooseServerSelectionError
+    || error instanceof mongo.MongoNetworkError
+    // Queries buffered while disconnected fail with a plain MongooseError
+    || /buffering timed out/.test(error.message)
+  ) {
+    return new DependencyUnavailableError('mongodb', 'MongoDB is unreachable', { cause: error });
+  }
+  return null;
+};
+
+/**
+ * Map any thrown value to an AppError: AppErrors pass through, Elasticsearch
+ * and MongoDB driver errors and body-parser errors get their matching class,
+ * anything else becomes a generic 500 that hides the original message.
+ * @param {unknown} error
+ * @returns {AppError}
+ */
+export const translateError = (error) => {
+  if (error instanceof AppError) {
+    return error;
+  }
+  if (!(error instanceof Error)) {
+    return new AppError('An unexpected error occurred', {}, { cause: error });
+  }
+
+  const translated = translateElasticsearchError(error) ?? translateMongoError(error);
+  if (translated) {
+    return translated;
+  }
+
+  // body-parser and other http-errors style errors
+  if (error.type === 'entity.parse.failed') {
+    return new ValidationError('Request body is not valid JSON', [], { cause: error });
+  }
+  if (error.expose && error.status >= 400 && error.status < 500) {
+    return new HttpError(error.status, error.message, {}, { cause: error });
+  }
+
+  return new AppError('An unexpected error occurred', {}, { cause: error });
+};
@@ -0,0 +1,25 @@
+import config from '../config/ConfigService.js';
+import { ForbiddenError, UnauthorizedError } from '../errors/index.js';
+import { auditDenied } from '../services/audit.js';
+import { getBearerToken, tokensMatch } from './bearerToken.js';
+
+/**
+ * Gate for the /admin endpoints, which can requeue, rebuild and overwrite
+ * data in both stores: 403 if no admin token is configured (`ADMIN_TOKEN`),
+ * and 401 unless the request sends it as `Authorization: Bearer <token>`.
+ * The token is read per request, so a config reload applies right away.
+ */
+export const requireAdminAccess = (req, res, next) => {
+  const { token: adminToken } = config.getAdminConfig();
+  if (!adminToken) {
+    auditDenied('admin.access', req, 'no admin token configured');
+    return next(new ForbiddenError('Admin endpoints need an admin token. Set ADMIN_TOKEN to enable them.'));
+  }
+
+  const token = getBearerToken(req);
+  if (!token || !tokensMatch(token, adminToken)) {
+    auditDenied('admin.access', req, token ? 'invalid token' : 'missing token');
+    return next(new UnauthorizedError('A valid admin token is required: send Authorization: Bearer <ADMIN_TOKEN>'));
+  }
+  next();
+};
@@ -0,0 +1,36 @@
+import config from '../config/ConfigService.js';
+import { UnauthorizedError } from '../errors/index.js';
+import { verifyToken } from '../services/auth.js';
+import { auditDenied } from '../services/audit.js';
+import { rateLimit } from './rateLimit.js';
+import { getBearerToken } from './bearerToken.js';
+
+/**
+ * Gate for the todo endpoints: 401 unless the request sends a valid access
+ * token as `Authorization: Bearer <token>`. Sets `req.user` to
+ * `{ id, email }` of the caller.
+ */
+export const requireAuth = (req, res, next) => {
+  const token = getBearerToken(req);
+  const claims = token && verifyToken(token, 'access');
+  if (!claims) {
+    return next(new UnauthorizedError(token
+      ? 'The access token is invalid or expired; refresh it or log in again'
+      : 'Authentication required: send Authorization: Bearer <access token>'));
+  }
+
+  req.user = { id: claims.sub, email: claims.email };
+  next();
+};
+
+/**
+ * Per-client limit on the login, registration and refresh endpoints
+ * (`AUTH_RATE_LIMIT` per `AUTH_RATE_LIMIT_WINDOW_MS`), against password guessing
+ */
+export const authRateLimit = rateLimit(
+  () => {
+    const { rateLimit: limit, rateLimitWindowMs: windowMs } = config.getAuthConfig();
+    return { limit, windowMs };
+  },
+  { onLimited: (req) => auditDenied('auth', req, 'rate limited') },
+);
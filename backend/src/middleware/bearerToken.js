@@ -0,0 +1,18 @@
+import { createHash, timingSafeEqual } from 'crypto';
+
+const BEARER_PATTERN = /^Bearer\s+(\S+)$/i;
+
+/**
+ * The token a request sends as `Authorization: Bearer <token>`, if any
+ * @param {import('express').Request} req
+ * @returns {string|undefined}
+ */
+export const getBearerToken = (req) => BEARER_PATTERN.exec(req.get('Authorization') ?? '')?.[1];
+
+/**
+ * Compare tokens in constant time; hashing first evens out the lengths
+ * @param {string} given
+ * @param {string} expected
+ */
+export const tokensMatch = (given, expected) =>
+  timingSafeEqual(createHash('sha256').update(given).digest(), createHash('sha256').update(expected).digest());
@@ -0,0 +1,52 @@
+import { NotFoundError, DependencyUnavailableError, TimeoutError } from '../errors/index.js';
+import { translateError } from '../errors/translate.js';
+import { logger } from '../services/logger.js';
+
+const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+
+/**
+ * Wrap an async route handler so rejections reach the error handler
+ * (Express 4 only forwards synchronous throws)
+ */
+export const asyncHandler = (handler) => (req, res, next) => {
+  Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+/**
+ * 404 for requests no route matched
+ */
+export const notFoundHandler = (req, res, next) => {
+  next(new NotFoundError(`No route for ${req.method} ${req.path}`));
+};
+
+/**
+ * Render any error as an RFC 7807 problem document carrying the request ID.
+ * Unexpected errors are logged with their stack and answered with a generic
+ * 500; dependency failures are logged as warnings and client errors only at
+ * debug level.
+ */
+export const errorHandler = (err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const error = translateError(err);
+  if (error instanceof DependencyUnavailableError || error instanceof TimeoutError) {
+    // Expected while a dependency is down; the cause is enough without a stack
+    logger.warn('Request failed', { status: error.status, detail: error.message, cause: err.message });
+  } else if (error.status >= 500) {
+    logger.error('Request failed', { status: error.status, error: err });
+  } else {
+    logger.debug('Request rejected', { status: error.status, detail: error.message });
+  }
+
+  if (error.retryAfterSeconds !== undefined) {
+    res.set('Retry-After', String(error.retryAfterSeconds));
+  }
+  if (error.authenticateScheme) {
+    res.set('WWW-Authenticate', error.authenticateScheme);
+  }
+  res.status(error.status)
+    .type(PROBLEM_CONTENT_TYPE)
+    .json(error.toProblem({ instance: req.originalUrl, requestId: req.id }));
+};
@@ -0,0 +1,58 @@
+import config from '../config/ConfigService.js';
+import { NotFoundError, ForbiddenError, UnauthorizedError } from '../errors/index.js';
+import { auditDenied } from '../services/audit.js';
+import { rateLimit } from './rateLimit.js';
+import { getBearerToken, tokensMatch } from './bearerToken.js';
+
+/**
+ * Gate for every resource hog endpoint: 404 while the hog is disabled
+ * (`HOG_ENABLED`, off by default in production), 403 if no admin token is
+ * configured, and 401 unless the request sends it as
+ * `Authorization: Bearer <token>`. Settings are read per request, so a
+ * config reload applies right away.
+ */
+export const requireHogAccess = (req, res, next) => {
+  const { enabled, adminToken } = config.getHogConfig();
+  if (!enabled) {
+    auditDenied('hog.access', req, 'disabled');
+    return next(new NotFoundError('Resource hog endpoints are disabled. Set HOG_ENABLED=true to enable them.'));
+  }
+  if (!adminToken) {
+    auditDenied('hog.access', req, 'no admin token configured');
+    return next(new ForbiddenError('Resource hog endpoints need an admin token. Set HOG_ADMIN_TOKEN to enable them.'));
+  }
+
+  const token = getBearerToken(req);
+  if (!token || !tokensMatch(token, adminToken)) {
+    auditDenied('hog.access', req, token ? 'invalid token' : 'missing token');
+    return next(new UnauthorizedError('A valid admin token is required: send Authorization: Bearer <HOG_ADMIN_TOKEN>'));
+  }
+  next();
+};
+
+/**
+ * Per-client limit on starting and stopping the hog (`HOG_RATE_LIMIT` per
+ * `HOG_RATE_LIMIT_WINDOW_MS`). Placed before `requireHogAccess`, so it also
+ * slows down token guessing; `hogStatusRateLimit` does the same for the
+ * status endpoints.
+ */
+export const hogRateLimit = rateLimit(
+  () => {
+    const { rateLimit: limit, rateLimitWindowMs: windowMs } = config.getHogConfig();
+    return { limit, windowMs };
+  },
+  { onLimited: (req) => auditDenied('hog.access', req, 'rate limited') },
+);
+
+/**
+ * Per-client limit on the hog status endpoints (`HOG_STATUS_RATE_LIMIT` per
+ * `HOG_RATE_LIMIT_WINDOW_MS`), counted apart from starts and stops so polling
+ * doesn't use them up
+ */
+export const hogStatusRateLimit = rateLimit(
+  () => {
+    const { statusRateLimit: limit, rateLimitWindowMs: windowMs } = config.getHogConfig();
+    return { limit, windowMs };
+  },
+  { onLimited: (req) => auditDenied('hog.access', req, 'rate limited') },
+);
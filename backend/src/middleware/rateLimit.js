@@ -0,0 +1,43 @@
+import { TooManyRequestsError } from '../errors/index.js';
+
+/**
+ * Per-client rate limiting, by client address (`req.ip`, which honours the
+ * trusted proxies), in fixed windows. Counts are kept in memory, so each
+ * replica limits on its own.
+ *
+ * @param {() => { limit: number, windowMs: number }} getLimits - Looked up per
+ * request, so limits changed by a config reload apply to the next window
+ * @param {Object} [options]
+ * @param {(req: Express.Request) => void} [options.onLimited] - Called for each rejected request
+ */
+export const rateLimit = (getLimits, { onLimited } = {}) => {
+  // Client address -> { count, resetAt }
+  const windows = new Map();
+
+  return (req, res, next) => {
+    const { limit, windowMs } = getLimits();
+    const now = Date.now();
+
+    // Drop finished windows so the map only holds recent clients
+    for (const [client, window] of windows) {
+      if (window.resetAt <= now) {
+        windows.delete(client);
+      }
+    }
+
+    let window = windows.get(req.ip);
+    if (!window) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(req.ip, window);
+    }
+    window.count++;
+
+    if (window.count > limit) {
+      onLimited?.(req);
+      return next(new TooManyRequestsError(`Rate limit of ${limit} requests per ${windowMs / 1000} seconds exceeded`, {
+        retryAfterSeconds: Math.ceil((window.resetAt - now) / 1000),
+      }));
+    }
+    next();
+  };
+};
@@ -0,0 +1,47 @@
+import { v4 as uuidv4 } from 'uuid';
+import { trace } from '@opentelemetry/api';
+import { logger, runWithRequestContext } from '../services/logger.js';
+
+export const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// Accept caller-supplied IDs only if they are short and safe to echo into logs and headers
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Probe and scrape routes are logged at debug level to keep the logs readable
+export const QUIET_PATHS = new Set(['/healthz', '/readyz', '/metrics']);
+
+/**
+ * Assign each request a correlation ID, taken from `X-Request-Id` when the
+ * caller sends a valid one, and echo it back in the response. The rest of the
+ * request runs inside a logging context carrying the ID. Completed requests
+ * are logged with their status and duration.
+ */
+export const requestId = (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  const id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : uuidv4();
+  const started = process.hrtime.bigint();
+
+  req.id = id;
+  res.set(REQUEST_ID_HEADER, id);
+  // Find a trace from a request ID seen in the logs or a response
+  trace.getActiveSpan()?.setAttribute('http.request.id', id);
+
+  runWithRequestContext({ requestId: id }, () => {
+    res.on('finish', () => {
+      // 'finish' fires outside the request context, so pass the ID explicitly
+      const fields = {
+        requestId: id,
+        method: req.method,
+        path: req.originalUrl,
+        status: res.statusCode,
+        durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e6),
+      };
+      if (QUIET_PATHS.has(req.path)) {
+        logger.debug('Request completed', fields);
+      } else {
+        logger.info('Request completed', fields);
+      }
+    });
+    next();
+  });
+};
@@ -0,0 +1,15 @@
+import { isElasticsearchAvailable } from '../config/database.js';
+import { DependencyUnavailableError } from '../errors/index.js';
+
+/**
+ * Fail fast with 503 instead of waiting for Elasticsearch requests to time out
+ */
+export const requireElasticsearch = (req, res, next) => {
+  if (!isElasticsearchAvailable()) {
+    return next(new DependencyUnavailableError(
+      'elasticsearch',
+      'Elasticsearch is unavailable. Todos saved via /db are queued and indexed once it is back.',
+    ));
+  }
+  next();
+};
@@ -0,0 +1,81 @@
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import swaggerSpec from '../config/swagger.js';
+import { ValidationError } from '../errors/index.js';
+
+/**
+ * Request validation against the OpenAPI `components.schemas`.
+ *
+ * The schemas in config/swagger.js are both the documentation and the
+ * enforcement, so they can't drift apart. A schema may carry an
+ * `x-messages` extension mapping a keyword (e.g. `pattern`) to a friendlier
+ * error message than the default.
+ */
+
+const SCHEMAS_ID = 'openapi';
+
+const createValidator = (options) => {
+  // strict: false because OpenAPI schemas carry `example` and other doc-only keywords
+  const ajv = new Ajv({ allErrors: true, strict: false, verbose: true, ...options });
+  addFormats(ajv);
+  ajv.addSchema({ $id: SCHEMAS_ID, components: { schemas: swaggerSpec.components.schemas } });
+  return ajv;
+};
+
+// JSON bodies are validated as-is; query strings are coerced to the declared types and get their defaults
+const validators = {
+  body: createValidator(),
+  query: createValidator({ coerceTypes: true, useDefaults: true }),
+};
+
+/**
+ * Turn an Ajv error into a `{ field, message }` detail
+ * @private
+ */
+const formatError = (error) => {
+  let field = error.instancePath.slice(1).replace(/\//g, '.');
+  let message = error.parentSchema?.['x-messages']?.[error.keyword] ?? error.message;
+
+  if (error.keyword === 'required') {
+    field = field ? `${field}.${error.params.missingProperty}` : error.params.missingProperty;
+    message = 'is required';
+  } else if (error.keyword === 'additionalProperties') {
+    field = field ? `${field}.${error.params.additionalProperty}` : error.params.additionalProperty;
+    message = 'is not a known field';
+  }
+
+  return { field: field || null, message };
+};
+
+/**
+ * Middleware validating `req.body` (or `req.query`) against a named schema.
+ * Invalid requests fail with a ValidationError listing per-field errors. For queries,
+ * `req.query` is replaced by the coerced values with defaults applied.
+ * @param {string} schemaName - Key of `components.schemas`, e.g. `TodoInput`
+ * @param {Object} options
+ * @param {'body'|'query'} options.source - Part of the request to validate
+ * @param {boolean} options.optional - Skip validation when the body is missing or empty
+ */
+export const validate = (schemaName, { source = 'body', optional = false } = {}) => {
+  const validateSchema = validators[source].getSchema(`${SCHEMAS_ID}#/components/schemas/${schemaName}`);
+  if (!validateSchema) {
+    throw new Error(`Unknown schema: ${schemaName}`);
+  }
+
+  return (req, res, next) => {
+    if (optional && source === 'body' && Object.keys(req.body ?? {}).length === 0) {
+      return next();
+    }
+
+    const data = source === 'query' ? { ...req.query } : req.body;
+
+    if (!validateSchema(data)) {
+      return next(new ValidationError(`Invalid request ${source}`, validateSchema.errors.map(formatError)));
+    }
+
+    if (source === 'query') {
+      req.query = data;
+    }
+    next();
+  };
+};
@@ -0,0 +1,36 @@
+import { asyncHandler } from './errorHandler.js';
+import { getMembership } from '../services/workspaces.js';
+
+export const WORKSPACE_HEADER = 'X-Workspace-Id';
+
+const READ_METHODS = ['GET', 'HEAD'];
+
+/**
+ * Tenant selection for the todo endpoints, so no controller has to check
+ * access itself: the workspace is named by the `X-Workspace-Id` header, or is
+ * the caller's personal workspace without one. Reading needs any role in it,
+ * changing todos at least `editor`; otherwise 404 for workspaces the caller
+ * is not a member of, 403 for too low a role. Sets `req.workspace` to
+ * `{ id, role }`. Runs after `requireAuth`.
+ */
+export const requireWorkspace = asyncHandler(async (req, res, next) => {
+  const workspaceId = req.get(WORKSPACE_HEADER) || req.user.id;
+  const minRole = READ_METHODS.includes(req.method) ? 'viewer' : 'editor';
+  const { role } = await getMembership(workspaceId, req.user.id, minRole);
+
+  req.workspace = { id: workspaceId, role };
+  next();
+});
+
+/**
+ * Access to the workspace named by the `:workspaceId` path parameter, for the
+ * workspace management endpoints. Sets `req.workspace` to
+ * `{ id, role, document }`.
+ * @param {string} minRole - Least role needed
+ */
+export const requireWorkspaceRole = (minRole) => asyncHandler(async (req, res, next) => {
+  const { workspace, role } = await getMembership(req.params.workspaceId, req.user.id, minRole);
+
+  req.workspace = { id: workspace.id, role, document: workspace };
+  next();
+});
@@ -0,0 +1,133 @@
+/**
+ * Elasticsearch mapping versions for the todo index.
+ *
+ * Each version lists the field definitions it adds or changes; the full
+ * mapping is the merge of all versions. The version a concrete index was
+ * built with is stored in its mapping `_meta.mappingVersion`.
+ *
+ * Strategies:
+ * - `put_mapping`: the change is compatible with existing data (new fields,
+ *   new sub-fields, updatable parameters) and is applied in place. An
+ *   optional `backfill` runs an update-by-query afterwards (`true` to simply
+ *   re-index documents in place, or a painless script).
+ * - `reindex`: the change is incompatible (e.g. a field type change) and
+ *   requires rebuilding the index behind the alias.
+ *
+ * Append new versions at the end; never edit a released one.
+ */
+
+// Single-node cluster in k8s: default replicas=1 is unnecessary; keep it at 0.
+const INDEX_SETTINGS = {
+  number_of_shards: 1,
+  number_of_replicas: 0,
+};
+
+export const ES_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Initial todo mapping',
+    strategy: 'put_mapping',
+    properties: {
+      id: { type: 'keyword' },
+      title: { type: 'text' },
+      completed: { type: 'boolean' },
+      createdAt: { type: 'date' },
+    },
+  },
+  {
+    version: 2,
+    description: 'Keyword sub-field for sorting by title',
+    strategy: 'put_mapping',
+    properties: {
+      title: {
+        type: 'text',
+        fields: { keyword: { type: 'keyword', ignore_above: 256 } },
+      },
+    },
+    // Populate title.keyword for documents indexed before it existed
+    backfill: true,
+  },
+  {
+    version: 3,
+    description: 'Fielddata on title for the top-terms aggregation',
+    strategy: 'put_mapping',
+    properties: {
+      title: {
+        type: 'text',
+        fields: { keyword: { type: 'keyword', ignore_above: 256 } },
+        // Titles are short so the heap cost is small
+        fielddata: true,
+      },
+    },
+  },
+  {
+    version: 4,
+    description: 'Description, due date, priority, tags and updatedAt',
+    strategy: 'put_mapping',
+    properties: {
+      description: { type: 'text' },
+      dueDate: { type: 'date' },
+      priority: { type: 'keyword' },
+      tags: { type: 'keyword' },
+      updatedAt: { type: 'date' },
+    },
+    // Same defaults the MongoDB backfill applies to older todos
+    backfill: {
+      source: [
+        "if (!ctx._source.containsKey('description')) { ctx._source.description = null; }",
+        "if (!ctx._source.containsKey('dueDate')) { ctx._source.dueDate = null; }",
+        "if (ctx._source.priority == null) { ctx._source.priority = 'medium'; }",
+        "if (ctx._source.tags == null) { ctx._source.tags = []; }",
+        "if (ctx._source.updatedAt == null) { ctx._source.updatedAt = ctx._source.createdAt; }",
+      ].join(' '),
+      lang: 'painless',
+    },
+  },
+  {
+    version: 5,
+    description: 'Owner of each todo',
+    strategy: 'put_mapping',
+    properties: {
+      owner: { type: 'keyword' },
+    },
+    // Same as the MongoDB backfill: older todos belong to nobody
+    backfill: {
+      source: "if (!ctx._source.containsKey('owner')) { ctx._source.owner = null; }",
+      lang: 'painless',
+    },
+  },
+  {
+    version: 6,
+    description: 'Workspace of each todo',
+    strategy: 'put_mapping',
+    properties: {
+      workspace: { type: 'keyword' },
+    },
+    // Same as the MongoDB backfill: a todo moves to its owner's personal workspace, which has the owner's id
+    backfill: {
+      source: "if (!ctx._source.containsKey('workspace')) { ctx._source.workspace = ctx._source.owner; }",
+      lang: 'painless',
+    },
+  },
+];
+
+export const LATEST_MAPPING_VERSION = ES_MIGRATIONS[ES_MIGRATIONS.length - 1].version;
+
+/**
+ * Field definitions after applying every version up to `version`
+ */
+export const buildProperties = (version = LATEST_MAPPING_VERSION) =>
+  ES_MIGRATIONS
+    .filter((migration) => migration.version <= version)
+    .reduce((properties, migration) => ({ ...properties, ...migration.properties }), {});
+
+/**
+ * Settings and mappings for a new concrete index at the latest version
+ */
+export const buildIndexDefinition = () => ({
+  settings: INDEX_SETTINGS,
+  mappings: {
+    _meta: { mappingVersion: LATEST_MAPPING_VERSION },
+    properties: buildProperties(),
+  },
+});
@@ -0,0 +1,81 @@
+import { Todo } from '../models/todo.js';
+import { User } from '../models/user.js';
+import { Workspace } from '../models/workspace.js';
+import { ensurePersonalWorkspace } from '../services/workspaces.js';
+
+/**
+ * MongoDB index and data migrations for the Todo, User and Workspace collections.
+ *
+ * Each migration runs once; applied versions are recorded in the
+ * `schemamigrations` collection. `up` must be safe to re-run in case a
+ * previous attempt died half-way. Append new versions at the end; never
+ * edit a released one.
+ */
+export const MONGO_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Indexes for listing, filtering and cursor pagination',
+    up: async () => {
+      const collection = Todo.collection;
+      await collection.createIndex({ id: 1 }, { unique: true });
+      await collection.createIndex({ createdAt: -1, id: -1 });
+      await collection.createIndex({ title: 1, id: 1 });
+      await collection.createIndex({ completed: 1, createdAt: -1 });
+    },
+  },
+  {
+    version: 2,
+    description: 'Backfill description, dueDate, priority, tags and updatedAt',
+    up: async () => {
+      const collection = Todo.collection;
+      await collection.updateMany({ description: { $exists: false } }, { $set: { description: null } });
+      await collection.updateMany({ dueDate: { $exists: false } }, { $set: { dueDate: null } });
+      await collection.updateMany({ priority: { $exists: false } }, { $set: { priority: 'medium' } });
+      await collection.updateMany({ tags: { $exists: false } }, { $set: { tags: [] } });
+      await collection.updateMany({ updatedAt: { $exists: false } }, [{ $set: { updatedAt: '$createdAt' } }]);
+      await collection.createIndex({ priority: 1 });
+      await collection.createIndex({ tags: 1 });
+      await collection.createIndex({ dueDate: 1 });
+    },
+  },
+  {
+    version: 3,
+    description: 'User accounts and todo owners',
+    up: async () => {
+      await User.collection.createIndex({ id: 1 }, { unique: true });
+      await User.collection.createIndex({ email: 1 }, { unique: true });
+
+      // Todos from before accounts belong to nobody, so no user sees them
+      const collection = Todo.collection;
+      await collection.updateMany({ owner: { $exists: false } }, { $set: { owner: null } });
+      // Every listing is scoped to one owner
+      await collection.createIndex({ owner: 1, createdAt: -1, id: -1 });
+      await collection.createIndex({ owner: 1, title: 1, id: 1 });
+    },
+  },
+  {
+    version: 4,
+    description: 'Workspaces; todos move to their owner\'s personal workspace',
+    up: async () => {
+      await Workspace.collection.createIndex({ id: 1 }, { unique: true });
+      await Workspace.collection.createIndex({ 'members.userId': 1 });
+      for await (const user of User.find({}, { id: 1 }).lean()) {
+        await ensurePersonalWorkspace(user.id);
+      }
+
+      // A personal workspace has its user's id; todos without an owner stay hidden
+      const collection = Todo.collection;
+      await collection.updateMany({ workspace: { $exists: false } }, [{ $set: { workspace: '$owner' } }]);
+      await collection.createIndex({ workspace: 1, createdAt: -1, id: -1 });
+      await collection.createIndex({ workspace: 1, title: 1, id: 1 });
+      // Listings are scoped to a workspace now, not an owner
+      for (const name of ['owner_1_createdAt_-1_id_-1', 'owner_1_title_1_id_1']) {
+        if (await collection.indexExists(name)) {
+          await collection.dropIndex(name);
+        }
+      }
+    },
+  },
+];
+
+export const LATEST_MONGO_VERSION = MONGO_MIGRATIONS[MONGO_MIGRATIONS.length - 1].version;
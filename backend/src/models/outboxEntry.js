@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+/**
+ * Outbox entry recording that a todo changed and must be synced to Elasticsearch.
+ * Entries only carry the todo id: the dispatcher always syncs the current
+ * MongoDB state, so delivery is idempotent and order-independent.
+ */
+const outboxEntrySchema = new mongoose.Schema({
+  todoId: {
+    type: String,
+    required: true,
+  },
+  op: {
+    type: String,
+    enum: ['upsert', 'delete'],
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'dead'],
+    default: 'pending',
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lockedUntil: {
+    type: Date,
+    default: null,
+  },
+  lastError: {
+    type: String,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+outboxEntrySchema.index({ status: 1, nextAttemptAt: 1 });
+
+export const OutboxEntry = mongoose.model('OutboxEntry', outboxEntrySchema);
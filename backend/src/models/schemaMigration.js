@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+/**
+ * A MongoDB migration that has been applied (see migrations/mongo.js)
+ */
+const schemaMigrationSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true,
+  },
+  description: {
+    type: String,
+    required: true,
+  },
+  appliedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  durationMs: {
+    type: Number,
+    default: 0,
+  },
+});
+
+export const SchemaMigration = mongoose.model('SchemaMigration', schemaMigrationSchema);
@@ -1,5 +1,7 @@
 import mongoose from 'mongoose';
 
+export const TODO_PRIORITIES = ['low', 'medium', 'high'];
+
 const todoSchema = new mongoose.Schema({
   id: {
     type: String,
@@ -15,11 +17,41 @@ const todoSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
+  description: {
+    type: String,
+    default: null,
+    maxlength: 2000,
+  },
+  dueDate: {
+    type: Date,
+    default: null,
+  },
+  priority: {
+    type: String,
+    enum: TODO_PRIORITIES,
+    default: 'medium',
+  },
+  tags: {
+    type: [String],
+    default: [],
+  },
+  // `id` of the User who created the todo; null for todos created before user accounts
+  owner: {
+    type: String,
+    default: null,
+  },
+  // `id` of the Workspace the todo belongs to, which decides who can see it
+  workspace: {
+    type: String,
+    default: null,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
   },
+}, {
+  // createdAt predates timestamps and keeps its own default; only track updates
+  timestamps: { createdAt: false, updatedAt: true },
 });
 
 export const Todo = mongoose.model('Todo', todoSchema);
-
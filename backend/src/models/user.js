@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+/**
+ * A user account. Todos reference it by `id` in their `owner` field, and its
+ * personal Workspace has the same `id`.
+ * Only a bcrypt hash of the password is stored. Bumping `tokenVersion`
+ * revokes every refresh token issued before (see services/auth.js).
+ */
+const userSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => new mongoose.Types.ObjectId().toString(),
+  },
+  // Stored lowercase, so addresses differing only in case are the same account
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+  },
+  passwordHash: {
+    type: String,
+    required: true,
+  },
+  tokenVersion: {
+    type: Number,
+    default: 0,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+export const User = mongoose.model('User', userSchema);
@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+// Roles from most to least rights: owners also manage the workspace and its
+// members, editors change todos, viewers only read them
+export const WORKSPACE_ROLES = ['owner', 'editor', 'viewer'];
+
+const memberSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+  },
+  role: {
+    type: String,
+    enum: WORKSPACE_ROLES,
+    required: true,
+  },
+}, { _id: false });
+
+/**
+ * A workspace: the todos it holds are shared by its members. Every user has
+ * a personal workspace with the same `id` as the user, which cannot be shared
+ * or deleted (see services/workspaces.js).
+ */
+const workspaceSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => new mongoose.Types.ObjectId().toString(),
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  personal: {
+    type: Boolean,
+    default: false,
+  },
+  members: {
+    type: [memberSchema],
+    default: [],
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+export const Workspace = mongoose.model('Workspace', workspaceSchema);
@@ -1,12 +1,433 @@
 import express from 'express';
-import mongoose from 'mongoose';
-import { createTodo, getTodos } from '../controllers/dbController.js';
-import { indexTodo, searchTodos } from '../controllers/esController.js';
-import { startHog, stopHog, getHogStatus } from '../controllers/hogController.js';
-import { getElasticsearchClient } from '../config/database.js';
+import {
+  createTodo,
+  getTodos,
+  getTodoById,
+  updateTodo,
+  replaceTodo,
+  deleteTodo,
+} from '../controllers/dbController.js';
+import { indexTodo, searchTodos, getTodoStats } from '../controllers/esController.js';
+import { register, login, refresh, logout, getCurrentUser } from '../controllers/authController.js';
+import {
+  listWorkspaces,
+  createWorkspace,
+  getWorkspace,
+  updateWorkspace,
+  deleteWorkspace,
+  addMember,
+  updateMember,
+  removeMember,
+} from '../controllers/workspaceController.js';
+import { startHog, stopHog, getHogStatus, streamHogTelemetry } from '../controllers/hogController.js';
+import { getSyncStatus, retryDeadLetters } from '../controllers/syncController.js';
+import { startReindex, getReindexStatus } from '../controllers/reindexController.js';
+import { checkConsistency, repairConsistency } from '../controllers/consistencyController.js';
+import { getMigrationStatus, applyMigrations } from '../controllers/migrationController.js';
+import { getLiveness, getReadiness, getHealth } from '../controllers/healthController.js';
+import { getMetrics } from '../controllers/metricsController.js';
+import { recordRoutePrefix } from '../services/metrics.js';
+import { validate } from '../middleware/validate.js';
+import { requireElasticsearch } from '../middleware/requireElasticsearch.js';
+import { requireHogAccess, hogRateLimit, hogStatusRateLimit } from '../middleware/hogAccess.js';
+import { requireAdminAccess } from '../middleware/adminAccess.js';
+import { requireAuth, authRateLimit } from '../middleware/auth.js';
+import { requireWorkspace, requireWorkspaceRole } from '../middleware/workspace.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
 
 const router = express.Router();
 
+/**
+ * @swagger
+ * /auth/register:
+ *   post:
+ *     summary: Create a user account
+ *     description: Creates an account and logs it in. The password is stored as a bcrypt hash.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AuthCredentials'
+ *     responses:
+ *       201:
+ *         description: Account created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthSession'
+ *       400:
+ *         $ref: '#/components/responses/InvalidRequest'
+ *       409:
+ *         $ref: '#/components/responses/EmailTaken'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.post('/auth/register', authRateLimit, validate('AuthCredentials'), asyncHandler(register));
+
+/**
+ * @swagger
+ * /auth/login:
+ *   post:
+ *     summary: Log in
+ *     description: Exchanges an email and password for an access token and a refresh token
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AuthCredentials'
+ *     responses:
+ *       200:
+ *         description: Logged in
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthSession'
+ *       400:
+ *         $ref: '#/components/responses/InvalidRequest'
+ *       401:
+ *         $ref: '#/components/responses/InvalidCredentials'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.post('/auth/login', authRateLimit, validate('AuthCredentials'), asyncHandler(login));
+
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: Refresh the access token
+ *     description: Exchanges a refresh token for a new access token and refresh token
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefreshRequest'
+ *     responses:
+ *       200:
+ *         description: New tokens issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthSession'
+ *       400:
+ *         $ref: '#/components/responses/InvalidRequest'
+ *       401:
+ *         $ref: '#/components/responses/InvalidRefreshToken'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.post('/auth/refresh', authRateLimit, validate('RefreshRequest'), asyncHandler(refresh));
+
+/**
+ * @swagger
+ * /auth/logout:
+ *   post:
+ *     summary: Log out
+ *     description: Revokes every refresh token of the caller. Access tokens already issued stay valid until they expire.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       204:
+ *         description: Logged out
+ *       401:
+ *         $ref: '#/components/responses/AuthRequired'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.post('/auth/logout', requireAuth, asyncHandler(logout));
+
+/**
+ * @swagger
+ * /auth/me:
+ *   get:
+ *     summary: Get the current user
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The caller's account
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       401:
+ *         $ref: '#/components/responses/AuthRequired'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get('/auth/me', requireAuth, asyncHandler(getCurrentUser));
+
+router.use('/workspaces', recordRoutePrefix, requireAuth);
+
+/**
+ * @swagger
+ * /workspaces:
+ *   get:
+ *     summary: List the caller's workspaces
+ *     description: Personal workspace first, then shared ones by creation time
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Workspaces the caller is a member of
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WorkspaceList'
+ *       401:
+ *         $ref: '#/components/responses/AuthRequired'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get('/workspaces', asyncHandler(listWorkspaces));
+
+/**
+ * @swagger
+ * /workspaces:
+ *   post:
+ *     summary: Create a shared workspace
+ *     description: The caller becomes its owner
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WorkspaceInput'
+ *     responses:
+ *       201:
+ *         description: Workspace created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Workspace'
+ *       400:
+ *         $ref: '#/components/responses/InvalidRequest'
+ *       401:
+ *         $ref: '#/components/responses/AuthRequired'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.post('/workspaces', validate('WorkspaceInput'), asyncHandler(createWorkspace));
+
+/**
+ * @swagger
+ * /workspaces/{workspaceId}:
+ *   get:
+ *     summary: Get a workspace and its members
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceId'
+ *     responses:
+ *       200:
+ *         description: Workspace retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WorkspaceDetails'
+ *       401:
+ *         $ref: '#/components/responses/AuthRequired'
+ *       404:
+ *         $ref: '#/components/responses/WorkspaceNotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get('/workspaces/:workspaceId', requireWorkspaceRole('viewer'), asyncHandler(getWorkspace));
+
+/**
+ * @swagger
+ * /workspaces/{workspaceId}:
+ *   patch:
+ *     summary: Rename a workspace
+ *     description: Needs the owner role
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WorkspaceInput'
+ *     responses:
+ *       200:
+ *         description: Workspace renamed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Workspace'
+ *       400:
+ *         $ref: '#/components/responses/InvalidRequest'
+ *       401:
+ *         $ref: '#/components/responses/AuthRequired'
+ *       403:
+ *         $ref: '#/components/responses/WorkspaceRoleTooLow'
+ *       404:
+ *         $ref: '#/components/responses/WorkspaceNotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.patch('/workspaces/:workspaceId', requireWorkspaceRole('owner'), validate('WorkspaceInput'), asyncHandler(updateWorkspace));
+
+/**
+ * @swagger
+ * /workspaces/{workspaceId}:
+ *   delete:
+ *     summary: Delete a workspace
+ *     description: Needs the owner role. Only empty shared workspaces can be deleted; otherwise `409`.
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceId'
+ *     responses:
+ *       204:
+ *         description: Workspace deleted
+ *       401:
+ *         $ref: '#/components/responses/AuthRequired'
+ *       403:
+ *         $ref: '#/components/responses/WorkspaceRoleTooLow'
+ *       404:
+ *         $ref: '#/components/responses/WorkspaceNotFound'
+ *       409:
+ *         $ref: '#/components/responses/Conflict'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.delete('/workspaces/:workspaceId', requireWorkspaceRole('owner'), asyncHandler(deleteWorkspace));
+
+/**
+ * @swagger
+ * /workspaces/{workspaceId}/members:
+ *   post:
+ *     summary: Add a member
+ *     description: Needs the owner role. The user must be registered; personal workspaces cannot be shared.
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WorkspaceMemberInput'
+ *     responses:
+ *       201:
+ *         description: Member added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WorkspaceMember'
+ *       400:
+ *         $ref: '#/components/responses/InvalidRequest'
+ *       401:
+ *         $ref: '#/components/responses/AuthRequired'
+ *       403:
+ *         $ref: '#/components/responses/WorkspaceRoleTooLow'
+ *       404:
+ *         description: Workspace not found, or no user is registered with the email
+ *       409:
+ *         $ref: '#/components/responses/Conflict'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.post('/workspaces/:workspaceId/members', requireWorkspaceRole('owner'), validate('WorkspaceMemberInput'), asyncHandler(addMember));
+
+/**
+ * @swagger
+ * /workspaces/{workspaceId}/members/{userId}:
+ *   patch:
+ *     summary: Change a member's role
+ *     description: Needs the owner role. The last owner cannot be demoted.
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceId'
+ *       - $ref: '#/components/parameters/MemberUserId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WorkspaceRoleInput'
+ *     responses:
+ *       200:
+ *         description: Role changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WorkspaceMember'
+ *       400:
+ *         $ref: '#/components/responses/InvalidRequest'
+ *       401:
+ *         $ref: '#/components/responses/AuthRequired'
+ *       403:
+ *         $ref: '#/components/responses/WorkspaceRoleTooLow'
+ *       404:
+ *         description: Workspace or member not found
+ *       409:
+ *         $ref: '#/components/responses/Conflict'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.patch('/workspaces/:workspaceId/members/:userId', requireWorkspaceRole('owner'), validate('WorkspaceRoleInput'), asyncHandler(updateMember));
+
+/**
+ * @swagger
+ * /workspaces/{workspaceId}/members/{userId}:
+ *   delete:
+ *     summary: Remove a member
+ *     description: Owners remove any member; other members can only remove themselves to leave. The last owner cannot be removed.
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceId'
+ *       - $ref: '#/components/parameters/MemberUserId'
+ *     responses:
+ *       204:
+ *         description: Member removed
+ *       401:
+ *         $ref: '#/components/responses/AuthRequired'
+ *       403:
+ *         $ref: '#/components/responses/WorkspaceRoleTooLow'
+ *       404:
+ *         description: Workspace or member not found
+ *       409:
+ *         $ref: '#/components/responses/Conflict'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.delete('/workspaces/:workspaceId/members/:userId', requireWorkspaceRole('viewer'), asyncHandler(removeMember));
+
+// Todos belong to workspaces: every /db and /es route needs an access token
+// and works on the workspace selected by the X-Workspace-Id header
+router.use(['/db', '/es'], recordRoutePrefix, requireAuth, requireWorkspace);
+
 /**
  * @swagger
  * /db:
@@ -14,6 +435,10 @@ const router = express.Router();
  *     summary: Create a new todo in MongoDB
  *     description: Creates a new todo item and automatically indexes it in Elasticsearch
  *     tags: [MongoDB]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceHeader'
  *     requestBody:
  *       required: true
  *       content:
@@ -25,6 +450,8 @@ const router = express.Router();
  *               value:
  *                 title: Buy groceries
  *                 completed: false
+ *                 priority: high
+ *                 tags: [errands]
  *     responses:
  *       201:
  *         description: Todo created successfully
@@ -33,46 +460,193 @@ const router = express.Router();
  *             schema:
  *               $ref: '#/components/schemas/Todo'
  *       400:
- *         description: Bad request - title is required
+ *         $ref: '#/components/responses/InvalidRequest'
+ *       401:
+ *         $ref: '#/components/responses/AuthRequired'
+ *       403:
+ *         $ref: '#/components/responses/WorkspaceRoleTooLow'
+ *       404:
+ *         $ref: '#/components/responses/WorkspaceNotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.post('/db', validate('TodoInput'), asyncHandler(createTodo));
+
+/**
+ * @swagger
+ * /db:
+ *   get:
+ *     summary: List todos from MongoDB
+ *     description: Returns one page of todos (newest first by default). Pass `pagination.next` back as `cursor` to fetch the following page.
+ *     tags: [MongoDB]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceHeader'
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - $ref: '#/components/parameters/ListSort'
+ *       - $ref: '#/components/parameters/ListOrder'
+ *       - $ref: '#/components/parameters/ListCompleted'
+ *       - $ref: '#/components/parameters/ListCreatedFrom'
+ *       - $ref: '#/components/parameters/ListCreatedTo'
+ *       - $ref: '#/components/parameters/ListDueFrom'
+ *       - $ref: '#/components/parameters/ListDueTo'
+ *       - $ref: '#/components/parameters/ListPriority'
+ *       - $ref: '#/components/parameters/ListTag'
+ *     responses:
+ *       200:
+ *         description: Page of todos retrieved successfully
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Error'
- *             example:
- *               error: Title is required
+ *               $ref: '#/components/schemas/TodoPage'
+ *       400:
+ *         $ref: '#/components/responses/InvalidListQuery'
+ *       401:
+ *         $ref: '#/components/responses/AuthRequired'
+ *       404:
+ *         $ref: '#/components/responses/WorkspaceNotFound'
  *       500:
- *         description: Internal server error
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get('/db', asyncHandler(getTodos));
+
+/**
+ * @swagger
+ * /db/{id}:
+ *   get:
+ *     summary: Get a single todo from MongoDB
+ *     tags: [MongoDB]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceHeader'
+ *       - $ref: '#/components/parameters/TodoId'
+ *     responses:
+ *       200:
+ *         description: Todo retrieved successfully
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Error'
+ *               $ref: '#/components/schemas/Todo'
+ *       401:
+ *         $ref: '#/components/responses/AuthRequired'
+ *       404:
+ *         $ref: '#/components/responses/TodoNotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
  */
-router.post('/db', createTodo);
+router.get('/db/:id', asyncHandler(getTodoById));
 
 /**
  * @swagger
- * /db:
- *   get:
- *     summary: Get all todos from MongoDB
- *     description: Retrieves all todos sorted by creation date (newest first)
+ * /db/{id}:
+ *   patch:
+ *     summary: Partially update a todo
+ *     description: Updates only the provided fields (e.g. toggle `completed`) and re-indexes the todo in Elasticsearch
  *     tags: [MongoDB]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceHeader'
+ *       - $ref: '#/components/parameters/TodoId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TodoPatch'
+ *           examples:
+ *             toggle:
+ *               value:
+ *                 completed: true
+ *             rename:
+ *               value:
+ *                 title: Buy groceries and milk
  *     responses:
  *       200:
- *         description: List of todos retrieved successfully
+ *         description: Todo updated successfully
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Todo'
+ *               $ref: '#/components/schemas/Todo'
+ *       400:
+ *         $ref: '#/components/responses/InvalidRequest'
+ *       401:
+ *         $ref: '#/components/responses/AuthRequired'
+ *       403:
+ *         $ref: '#/components/responses/WorkspaceRoleTooLow'
+ *       404:
+ *         $ref: '#/components/responses/TodoNotFound'
  *       500:
- *         description: Internal server error
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.patch('/db/:id', validate('TodoPatch'), asyncHandler(updateTodo));
+
+/**
+ * @swagger
+ * /db/{id}:
+ *   put:
+ *     summary: Replace a todo
+ *     description: Replaces the todo's title and completion status (omitted `completed` resets to false) and re-indexes it in Elasticsearch
+ *     tags: [MongoDB]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceHeader'
+ *       - $ref: '#/components/parameters/TodoId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TodoInput'
+ *     responses:
+ *       200:
+ *         description: Todo replaced successfully
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Error'
+ *               $ref: '#/components/schemas/Todo'
+ *       400:
+ *         $ref: '#/components/responses/InvalidRequest'
+ *       401:
+ *         $ref: '#/components/responses/AuthRequired'
+ *       403:
+ *         $ref: '#/components/responses/WorkspaceRoleTooLow'
+ *       404:
+ *         $ref: '#/components/responses/TodoNotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
  */
-router.get('/db', getTodos);
+router.put('/db/:id', validate('TodoInput'), asyncHandler(replaceTodo));
+
+/**
+ * @swagger
+ * /db/{id}:
+ *   delete:
+ *     summary: Delete a todo
+ *     description: Deletes the todo from MongoDB and removes the matching document from Elasticsearch
+ *     tags: [MongoDB]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceHeader'
+ *       - $ref: '#/components/parameters/TodoId'
+ *     responses:
+ *       204:
+ *         description: Todo deleted successfully
+ *       401:
+ *         $ref: '#/components/responses/AuthRequired'
+ *       403:
+ *         $ref: '#/components/responses/WorkspaceRoleTooLow'
+ *       404:
+ *         $ref: '#/components/responses/TodoNotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.delete('/db/:id', asyncHandler(deleteTodo));
 
 /**
  * @swagger
@@ -81,6 +655,10 @@ router.get('/db', getTodos);
  *     summary: Index a todo in Elasticsearch
  *     description: Creates a new todo document directly in Elasticsearch
  *     tags: [Elasticsearch]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceHeader'
  *     requestBody:
  *       required: true
  *       content:
@@ -100,85 +678,193 @@ router.get('/db', getTodos);
  *             schema:
  *               $ref: '#/components/schemas/Todo'
  *       400:
- *         description: Bad request - title is required
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
+ *         $ref: '#/components/responses/InvalidRequest'
+ *       401:
+ *         $ref: '#/components/responses/AuthRequired'
+ *       403:
+ *         $ref: '#/components/responses/WorkspaceRoleTooLow'
+ *       404:
+ *         $ref: '#/components/responses/WorkspaceNotFound'
  *       500:
- *         description: Internal server error
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
+ *         $ref: '#/components/responses/InternalError'
+ *       503:
+ *         $ref: '#/components/responses/ElasticsearchUnavailable'
  */
-router.post('/es', indexTodo);
+router.post('/es', requireElasticsearch, validate('TodoInput'), asyncHandler(indexTodo));
 
 /**
  * @swagger
  * /es:
  *   get:
  *     summary: Search todos in Elasticsearch
- *     description: Search for todos using wildcard matching on title. Returns all todos if no query provided.
+ *     description: |
+ *       Full-text search on the todo title, description and tags. Free terms are analyzed and typo-tolerant (fuzziness AUTO) and all of them must match;
+ *       quoted text must match as a phrase; `completed:true|false`, `priority:low|medium|high` and `tag:<tag>` filter.
+ *       Results are ranked by relevance when `q` contains text and carry a `score` and highlighted `highlight.title` / `highlight.description` fragments.
+ *       Returns all todos if no query provided. Results are paginated the same way as `GET /db`.
  *     tags: [Elasticsearch]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceHeader'
  *       - in: query
  *         name: q
  *         schema:
  *           type: string
  *         required: false
- *         description: Search query for todo title (case-insensitive wildcard match)
- *         example: groceries
+ *         description: Search query, e.g. `completed:false groceries "whole milk"`
+ *         example: completed:false groceries
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [relevance, createdAt, title]
+ *         description: Field to sort by. Defaults to `relevance` when `q` contains text, `createdAt` otherwise. `relevance` is always descending.
+ *       - $ref: '#/components/parameters/ListOrder'
+ *       - $ref: '#/components/parameters/ListCompleted'
+ *       - $ref: '#/components/parameters/ListCreatedFrom'
+ *       - $ref: '#/components/parameters/ListCreatedTo'
+ *       - $ref: '#/components/parameters/ListDueFrom'
+ *       - $ref: '#/components/parameters/ListDueTo'
+ *       - $ref: '#/components/parameters/ListPriority'
+ *       - $ref: '#/components/parameters/ListTag'
  *     responses:
  *       200:
  *         description: Search results retrieved successfully
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Todo'
+ *               $ref: '#/components/schemas/TodoSearchPage'
+ *       400:
+ *         $ref: '#/components/responses/InvalidListQuery'
+ *       401:
+ *         $ref: '#/components/responses/AuthRequired'
+ *       404:
+ *         $ref: '#/components/responses/WorkspaceNotFound'
  *       500:
- *         description: Internal server error
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
+ *         $ref: '#/components/responses/InternalError'
+ *       503:
+ *         $ref: '#/components/responses/ElasticsearchUnavailable'
  */
-router.get('/es', searchTodos);
+router.get('/es', requireElasticsearch, asyncHandler(searchTodos));
 
 /**
  * @swagger
- * /hog-resources:
- *   post:
- *     summary: Start resource hog for K8s scaling tests
- *     description: Starts a worker thread that consumes specified amounts of memory and CPU for testing Kubernetes horizontal pod autoscaling (HPA)
- *     tags: [Resource Hog]
+ * /es/stats:
+ *   get:
+ *     summary: Todo statistics from Elasticsearch
+ *     description: Runs terms, date_histogram and stats aggregations for dashboards - completed vs pending counts, todos created per interval, priorities, top title terms and top tags. Accepts the same `q` and filters as `GET /es` to scope the statistics.
+ *     tags: [Elasticsearch]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/WorkspaceHeader'
  *       - in: query
- *         name: memoryMb
+ *         name: q
  *         schema:
- *           type: integer
- *           default: 256
- *           minimum: 0
- *           maximum: 2048
- *         description: Memory to allocate in MB (clamped between 0-2048)
+ *           type: string
+ *         description: Optional search query with the same syntax as `GET /es`
+ *         example: groceries
  *       - in: query
- *         name: cpuSliceMs
+ *         name: interval
  *         schema:
- *           type: integer
- *           default: 20
- *           minimum: 1
- *           maximum: 200
- *         description: CPU slice duration in milliseconds (clamped between 1-200)
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: day
+ *         description: Bucket size for the created-over-time histogram
  *       - in: query
- *         name: maxMinutes
+ *         name: topTerms
  *         schema:
  *           type: integer
  *           default: 10
  *           minimum: 1
- *           maximum: 120
- *         description: Maximum runtime in minutes (clamped between 1-120), auto-stops after this duration
+ *           maximum: 50
+ *         description: Number of top title terms to return (clamped between 1-50)
+ *       - $ref: '#/components/parameters/ListCompleted'
+ *       - $ref: '#/components/parameters/ListCreatedFrom'
+ *       - $ref: '#/components/parameters/ListCreatedTo'
+ *       - $ref: '#/components/parameters/ListDueFrom'
+ *       - $ref: '#/components/parameters/ListDueTo'
+ *       - $ref: '#/components/parameters/ListPriority'
+ *       - $ref: '#/components/parameters/ListTag'
+ *     responses:
+ *       200:
+ *         description: Statistics retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TodoStats'
+ *       400:
+ *         description: Bad request - invalid interval or filter
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       401:
+ *         $ref: '#/components/responses/AuthRequired'
+ *       404:
+ *         $ref: '#/components/responses/WorkspaceNotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ *       503:
+ *         $ref: '#/components/responses/ElasticsearchUnavailable'
+ */
+router.get('/es/stats', requireElasticsearch, asyncHandler(getTodoStats));
+
+/**
+ * @swagger
+ * /hog-resources:
+ *   post:
+ *     summary: Start resource hog for K8s scaling tests
+ *     description: |
+ *       Starts a worker thread that consumes memory and CPU for testing Kubernetes horizontal pod autoscaling (HPA).
+ *       Send a load profile in the body for load that changes over time; without a body, the flat query params hold one level until `maxMinutes`.
+ *       The load is spread over `workers` threads (or enough of them for `targetMillicores`), splitting the memory evenly. A running hog is replaced.
+ *       Other flat `mode`s test other limits: `event-loop` blocks the main thread for `blockMs` every `blockIntervalMs` (liveness probe timeouts),
+ *       `disk` writes `diskMb` of temp files and keeps reading them (ephemeral storage), and `fds` holds `fdCount` files or sockets open (descriptor limits).
+ *       Temp files are removed when the hog stops.
+ *     tags: [Resource Hog]
+ *     security:
+ *       - hogAdminToken: []
+ *     parameters:
+ *       - in: query
+ *         name: config
+ *         style: form
+ *         explode: true
+ *         schema:
+ *           $ref: '#/components/schemas/HogConfig'
+ *         description: Hog settings as individual query params (`mode`, `maxMinutes`, and for the `cpu` mode `memoryMb`, `cpuSliceMs`, `intensityMultiplier`, `workers` or `targetMillicores`); omitted ones use their defaults. Ignored when a load profile is sent.
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/HogProfile'
+ *           examples:
+ *             rampUp:
+ *               summary: Ramp up over 5 minutes, then hold
+ *               value:
+ *                 stages:
+ *                   - { memoryMb: 64, cpuDutyCycle: 0.1, durationSeconds: 30 }
+ *                   - { memoryMb: 1024, cpuDutyCycle: 0.9, durationSeconds: 300, transition: linear }
+ *                   - { memoryMb: 1024, cpuDutyCycle: 0.9, durationSeconds: 300 }
+ *             spike:
+ *               summary: Short spike between quiet periods, on 2 cores
+ *               value:
+ *                 workers: 2
+ *                 stages:
+ *                   - { memoryMb: 128, cpuDutyCycle: 0.2, durationSeconds: 120 }
+ *                   - { memoryMb: 1024, cpuDutyCycle: 1, durationSeconds: 30 }
+ *                   - { memoryMb: 128, cpuDutyCycle: 0.2, durationSeconds: 120 }
+ *             sawtooth:
+ *               summary: Climb for 2 minutes, drop, 5 times
+ *               value:
+ *                 repeat: 5
+ *                 stages:
+ *                   - { memoryMb: 768, cpuDutyCycle: 0.9, durationSeconds: 120, transition: linear }
+ *                   - { memoryMb: 64, cpuDutyCycle: 0.1, durationSeconds: 30 }
  *     responses:
  *       202:
  *         description: Resource hog started successfully
@@ -186,6 +872,14 @@ router.get('/es', searchTodos);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/HogStartResponse'
+ *       400:
+ *         $ref: '#/components/responses/InvalidRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/HogTokenNotConfigured'
+ *       404:
+ *         $ref: '#/components/responses/HogDisabled'
  *       409:
  *         description: Resource hog is already running
  *         content:
@@ -200,22 +894,36 @@ router.get('/es', searchTodos);
  *                 maxMinutes: 10
  *               startedAt: '2024-01-24T10:30:00.000Z'
  *               message: Resource hog is already running. Use POST /clear-hog-resources to stop it first.
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  *       500:
- *         description: Internal server error
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
+ *         $ref: '#/components/responses/InternalError'
  */
-router.post('/hog-resources', startHog);
+router.post(
+  '/hog-resources',
+  hogRateLimit,
+  requireHogAccess,
+  validate('HogConfig', { source: 'query' }),
+  validate('HogProfile', { optional: true }),
+  asyncHandler(startHog),
+);
 
 /**
  * @swagger
  * /clear-hog-resources:
  *   post:
  *     summary: Stop the running resource hog
- *     description: Stops the currently running resource hog worker thread
+ *     description: Stops every resource hog worker thread, or only the one given by `workerId`. Stopping the last worker stops the hog.
  *     tags: [Resource Hog]
+ *     security:
+ *       - hogAdminToken: []
+ *     parameters:
+ *       - in: query
+ *         name: workerId
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: ID of a single worker to stop, as listed by `/hog-status`
  *     responses:
  *       200:
  *         description: Resource hog stopped or was not running
@@ -223,22 +931,40 @@ router.post('/hog-resources', startHog);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/HogStopResponse'
- *       500:
- *         description: Internal server error
+ *       400:
+ *         $ref: '#/components/responses/InvalidRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/HogTokenNotConfigured'
+ *       404:
+ *         description: No running worker has that ID, or the resource hog endpoints are disabled
  *         content:
- *           application/json:
+ *           application/problem+json:
  *             schema:
- *               $ref: '#/components/schemas/Error'
+ *               $ref: '#/components/schemas/Problem'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
  */
-router.post('/clear-hog-resources', stopHog);
+router.post(
+  '/clear-hog-resources',
+  hogRateLimit,
+  requireHogAccess,
+  validate('HogStopQuery', { source: 'query' }),
+  asyncHandler(stopHog),
+);
 
 /**
  * @swagger
  * /hog-status:
  *   get:
  *     summary: Get resource hog status
- *     description: Returns the current status of the resource hog, including configuration and runtime if running
+ *     description: Returns the current status of the resource hog, including its settings, the current stage of its load profile, time remaining, each worker and the resources they hold together, and runtime if running
  *     tags: [Resource Hog]
+ *     security:
+ *       - hogAdminToken: []
  *     responses:
  *       200:
  *         description: Status retrieved successfully
@@ -254,36 +980,122 @@ router.post('/clear-hog-resources', stopHog);
  *                     memoryMb: 256
  *                     cpuSliceMs: 20
  *                     maxMinutes: 10
+ *                   profile:
+ *                     cpuSliceMs: 20
+ *                     intensityMultiplier: 2
+ *                     repeat: 1
+ *                     stages:
+ *                       - { memoryMb: 256, cpuDutyCycle: 1, durationSeconds: 600, transition: step }
+ *                   stage:
+ *                     index: 0
+ *                     count: 1
+ *                     transition: step
+ *                     memoryMb: 256
+ *                     cpuDutyCycle: 1
+ *                     stageRemainingSeconds: 555
+ *                     remainingSeconds: 555
+ *                   workers:
+ *                     - { id: 1, threadId: 3, memoryMb: 256, cpuDutyCycle: 1 }
+ *                   totals:
+ *                     workers: 1
+ *                     memoryMb: 256
+ *                     cpuMillicores: 1000
  *                   startedAt: '2024-01-24T10:30:00.000Z'
  *                   runtime: 45 seconds
  *               notRunning:
  *                 value:
  *                   status: not_running
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/HogTokenNotConfigured'
+ *       404:
+ *         $ref: '#/components/responses/HogDisabled'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  *       500:
- *         description: Internal server error
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get('/hog-status', hogStatusRateLimit, requireHogAccess, asyncHandler(getHogStatus));
+
+/**
+ * @swagger
+ * /hog-status/stream:
+ *   get:
+ *     summary: Stream resource hog telemetry
+ *     description: |
+ *       Server-Sent Events stream. It starts with a `status` event holding the same body as `/hog-status`, then sends:
+ *       - `started` when a hog starts, with the start response body
+ *       - `sample` about every second per worker, with what it actually achieved
+ *       - `worker_stopped` when a single worker is stopped, with its `workerId`
+ *       - `stopped` when the hog stops
+ *
+ *       The stream stays open across hog runs until the client disconnects.
+ *     tags: [Resource Hog]
+ *     security:
+ *       - hogAdminToken: []
+ *     responses:
+ *       200:
+ *         description: Event stream
  *         content:
- *           application/json:
+ *           text/event-stream:
  *             schema:
- *               $ref: '#/components/schemas/Error'
+ *               type: string
+ *             example: |
+ *               event: sample
+ *               data: {"workerId":1,"time":"2024-01-24T10:30:01.000Z","stage":0,"allocatedBytes":268435456,"iterationsPerSecond":5400,"cpuDutyCycle":0.99,"rssBytes":412090368}
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/HogTokenNotConfigured'
+ *       404:
+ *         $ref: '#/components/responses/HogDisabled'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  */
-router.get('/hog-status', getHogStatus);
+router.get('/hog-status/stream', hogStatusRateLimit, requireHogAccess, asyncHandler(streamHogTelemetry));
+
+// Every /admin route can requeue, rebuild or overwrite data in both stores,
+// so the whole prefix needs the admin token, including routes added later
+router.use('/admin', recordRoutePrefix, requireAdminAccess);
 
 /**
  * @swagger
- * /:
+ * /admin/sync:
  *   get:
- *     summary: Health check endpoint
- *     description: Returns the health status of the service including MongoDB and Elasticsearch connection status
- *     tags: [Health]
+ *     summary: Get MongoDB to Elasticsearch sync status
+ *     description: Returns the outbox queue depth, recent dead-lettered entries and dispatcher counters
+ *     tags: [Admin]
+ *     security:
+ *       - adminToken: []
  *     responses:
  *       200:
- *         description: Service is healthy
+ *         description: Sync status retrieved successfully
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/HealthResponse'
+ *               $ref: '#/components/schemas/SyncStatusResponse'
+ *       401:
+ *         $ref: '#/components/responses/AdminTokenRequired'
+ *       403:
+ *         $ref: '#/components/responses/AdminTokenNotConfigured'
  *       500:
- *         description: Service encountered an error
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get('/admin/sync', asyncHandler(getSyncStatus));
+
+/**
+ * @swagger
+ * /admin/sync/retry-dead:
+ *   post:
+ *     summary: Retry dead-lettered sync entries
+ *     description: Moves every dead-lettered outbox entry back to the queue with a fresh attempt budget
+ *     tags: [Admin]
+ *     security:
+ *       - adminToken: []
+ *     responses:
+ *       202:
+ *         description: Dead-lettered entries requeued
  *         content:
  *           application/json:
  *             schema:
@@ -291,46 +1103,341 @@ router.get('/hog-status', getHogStatus);
  *               properties:
  *                 status:
  *                   type: string
- *                   example: error
- *                 error:
+ *                   example: requeued
+ *                 requeued:
+ *                   type: integer
+ *                   example: 3
+ *                 message:
+ *                   type: string
+ *                   example: 3 dead-lettered entries requeued for sync.
+ *       401:
+ *         $ref: '#/components/responses/AdminTokenRequired'
+ *       403:
+ *         $ref: '#/components/responses/AdminTokenNotConfigured'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.post('/admin/sync/retry-dead', asyncHandler(retryDeadLetters));
+
+/**
+ * @swagger
+ * /admin/reindex:
+ *   post:
+ *     summary: Rebuild the Elasticsearch index from MongoDB
+ *     description: Streams every todo from MongoDB into a new versioned index using bulk requests, then atomically swaps the `ELASTICSEARCH_INDEX` alias to it. Todos changed or deleted during the copy, on any replica, are replayed from MongoDB before and after the swap. Runs in the background; poll `GET /admin/reindex` for progress.
+ *     tags: [Admin]
+ *     security:
+ *       - adminToken: []
+ *     parameters:
+ *       - in: query
+ *         name: deleteOld
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Delete the previously aliased indices after the swap
+ *     responses:
+ *       202:
+ *         description: Reindex started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReindexStatus'
+ *       401:
+ *         $ref: '#/components/responses/AdminTokenRequired'
+ *       403:
+ *         $ref: '#/components/responses/AdminTokenNotConfigured'
+ *       409:
+ *         description: A reindex is already running; the problem's `reindex` member holds its progress
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Problem'
+ *                 - type: object
+ *                   properties:
+ *                     reindex:
+ *                       $ref: '#/components/schemas/ReindexStatus'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ *       503:
+ *         $ref: '#/components/responses/ElasticsearchUnavailable'
+ *   get:
+ *     summary: Get reindex progress
+ *     description: Returns progress of the running reindex, or the outcome of the last one
+ *     tags: [Admin]
+ *     security:
+ *       - adminToken: []
+ *     responses:
+ *       200:
+ *         description: Reindex status retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReindexStatus'
+ *       401:
+ *         $ref: '#/components/responses/AdminTokenRequired'
+ *       403:
+ *         $ref: '#/components/responses/AdminTokenNotConfigured'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.post('/admin/reindex', requireElasticsearch, asyncHandler(startReindex));
+router.get('/admin/reindex', asyncHandler(getReindexStatus));
+
+/**
+ * @swagger
+ * /admin/consistency:
+ *   get:
+ *     summary: Compare MongoDB and Elasticsearch
+ *     description: Compares the Todo collection with the Elasticsearch index by `id` and field values (title, completed, createdAt), in batches of `ELASTICSEARCH_REINDEX_BATCH_SIZE`, and returns the documents that are missing from ES, extra in ES, or mismatched. Differences with an outbox entry still pending are listed as `syncing` instead.
+ *     tags: [Admin]
+ *     security:
+ *       - adminToken: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DriftLimit'
+ *     responses:
+ *       200:
+ *         description: Drift report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DriftReport'
+ *       401:
+ *         $ref: '#/components/responses/AdminTokenRequired'
+ *       403:
+ *         $ref: '#/components/responses/AdminTokenNotConfigured'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ *       503:
+ *         $ref: '#/components/responses/ElasticsearchUnavailable'
+ */
+router.get('/admin/consistency', requireElasticsearch, asyncHandler(checkConsistency));
+
+/**
+ * @swagger
+ * /admin/consistency/repair:
+ *   post:
+ *     summary: Repair drift between MongoDB and Elasticsearch
+ *     description: |
+ *       Computes the drift and fixes it in one direction:
+ *       - `es`: MongoDB is the source of truth. Missing and mismatched documents are indexed, extra ones deleted from ES.
+ *       - `mongo`: Elasticsearch is the source of truth. Extra documents are created, mismatched ones updated and missing ones deleted in MongoDB.
+ *
+ *       Todos with an outbox entry still pending or in delivery are skipped in both directions: the dispatcher syncs them.
+ *     tags: [Admin]
+ *     security:
+ *       - adminToken: []
+ *     parameters:
+ *       - in: query
+ *         name: direction
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [es, mongo]
+ *         description: Store to repair
+ *       - $ref: '#/components/parameters/DriftLimit'
+ *     responses:
+ *       200:
+ *         description: Drift repaired
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 direction:
  *                   type: string
- *                   example: Connection failed
- */
-router.get('/', async (req, res) => {
-  try {
-    let mongoStatus = 'disconnected';
-    let esStatus = 'disconnected';
-    
-    // Check MongoDB connection
-    try {
-      if (mongoose.connection.readyState === 1) {
-        mongoStatus = 'connected';
-      }
-    } catch (error) {
-      mongoStatus = 'disconnected';
-    }
-    
-    // Check Elasticsearch connection
-    try {
-      const client = getElasticsearchClient();
-      await client.ping();
-      esStatus = 'connected';
-    } catch (error) {
-      esStatus = 'disconnected';
-    }
-
-    res.status(200).json({
-      status: 'IAAAAAAAAC',
-      mongodb: mongoStatus,
-      elasticsearch: esStatus,
-    });
-  } catch (error) {
-    res.status(500).json({
-      status: 'error',
-      error: error.message,
-    });
-  }
-});
+ *                   example: es
+ *                 repaired:
+ *                   type: object
+ *                   description: Per-action counts (indexed/deleted for es; created/updated/deleted for mongo) plus failures, and todos skipped because they are syncing or, for es, a newer version is already indexed
+ *                   example:
+ *                     indexed: 3
+ *                     deleted: 1
+ *                     skipped: 0
+ *                     failed: 0
+ *                 drift:
+ *                   $ref: '#/components/schemas/DriftReport'
+ *       400:
+ *         description: Bad request - invalid direction
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       401:
+ *         $ref: '#/components/responses/AdminTokenRequired'
+ *       403:
+ *         $ref: '#/components/responses/AdminTokenNotConfigured'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ *       503:
+ *         $ref: '#/components/responses/ElasticsearchUnavailable'
+ */
+router.post('/admin/consistency/repair', requireElasticsearch, asyncHandler(repairConsistency));
+
+/**
+ * @swagger
+ * /admin/migrations:
+ *   get:
+ *     summary: Get schema migration status
+ *     description: Returns the applied and pending MongoDB migrations, and the mapping version of each Elasticsearch index behind the alias compared with the latest one
+ *     tags: [Admin]
+ *     security:
+ *       - adminToken: []
+ *     responses:
+ *       200:
+ *         description: Migration status retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MigrationStatus'
+ *       401:
+ *         $ref: '#/components/responses/AdminTokenRequired'
+ *       403:
+ *         $ref: '#/components/responses/AdminTokenNotConfigured'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ *       503:
+ *         $ref: '#/components/responses/ElasticsearchUnavailable'
+ */
+router.get('/admin/migrations', requireElasticsearch, asyncHandler(getMigrationStatus));
+
+/**
+ * @swagger
+ * /admin/migrations/apply:
+ *   post:
+ *     summary: Apply pending schema migrations
+ *     description: Applies pending MongoDB migrations, then brings the Elasticsearch mapping to the latest version. Compatible mapping changes are applied in place; incompatible ones rebuild the index with a reindex and alias swap. Use this when a migration mode is `warn` or `refuse`.
+ *     tags: [Admin]
+ *     security:
+ *       - adminToken: []
+ *     responses:
+ *       200:
+ *         description: Migrations applied
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 mongodb:
+ *                   type: object
+ *                   properties:
+ *                     applied:
+ *                       type: array
+ *                       items:
+ *                         type: integer
+ *                       example: [2]
+ *                 elasticsearch:
+ *                   type: object
+ *                   properties:
+ *                     applied:
+ *                       type: array
+ *                       items:
+ *                         type: integer
+ *                       example: [3, 4]
+ *                     reindexed:
+ *                       type: boolean
+ *                       example: false
+ *       401:
+ *         $ref: '#/components/responses/AdminTokenRequired'
+ *       403:
+ *         $ref: '#/components/responses/AdminTokenNotConfigured'
+ *       409:
+ *         $ref: '#/components/responses/Conflict'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ *       503:
+ *         $ref: '#/components/responses/ElasticsearchUnavailable'
+ */
+router.post('/admin/migrations/apply', requireElasticsearch, asyncHandler(applyMigrations));
+
+/**
+ * @swagger
+ * /healthz:
+ *   get:
+ *     summary: Liveness probe
+ *     description: Answers 200 as long as the process is running. Does not touch MongoDB or Elasticsearch, so a dependency outage never gets the pod restarted.
+ *     tags: [Health]
+ *     responses:
+ *       200:
+ *         description: Process is alive
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LivenessResponse'
+ */
+router.get('/healthz', asyncHandler(getLiveness));
+
+/**
+ * @swagger
+ * /readyz:
+ *   get:
+ *     summary: Readiness probe
+ *     description: Checks MongoDB and Elasticsearch (results cached for `HEALTH_CHECK_CACHE_MS`) and reports per-dependency status, latency and last error. Returns 503 while a required dependency is down; dependencies listed in `HEALTH_OPTIONAL_DEPENDENCIES` only make the service `degraded`.
+ *     tags: [Health]
+ *     responses:
+ *       200:
+ *         description: Ready (or degraded with only optional dependencies down)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReadinessResponse'
+ *       503:
+ *         description: A required dependency is down
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReadinessResponse'
+ */
+router.get('/readyz', asyncHandler(getReadiness));
+
+/**
+ * @swagger
+ * /metrics:
+ *   get:
+ *     summary: Prometheus metrics
+ *     description: |
+ *       Metrics in the Prometheus text format:
+ *       - `http_requests_total`, `http_request_duration_seconds` by method, route and status
+ *       - `mongodb_operation_duration_seconds`, `mongodb_operation_errors_total` by command
+ *       - `elasticsearch_operation_duration_seconds`, `elasticsearch_operation_errors_total` by endpoint
+ *       - `todo_es_sync_failures_total`, `todo_es_sync_dead_letters_total` for todo writes that failed to reach Elasticsearch
+ *       - `hog_running`, `hog_memory_mb`, `hog_cpu_slice_ms` for the resource hog
+ *       - Node.js process metrics such as `nodejs_eventloop_lag_seconds`, `nodejs_heap_size_used_bytes` and `process_resident_memory_bytes`
+ *     tags: [Health]
+ *     responses:
+ *       200:
+ *         description: Current metrics
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *               example: |
+ *                 # HELP hog_running Whether the resource hog is running (1) or not (0)
+ *                 # TYPE hog_running gauge
+ *                 hog_running 0
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get('/metrics', asyncHandler(getMetrics));
+
+/**
+ * @swagger
+ * /:
+ *   get:
+ *     summary: Health check endpoint
+ *     description: Connection summary for MongoDB and Elasticsearch. Always answers 200; probes should use `/healthz` and `/readyz`.
+ *     tags: [Health]
+ *     responses:
+ *       200:
+ *         description: Health summary
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/HealthResponse'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get('/', asyncHandler(getHealth));
 
 export default router;
 
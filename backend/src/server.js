@@ -1,18 +1,36 @@
+// First, so tracing is set up before anything it instruments is loaded
+import './tracing.js';
 import express from 'express';
 import cors from 'cors';
 import swaggerUi from 'swagger-ui-express';
 import config from './config/ConfigService.js';
 import { connectMongoDB, connectElasticsearch } from './config/database.js';
 import routes from './routes/index.js';
+import { outboxDispatcher } from './services/esSync.js';
+import { runMongoStartupMigrations, runElasticsearchStartupMigrations } from './services/migrator.js';
 import swaggerSpec from './config/swagger.js';
+import { httpMetricsMiddleware } from './services/metrics.js';
+import { logger } from './services/logger.js';
+import { requestId, REQUEST_ID_HEADER } from './middleware/requestId.js';
+import { notFoundHandler, errorHandler } from './middleware/errorHandler.js';
+import { shutdownCoordinator } from './services/shutdown.js';
 
 const app = express();
+// Client addresses (rate limits, audit log) come from X-Forwarded-For set by these proxies
+app.set('trust proxy', config.getTrustProxy());
 
 // Middleware
-const corsConfig = config.getCorsConfig();
-app.use(cors({
-  origin: corsConfig.origin,
-  credentials: corsConfig.credentials,
+app.use(shutdownCoordinator.trackRequests);
+app.use(requestId);
+app.use(httpMetricsMiddleware);
+// Options are looked up per request so CORS changes apply on a config reload
+app.use(cors((req, callback) => {
+  const { origins, credentials } = config.getCorsConfig();
+  callback(null, {
+    origin: origins.includes('*') ? '*' : origins,
+    credentials,
+    exposedHeaders: [REQUEST_ID_HEADER],
+  });
 }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -37,11 +55,9 @@ app.get('/docs', (req, res) => {
 // Routes
 app.use('/', routes);
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error('Error:', err);
-  res.status(500).json({ error: 'Internal server error' });
-});
+// Everything else is a 404; errors become problem+json responses
+app.use(notFoundHandler);
+app.use(errorHandler);
 
 // Start server
 const startServer = async () => {
@@ -49,21 +65,53 @@ const startServer = async () => {
     // Print configuration
     config.printConfig();
 
-    // Connect to databases
+    // Apply reloadable settings on SIGHUP or config file changes
+    config.watch();
+
+    // MongoDB is required: retried with backoff, up to CONNECT_STARTUP_MAX_ATTEMPTS
     await connectMongoDB();
-    await connectElasticsearch();
+
+    // Bring MongoDB up to date (or refuse to start)
+    await runMongoStartupMigrations();
+
+    // Start background MongoDB -> Elasticsearch sync; it pauses while Elasticsearch is down
+    outboxDispatcher.start();
 
     // Start listening
     const PORT = config.getPort();
-    app.listen(PORT, () => {
-      console.log(`🚀 Server running on port ${PORT}`);
-      console.log(`📍 Environment: ${config.getNodeEnv()}`);
+    const server = app.listen(PORT, () => {
+      logger.info('Server listening', { port: PORT, environment: config.getNodeEnv() });
     });
+    shutdownCoordinator.attach(server);
+
+    // Elasticsearch may come up later; until then /es answers 503 and /db
+    // writes stay queued in the outbox
+    connectElasticsearch()
+      .then(() => runElasticsearchStartupMigrations())
+      .catch(async (error) => {
+        if (shutdownCoordinator.isShuttingDown()) {
+          return;
+        }
+        logger.error('Elasticsearch startup failed', { error });
+        await shutdownCoordinator.shutdown('elasticsearch startup failure');
+        process.exit(1);
+      });
   } catch (error) {
-    console.error('Failed to start server:', error);
+    logger.error('Failed to start server', { error });
     process.exit(1);
   }
 };
 
+// Graceful shutdown; a second signal exits immediately
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.on(signal, async () => {
+    if (shutdownCoordinator.isShuttingDown()) {
+      logger.warn('Received second signal; exiting immediately', { signal });
+      process.exit(1);
+    }
+    process.exit(await shutdownCoordinator.shutdown(signal));
+  });
+}
+
 startServer();
 
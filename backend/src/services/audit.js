@@ -0,0 +1,38 @@
+import { logger } from './logger.js';
+
+/**
+ * Audit trail of privileged actions, written as log lines with
+ * `component: audit` so they can be filtered out of the rest. Each names the
+ * action and the client; the request ID is added by the logger.
+ */
+
+const log = logger.child({ component: 'audit' });
+
+/**
+ * Who sent a request: its address (through trusted proxies) and user agent
+ * @private
+ */
+const clientOf = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('User-Agent') ?? null,
+});
+
+/**
+ * Record an action taken on behalf of `req`
+ * @param {string} action - e.g. `hog.start`
+ * @param {Express.Request} req
+ * @param {Object} [details] - What was done, e.g. the settings used
+ */
+export const audit = (action, req, details = {}) => {
+  log.info(action, { action, client: clientOf(req), ...details });
+};
+
+/**
+ * Record an attempt that was refused
+ * @param {string} action
+ * @param {Express.Request} req
+ * @param {string} reason
+ */
+export const auditDenied = (action, req, reason) => {
+  log.warn(`${action} denied`, { action, client: clientOf(req), request: `${req.method} ${req.originalUrl}`, reason });
+};
@@ -0,0 +1,84 @@
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+import config from '../config/ConfigService.js';
+
+/**
+ * Password hashing and the JWTs handed out to users. An access token
+ * authenticates API requests for a short while (`JWT_ACCESS_TOKEN_TTL_SECONDS`);
+ * a refresh token only gets a new pair, and stops working once the user's
+ * `tokenVersion` moves past the one it carries (on logout).
+ */
+
+const ALGORITHM = 'HS256';
+
+export const TOKEN_TYPE = 'Bearer';
+
+// Compared against when the email is unknown, so a login takes as long either
+// way. Hashed at the configured cost on first use, and again if it changes.
+let unknownUserHash = null;
+
+/**
+ * @private
+ * @returns {Promise<string>}
+ */
+const getUnknownUserHash = () => {
+  const { passwordHashRounds } = config.getAuthConfig();
+  if (unknownUserHash?.rounds !== passwordHashRounds) {
+    unknownUserHash = { rounds: passwordHashRounds, hash: bcrypt.hash('unknown user', passwordHashRounds) };
+  }
+  return unknownUserHash.hash;
+};
+
+/**
+ * @param {string} password
+ * @returns {Promise<string>} bcrypt hash
+ */
+export const hashPassword = (password) => bcrypt.hash(password, config.getAuthConfig().passwordHashRounds);
+
+/**
+ * @param {string} password
+ * @param {string|undefined} passwordHash - Hash of the user's password; undefined if there is no such user
+ * @returns {Promise<boolean>}
+ */
+export const verifyPassword = async (password, passwordHash) => {
+  const matches = await bcrypt.compare(password, passwordHash ?? await getUnknownUserHash());
+  return matches && passwordHash !== undefined;
+};
+
+/**
+ * Sign a new access and refresh token pair for a user
+ * @param {{ id: string, email: string, tokenVersion: number }} user
+ * @returns {{ accessToken: string, refreshToken: string, tokenType: string, expiresIn: number }}
+ */
+export const issueTokens = (user) => {
+  const { jwtSecret, accessTokenTtlSeconds, refreshTokenTtlSeconds } = config.getAuthConfig();
+  const options = { algorithm: ALGORITHM, subject: user.id };
+
+  return {
+    accessToken: jwt.sign({ type: 'access', email: user.email }, jwtSecret, {
+      ...options,
+      expiresIn: accessTokenTtlSeconds,
+    }),
+    refreshToken: jwt.sign({ type: 'refresh', tokenVersion: user.tokenVersion }, jwtSecret, {
+      ...options,
+      expiresIn: refreshTokenTtlSeconds,
+    }),
+    tokenType: TOKEN_TYPE,
+    expiresIn: accessTokenTtlSeconds,
+  };
+};
+
+/**
+ * Check a token's signature, expiry and type
+ * @param {string} token
+ * @param {'access'|'refresh'} type
+ * @returns {Object|null} The token's claims, or null if it is not a valid token of that type
+ */
+export const verifyToken = (token, type) => {
+  try {
+    const claims = jwt.verify(token, config.getAuthConfig().jwtSecret, { algorithms: [ALGORITHM] });
+    return claims.type === type ? claims : null;
+  } catch {
+    return null;
+  }
+};
@@ -0,0 +1,345 @@
+import { Todo } from '../models/todo.js';
+import { OutboxEntry } from '../models/outboxEntry.js';
+import { getElasticsearchClient } from '../config/database.js';
+import config from '../config/ConfigService.js';
+import { getIndex } from '../controllers/esController.js';
+import { toEsDocument, toEsVersion } from './reindex.js';
+import { logger } from './logger.js';
+
+const log = logger.child({ component: 'consistency' });
+
+const getIndexName = () => config.getElasticsearchConfig().indexName;
+
+// Fields compared between MongoDB and Elasticsearch
+const COMPARED_FIELDS = ['title', 'completed', 'description', 'dueDate', 'priority', 'tags', 'owner', 'workspace', 'createdAt', 'updatedAt'];
+const DATE_FIELDS = ['dueDate', 'createdAt', 'updatedAt'];
+
+export const REPAIR_DIRECTIONS = ['es', 'mongo'];
+
+// Outbox entries not yet delivered
+const SYNCING_STATUSES = ['pending', 'processing'];
+
+/**
+ * Normalize a field value so Mongo and ES representations compare equal
+ * @private
+ */
+const normalize = (field, value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (DATE_FIELDS.includes(field)) {
+    const time = new Date(value).getTime();
+    return isNaN(time) ? String(value) : new Date(time).toISOString();
+  }
+  if (Array.isArray(value)) {
+    // Compare arrays by value, order-insensitive
+    return JSON.stringify([...value].sort());
+  }
+  return value;
+};
+
+/**
+ * Split a list into chunks of at most `size` items
+ * @private
+ */
+function* inBatches(items, size) {
+  for (let i = 0; i < items.length; i += size) {
+    yield items.slice(i, i + size);
+  }
+}
+
+/**
+ * Ids among `ids` with an outbox entry still waiting for or in delivery.
+ * Their stores only differ until the dispatcher catches up, so checks and
+ * repairs leave them alone rather than "fixing" a write in flight.
+ * @private
+ */
+const findSyncingIds = async (ids) => new Set(await OutboxEntry.distinct('todoId', {
+  todoId: { $in: ids },
+  status: { $in: SYNCING_STATUSES },
+}));
+
+/**
+ * Fetch ES documents by id from the alias, keyed by id; ids not found are left out
+ * @private
+ */
+const getEsDocuments = async (ids) => {
+  const client = getElasticsearchClient();
+  const response = await client.mget({ index: getIndexName(), ids });
+  return new Map(response.docs.filter((doc) => doc.found).map((doc) => [doc._id, doc._source]));
+};
+
+/**
+ * Fields whose values differ between a todo in ES document shape and its ES document
+ * @private
+ * @returns {Object|null} Differing fields, or null if they all match
+ */
+const diffFields = (mongoDoc, esDoc) => {
+  const fields = {};
+  for (const field of COMPARED_FIELDS) {
+    const mongoValue = normalize(field, mongoDoc[field]);
+    const esValue = normalize(field, esDoc[field]);
+    if (mongoValue !== esValue) {
+      fields[field] = { mongodb: mongoValue, elasticsearch: esValue };
+    }
+  }
+  return Object.keys(fields).length > 0 ? fields : null;
+};
+
+/**
+ * Compare the Todo collection with the ES index, one batch of
+ * `ELASTICSEARCH_REINDEX_BATCH_SIZE` documents at a time.
+ *
+ * - `missing`: in MongoDB but not in Elasticsearch
+ * - `extra`: in Elasticsearch but not in MongoDB (orphans)
+ * - `mismatched`: in both, with differing field values
+ * - `syncing`: differing, but with an outbox entry pending; not drift
+ *
+ * @returns {Promise<Object>} Ids per category and the differing fields
+ */
+export const computeDrift = async () => {
+  await getIndex();
+
+  const client = getElasticsearchClient();
+  const { reindexBatchSize: batchSize } = config.getElasticsearchConfig();
+  const totals = { mongodb: 0, elasticsearch: 0 };
+  const missing = [];
+  const extra = [];
+  const mismatched = [];
+  const syncing = [];
+
+  // MongoDB against Elasticsearch: missing and mismatched documents
+  const compareBatch = async (todos) => {
+    const ids = todos.map((todo) => todo.id);
+    const [esTodos, syncingIds] = await Promise.all([getEsDocuments(ids), findSyncingIds(ids)]);
+    for (const todo of todos) {
+      const esDoc = esTodos.get(todo.id);
+      const fields = esDoc && diffFields(toEsDocument(todo), esDoc);
+      if (esDoc && !fields) {
+        continue;
+      }
+      if (syncingIds.has(todo.id)) {
+        syncing.push(todo.id);
+      } else if (!esDoc) {
+        missing.push(todo.id);
+      } else {
+        mismatched.push({ id: todo.id, fields });
+      }
+    }
+  };
+
+  let batch = [];
+  for await (const todo of Todo.find().cursor()) {
+    totals.mongodb++;
+    batch.push(todo);
+    if (batch.length >= batchSize) {
+      await compareBatch(batch);
+      batch = [];
+    }
+  }
+  if (batch.length > 0) {
+    await compareBatch(batch);
+  }
+
+  // Elasticsearch against MongoDB: extra documents
+  const scroll = client.helpers.scrollSearch({
+    index: getIndexName(),
+    query: { match_all: {} },
+    _source: false,
+    size: batchSize,
+  });
+  for await (const response of scroll) {
+    const ids = response.body.hits.hits.map((hit) => hit._id);
+    totals.elasticsearch += ids.length;
+    const [existing, syncingIds] = await Promise.all([
+      Todo.distinct('id', { id: { $in: ids } }),
+      findSyncingIds(ids),
+    ]);
+    const inMongo = new Set(existing);
+    for (const id of ids.filter((candidate) => !inMongo.has(candidate))) {
+      (syncingIds.has(id) ? syncing : extra).push(id);
+    }
+  }
+
+  return {
+    counts: {
+      ...totals,
+      missing: missing.length,
+      extra: extra.length,
+      mismatched: mismatched.length,
+      syncing: syncing.length,
+    },
+    consistent: missing.length === 0 && extra.length === 0 && mismatched.length === 0,
+    missing,
+    extra,
+    mismatched,
+    syncing,
+  };
+};
+
+/**
+ * Trim a drift result for an API response
+ * @param {Object} drift - Result of computeDrift
+ * @param {number} limit - Max ids/documents listed per category
+ */
+export const formatDrift = (drift, limit) => ({
+  checkedAt: new Date().toISOString(),
+  consistent: drift.consistent,
+  counts: drift.counts,
+  truncated: [drift.missing, drift.extra, drift.mismatched, drift.syncing].some((list) => list.length > limit),
+  missing: drift.missing.slice(0, limit),
+  extra: drift.extra.slice(0, limit),
+  mismatched: drift.mismatched.slice(0, limit),
+  syncing: drift.syncing.slice(0, limit),
+});
+
+/**
+ * Send one bulk repair request and tally the outcome into `result`
+ * @private
+ */
+const bulkRepair = async (operations, result) => {
+  if (operations.length === 0) {
+    return;
+  }
+  const client = getElasticsearchClient();
+  const response = await client.bulk({ operations, refresh: 'wait_for' });
+  for (const item of response.items) {
+    const [action, outcome] = Object.entries(item)[0];
+    if (outcome.status === 409) {
+      // The dispatcher indexed this state or a newer one since the todo was read
+      result.skipped++;
+    } else if (outcome.error) {
+      result.failed++;
+      log.error('Repair failed', { action, id: outcome._id, error: outcome.error.reason });
+    } else if (action === 'delete') {
+      result.deleted++;
+    } else {
+      result.indexed++;
+    }
+  }
+};
+
+/**
+ * Make Elasticsearch match MongoDB: index missing/mismatched, delete extra.
+ * Todos are read again per batch and indexed with their external version,
+ * like the outbox dispatcher does, so a repair never overwrites a newer
+ * document it raced with.
+ * @private
+ */
+const repairElasticsearch = async (drift) => {
+  const index = getIndexName();
+  const { reindexBatchSize: batchSize } = config.getElasticsearchConfig();
+  const result = { indexed: 0, deleted: 0, skipped: 0, failed: 0 };
+  const upserts = [...drift.missing, ...drift.mismatched.map((entry) => entry.id)];
+
+  for (const ids of inBatches(upserts, batchSize)) {
+    const syncingIds = await findSyncingIds(ids);
+    result.skipped += syncingIds.size;
+    const todos = await Todo.find({ id: { $in: ids.filter((id) => !syncingIds.has(id)) } });
+    await bulkRepair(todos.flatMap((todo) => [
+      { index: { _index: index, _id: todo.id, version: toEsVersion(todo), version_type: 'external' } },
+      toEsDocument(todo),
+    ]), result);
+  }
+
+  for (const ids of inBatches(drift.extra, batchSize)) {
+    const syncingIds = await findSyncingIds(ids);
+    result.skipped += syncingIds.size;
+    await bulkRepair(ids.filter((id) => !syncingIds.has(id)).map((id) => ({ delete: { _index: index, _id: id } })), result);
+  }
+
+  return result;
+};
+
+/**
+ * Map an ES document back to Todo fields
+ * @private
+ */
+const fromEsDocument = (esDoc) => {
+  const createdAt = esDoc.createdAt ? new Date(esDoc.createdAt) : new Date();
+  return {
+    title: esDoc.title,
+    completed: Boolean(esDoc.completed),
+    description: esDoc.description ?? null,
+    dueDate: esDoc.dueDate ? new Date(esDoc.dueDate) : null,
+    priority: esDoc.priority ?? 'medium',
+    tags: Array.isArray(esDoc.tags) ? esDoc.tags : [],
+    owner: esDoc.owner ?? null,
+    workspace: esDoc.workspace ?? null,
+    createdAt,
+    updatedAt: esDoc.updatedAt ? new Date(esDoc.updatedAt) : createdAt,
+  };
+};
+
+/**
+ * Make MongoDB match Elasticsearch: create extra, update mismatched, delete
+ * missing. ES documents are read again per batch, and todos that started
+ * syncing since the check are skipped.
+ * @private
+ */
+const repairMongo = async (drift) => {
+  const { reindexBatchSize: batchSize } = config.getElasticsearchConfig();
+  const result = { created: 0, updated: 0, deleted: 0, skipped: 0, failed: 0 };
+
+  // ES documents for the ids that are not syncing
+  const loadSources = async (ids) => {
+    const [esTodos, syncingIds] = await Promise.all([getEsDocuments(ids), findSyncingIds(ids)]);
+    result.skipped += syncingIds.size;
+    return { esTodos, syncingIds };
+  };
+
+  for (const ids of inBatches(drift.extra, batchSize)) {
+    const { esTodos, syncingIds } = await loadSources(ids);
+    for (const [id, esDoc] of esTodos) {
+      if (syncingIds.has(id)) {
+        continue;
+      }
+      try {
+        await Todo.create([{ id, ...fromEsDocument(esDoc) }], { timestamps: false });
+        result.created++;
+      } catch (error) {
+        result.failed++;
+        log.error('Repair failed', { action: 'create', id, error: error.message });
+      }
+    }
+  }
+
+  for (const ids of inBatches(drift.mismatched.map((entry) => entry.id), batchSize)) {
+    const { esTodos, syncingIds } = await loadSources(ids);
+    for (const [id, esDoc] of esTodos) {
+      if (syncingIds.has(id)) {
+        continue;
+      }
+      try {
+        // Bypass timestamps so updatedAt is copied from ES rather than bumped
+        await Todo.updateOne({ id }, { $set: fromEsDocument(esDoc) }, { timestamps: false });
+        result.updated++;
+      } catch (error) {
+        result.failed++;
+        log.error('Repair failed', { action: 'update', id, error: error.message });
+      }
+    }
+  }
+
+  for (const ids of inBatches(drift.missing, batchSize)) {
+    const { esTodos, syncingIds } = await loadSources(ids);
+    // Indexed since the check: no longer missing
+    const gone = ids.filter((id) => !syncingIds.has(id) && !esTodos.has(id));
+    if (gone.length > 0) {
+      const deleted = await Todo.deleteMany({ id: { $in: gone } });
+      result.deleted += deleted.deletedCount;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Fix drift in the given direction
+ * @param {Object} drift - Result of computeDrift
+ * @param {'es'|'mongo'} direction - Store to repair; the other one is the source of truth
+ */
+export const repairDrift = async (drift, direction) => {
+  log.info('Repairing drift', { direction, counts: drift.counts });
+  return direction === 'es' ? repairElasticsearch(drift) : repairMongo(drift);
+};
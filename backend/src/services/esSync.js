@@ -0,0 +1,339 @@
+import mongoose from 'mongoose';
+import { Todo } from '../models/todo.js';
+import { OutboxEntry } from '../models/outboxEntry.js';
+import { getElasticsearchClient, isElasticsearchAvailable, isElasticsearchUnreachableError } from '../config/database.js';
+import config from '../config/ConfigService.js';
+import { getIndex } from '../controllers/esController.js';
+import { reindexJob, toEsDocument, toEsVersion } from './reindex.js';
+import { esSyncFailures, esSyncDeadLetters } from './metrics.js';
+import { logger } from './logger.js';
+
+const log = logger.child({ component: 'outbox' });
+
+const getIndexName = () => config.getElasticsearchConfig().indexName;
+
+let transactionsSupported = null;
+
+/**
+ * Multi-document transactions need a replica set or mongos.
+ * The result is cached for the lifetime of the connection.
+ * @private
+ */
+const supportsTransactions = async () => {
+  if (transactionsSupported === null) {
+    try {
+      const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+      transactionsSupported = Boolean(hello.setName || hello.msg === 'isdbgrid');
+    } catch {
+      transactionsSupported = false;
+    }
+    if (!transactionsSupported) {
+      log.warn('MongoDB is standalone: outbox entries are written without a transaction');
+    }
+  }
+  return transactionsSupported;
+};
+
+/**
+ * Run a MongoDB write together with its outbox entries.
+ *
+ * `work(session, record)` performs the write; `record(op, todoId)` adds an
+ * outbox entry in the same transaction. On a standalone MongoDB there is no
+ * transaction, so callers record the entry *before* writing the todo: an
+ * entry without a matching write is harmless because the dispatcher syncs
+ * the current state.
+ *
+ * @returns {Promise<{ result: any, entries: Array }>}
+ */
+export const withOutbox = async (work) => {
+  const run = async (session) => {
+    const entries = [];
+    const record = async (op, todoId) => {
+      const [entry] = await OutboxEntry.create([{ op, todoId }], { session });
+      entries.push(entry);
+    };
+    const result = await work(session, record);
+    return { result, entries };
+  };
+
+  if (!(await supportsTransactions())) {
+    return run(null);
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    let outcome;
+    await session.withTransaction(async () => {
+      outcome = await run(session);
+    });
+    return outcome;
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Make the Elasticsearch document match the todo currently stored in MongoDB:
+ * index it if it exists, delete it otherwise. While a reindex is running the
+ * change is mirrored into the new index too. Documents are versioned by
+ * `updatedAt`, so when two deliveries race the one that read the older state
+ * gets a version conflict instead of overwriting the newer one.
+ */
+export const syncTodoById = async (todoId) => {
+  await getIndex();
+
+  const client = getElasticsearchClient();
+  const todo = await Todo.findOne({ id: todoId });
+  const indices = [getIndexName()];
+  const shadowIndex = reindexJob.getShadowIndex();
+  if (shadowIndex) {
+    indices.push(shadowIndex);
+  }
+
+  for (const index of indices) {
+    if (todo) {
+      // A conflict means this state, or a newer one, is already indexed
+      await client.index(
+        {
+          index,
+          id: todo.id,
+          document: toEsDocument(todo),
+          version: toEsVersion(todo),
+          version_type: 'external',
+          refresh: 'wait_for', // Make document immediately searchable
+        },
+        { ignore: [409] },
+      );
+    } else {
+      await client.delete(
+        { index, id: todoId, refresh: 'wait_for' },
+        { ignore: [404] },
+      );
+    }
+  }
+
+  return todo ? 'indexed' : 'deleted';
+};
+
+/**
+ * Background dispatcher that drains the outbox into Elasticsearch.
+ * Failed entries are retried with exponential backoff and dead-lettered
+ * after `maxAttempts`. While Elasticsearch is unreachable the dispatcher
+ * pauses, so an outage doesn't use up attempts.
+ */
+class OutboxDispatcher {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.drainPromise = null;
+    this.stats = {
+      delivered: 0,
+      failed: 0,
+      deadLettered: 0,
+      lastError: null,
+      lastErrorAt: null,
+      lastDrainAt: null,
+    };
+  }
+
+  /**
+   * Start polling the outbox
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+    const { pollIntervalMs } = config.getSyncConfig();
+    this.running = true;
+    this.timer = setInterval(() => this.drain(), pollIntervalMs);
+    this.timer.unref();
+    log.info('Outbox dispatcher started', { pollIntervalMs });
+  }
+
+  /**
+   * Stop polling the outbox and wait for an in-progress batch to finish
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.running = false;
+    await this.drainPromise;
+  }
+
+  /**
+   * Try to deliver freshly recorded entries right away so the request that
+   * wrote them sees the change in Elasticsearch. Failures are left to the poller.
+   */
+  async deliverNow(entries) {
+    if (!isElasticsearchAvailable()) {
+      return;
+    }
+    for (const entry of entries) {
+      const claimed = await this._claim({ _id: entry._id, status: 'pending' });
+      if (claimed) {
+        await this._deliver(claimed);
+      }
+    }
+  }
+
+  /**
+   * Deliver every due entry, one batch at a time. Concurrent calls share the
+   * batch in progress.
+   */
+  drain() {
+    this.drainPromise ??= this._drainBatch().finally(() => {
+      this.drainPromise = null;
+    });
+    return this.drainPromise;
+  }
+
+  /**
+   * @private
+   */
+  async _drainBatch() {
+    try {
+      const { batchSize } = config.getSyncConfig();
+      for (let i = 0; i < batchSize && isElasticsearchAvailable(); i++) {
+        const now = new Date();
+        const entry = await this._claim({
+          $or: [
+            { status: 'pending', nextAttemptAt: { $lte: now } },
+            // Reclaim entries whose dispatcher died mid-delivery
+            { status: 'processing', lockedUntil: { $lte: now } },
+          ],
+        });
+        if (!entry) {
+          break;
+        }
+        await this._deliver(entry);
+      }
+      this.stats.lastDrainAt = new Date().toISOString();
+    } catch (error) {
+      log.error('Outbox drain failed', { error: error.message });
+    }
+  }
+
+  /**
+   * Move dead-lettered entries back to the queue
+   * @returns {Promise<number>} Number of entries requeued
+   */
+  async retryDeadLetters() {
+    const result = await OutboxEntry.updateMany(
+      { status: 'dead' },
+      { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date(), lockedUntil: null } },
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * Queue depth, dead letters and delivery counters
+   */
+  async getStatus() {
+    const [pending, processing, dead, oldestPending, deadLetters] = await Promise.all([
+      OutboxEntry.countDocuments({ status: 'pending' }),
+      OutboxEntry.countDocuments({ status: 'processing' }),
+      OutboxEntry.countDocuments({ status: 'dead' }),
+      OutboxEntry.findOne({ status: 'pending' }).sort({ createdAt: 1 }),
+      OutboxEntry.find({ status: 'dead' }).sort({ createdAt: -1 }).limit(20),
+    ]);
+
+    return {
+      dispatcher: !this.running ? 'stopped' : isElasticsearchAvailable() ? 'running' : 'paused',
+      queue: {
+        pending,
+        processing,
+        dead,
+        oldestPendingAgeMs: oldestPending ? Date.now() - oldestPending.createdAt.getTime() : 0,
+      },
+      stats: { ...this.stats },
+      deadLetters: deadLetters.map((entry) => ({
+        id: entry._id.toString(),
+        todoId: entry.todoId,
+        op: entry.op,
+        attempts: entry.attempts,
+        lastError: entry.lastError,
+        createdAt: entry.createdAt,
+      })),
+    };
+  }
+
+  /**
+   * Atomically mark one matching entry as being processed
+   * @private
+   */
+  _claim(filter) {
+    const { lockMs } = config.getSyncConfig();
+    return OutboxEntry.findOneAndUpdate(
+      filter,
+      { $set: { status: 'processing', lockedUntil: new Date(Date.now() + lockMs) } },
+      { new: true, sort: { nextAttemptAt: 1 } },
+    );
+  }
+
+  /**
+   * Sync one claimed entry and record the outcome
+   * @private
+   */
+  async _deliver(entry) {
+    try {
+      const outcome = await syncTodoById(entry.todoId);
+      await OutboxEntry.deleteOne({ _id: entry._id });
+      this.stats.delivered++;
+      log.debug('Synced todo to Elasticsearch', { todoId: entry.todoId, outcome });
+    } catch (error) {
+      if (isElasticsearchUnreachableError(error)) {
+        // Not the entry's fault: hand it back untouched for after the outage
+        await OutboxEntry.updateOne(
+          { _id: entry._id },
+          { $set: { status: 'pending', lockedUntil: null } },
+        );
+        log.debug('Elasticsearch unreachable; outbox entry requeued', { todoId: entry.todoId });
+        return;
+      }
+
+      const { maxAttempts, backoffBaseMs, backoffMaxMs } = config.getSyncConfig();
+      const attempts = entry.attempts + 1;
+      const dead = attempts >= maxAttempts;
+      const delay = Math.min(backoffMaxMs, backoffBaseMs * 2 ** (attempts - 1));
+
+      this.stats.failed++;
+      esSyncFailures.inc({ op: entry.op });
+      this.stats.lastError = error.message;
+      this.stats.lastErrorAt = new Date().toISOString();
+      if (dead) {
+        this.stats.deadLettered++;
+        esSyncDeadLetters.inc({ op: entry.op });
+      }
+
+      await OutboxEntry.updateOne(
+        { _id: entry._id },
+        {
+          $set: {
+            status: dead ? 'dead' : 'pending',
+            attempts,
+            lastError: error.message,
+            nextAttemptAt: new Date(Date.now() + delay),
+            lockedUntil: null,
+          },
+        },
+      );
+
+      if (dead) {
+        log.error('Dead-lettered outbox entry', { todoId: entry.todoId, attempts, error: error.message });
+      } else {
+        log.warn('Elasticsearch sync failed, will retry', {
+          todoId: entry.todoId,
+          attempt: attempts,
+          maxAttempts,
+          retryInMs: delay,
+          error: error.message,
+        });
+      }
+    }
+  }
+}
+
+// Export singleton instance
+export const outboxDispatcher = new OutboxDispatcher();
@@ -0,0 +1,116 @@
+import { EventEmitter } from 'events';
+import { threadId } from 'worker_threads';
+import { performance } from 'perf_hooks';
+import { logger } from './logger.js';
+import { stageAt } from './hogSchedule.js';
+
+// How often a telemetry sample is sent, at most; blocks can delay it
+const SAMPLE_INTERVAL_MS = 1000;
+
+/**
+ * Resource hog mode blocking this process's event loop: every
+ * `blockIntervalMs`, it busy-waits for `blockMs` on the main thread, so
+ * requests (health probes included) stall for that long.
+ *
+ * Blocking has to happen on the main thread, so this stands in for a hog
+ * worker thread: it has the parts of the `Worker` interface the controller
+ * uses (`threadId`, `postMessage`, `terminate` and the `message` and `exit`
+ * events) and follows the profile's schedule the same way.
+ */
+export class EventLoopBlocker extends EventEmitter {
+  /**
+   * @param {number} id - Worker ID, for logs
+   * @param {Object} profile - Load profile; stops when it ends
+   * @param {string} startedAt - ISO timestamp the schedule runs from
+   * @param {{ blockMs: number, blockIntervalMs: number }} settings
+   */
+  constructor(id, profile, startedAt, { blockMs, blockIntervalMs }) {
+    super();
+    this.threadId = threadId;
+    this.profile = profile;
+    this.startedAt = Date.parse(startedAt);
+    this.blockMs = blockMs;
+    this.blockIntervalMs = blockIntervalMs;
+    this.log = logger.child({ component: 'hog-event-loop', workerId: id });
+    this.timer = null;
+    this.exited = false;
+    this.sampleWindow = { startedAt: performance.now(), blockedMs: 0, blocks: 0 };
+
+    this.log.info('Starting event loop blocking', { blockMs, blockIntervalMs });
+    this.timer = setTimeout(() => this._block(), blockIntervalMs - blockMs);
+  }
+
+  /**
+   * Same messages as a hog worker: only `stop`
+   */
+  postMessage(msg) {
+    if (msg.type === 'stop') {
+      this._exit(0);
+    }
+  }
+
+  /**
+   * @returns {Promise<number>} Exit code
+   */
+  terminate() {
+    this._exit(1);
+    return Promise.resolve(1);
+  }
+
+  /**
+   * @private
+   */
+  _block() {
+    if (!stageAt(this.profile, Date.now() - this.startedAt)) {
+      this.log.info('Load profile finished; auto-stopping');
+      this._exit(0);
+      return;
+    }
+
+    const blockStartedAt = performance.now();
+    while (performance.now() - blockStartedAt < this.blockMs) {
+      // Busy-wait: nothing else runs on this thread meanwhile
+    }
+    this.sampleWindow.blockedMs += performance.now() - blockStartedAt;
+    this.sampleWindow.blocks++;
+
+    if (performance.now() - this.sampleWindow.startedAt >= SAMPLE_INTERVAL_MS) {
+      this._sendSample();
+    }
+    this.timer = setTimeout(() => this._block(), this.blockIntervalMs - this.blockMs);
+  }
+
+  /**
+   * Send the share of wall-clock time spent blocked and the blocks since the last sample
+   * @private
+   */
+  _sendSample() {
+    const now = performance.now();
+    const elapsedMs = now - this.sampleWindow.startedAt;
+    this.emit('message', {
+      type: 'sample',
+      sample: {
+        time: new Date().toISOString(),
+        stage: 0,
+        cpuDutyCycle: Math.round((this.sampleWindow.blockedMs / elapsedMs) * 100) / 100,
+        blocks: this.sampleWindow.blocks,
+        rssBytes: process.memoryUsage.rss(),
+      },
+    });
+    this.sampleWindow = { startedAt: now, blockedMs: 0, blocks: 0 };
+  }
+
+  /**
+   * Stop blocking; `exit` is emitted asynchronously, like a worker's
+   * @private
+   */
+  _exit(code) {
+    if (this.exited) {
+      return;
+    }
+    this.exited = true;
+    clearTimeout(this.timer);
+    this.log.info('Stopping event loop blocking');
+    setImmediate(() => this.emit('exit', code));
+  }
+}
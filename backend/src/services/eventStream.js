@@ -0,0 +1,55 @@
+/**
+ * Server-Sent Events responses.
+ *
+ * Open streams are tracked so a graceful shutdown can end them; otherwise
+ * they would hold up the drain until the shutdown timeout. A comment line is
+ * sent periodically so proxies don't close an idle stream.
+ */
+
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+const openStreams = new Set();
+
+/**
+ * Turn `res` into an event stream
+ * @returns {{ send: (event: string, data: *) => void, end: () => void }}
+ */
+export const openEventStream = (req, res) => {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    // Keeps nginx-style proxies from buffering the stream
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  const stream = {
+    send(event, data) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end() {
+      res.end();
+    },
+  };
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+  openStreams.add(stream);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    openStreams.delete(stream);
+  });
+
+  return stream;
+};
+
+/**
+ * End every open stream
+ * @returns {number} How many were open
+ */
+export const closeEventStreams = () => {
+  const count = openStreams.size;
+  for (const stream of openStreams) {
+    stream.end();
+  }
+  return count;
+};
@@ -0,0 +1,59 @@
+import { createWriteStream } from 'fs';
+import { SpanKind } from '@opentelemetry/api';
+import { ExportResultCode, hrTimeToMilliseconds, hrTimeToTimeStamp } from '@opentelemetry/core';
+
+/**
+ * Span exporter appending one JSON object per finished span to a file, for
+ * tracing without a collector. Spans of one trace share `traceId` and link
+ * up through `parentSpanId`.
+ */
+export class FileSpanExporter {
+  /**
+   * @param {string} filePath - Created if missing, appended to otherwise
+   */
+  constructor(filePath) {
+    this.stream = createWriteStream(filePath, { flags: 'a' });
+  }
+
+  export(spans, resultCallback) {
+    const lines = spans.map((span) => `${JSON.stringify(this._toJSON(span))}\n`).join('');
+    this.stream.write(lines, (error) => {
+      resultCallback(error ? { code: ExportResultCode.FAILED, error } : { code: ExportResultCode.SUCCESS });
+    });
+  }
+
+  shutdown() {
+    return new Promise((resolve) => this.stream.end(resolve));
+  }
+
+  forceFlush() {
+    return Promise.resolve();
+  }
+
+  /**
+   * @private
+   */
+  _toJSON(span) {
+    const { traceId, spanId } = span.spanContext();
+    return {
+      traceId,
+      spanId,
+      parentSpanId: span.parentSpanContext?.spanId ?? null,
+      name: span.name,
+      kind: SpanKind[span.kind],
+      service: span.resource.attributes['service.name'],
+      scope: span.instrumentationScope.name,
+      startTime: hrTimeToTimeStamp(span.startTime),
+      durationMs: hrTimeToMilliseconds(span.duration),
+      status: span.status,
+      attributes: span.attributes,
+      ...(span.events.length > 0 && {
+        events: span.events.map((event) => ({
+          name: event.name,
+          time: hrTimeToTimeStamp(event.time),
+          attributes: event.attributes,
+        })),
+      }),
+    };
+  }
+}
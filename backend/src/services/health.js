@@ -0,0 +1,141 @@
+import mongoose from 'mongoose';
+import { getElasticsearchClient } from '../config/database.js';
+import config from '../config/ConfigService.js';
+
+const MONGO_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+/**
+ * Reject if `promise` does not settle within `ms`
+ * @private
+ */
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+const CHECKS = {
+  mongodb: async (timeoutMs) => {
+    const state = mongoose.connection.readyState;
+    if (state !== 1) {
+      throw new Error(`Not connected (state: ${MONGO_STATES[state] ?? state})`);
+    }
+    await withTimeout(mongoose.connection.db.admin().ping(), timeoutMs);
+  },
+  elasticsearch: async (timeoutMs) => {
+    const client = getElasticsearchClient();
+    await client.ping({}, { requestTimeout: timeoutMs, maxRetries: 0 });
+  },
+};
+
+export const DEPENDENCIES = Object.keys(CHECKS);
+
+/**
+ * Dependency checks behind the readiness probe.
+ *
+ * Results are cached for `health.cacheMs` so frequent probes don't ping
+ * MongoDB and Elasticsearch on every request, and concurrent probes share
+ * one in-flight check.
+ */
+class HealthMonitor {
+  constructor() {
+    this.startedAt = Date.now();
+    this.dependencies = Object.fromEntries(DEPENDENCIES.map((name) => [name, {
+      status: 'unknown',
+      latencyMs: null,
+      lastCheckedAt: null,
+      lastError: null,
+      lastErrorAt: null,
+    }]));
+    this.checkedAt = 0;
+    this.pending = null;
+    this.shuttingDown = false;
+  }
+
+  /**
+   * Fail readiness from now on so the load balancer stops routing here
+   */
+  markShuttingDown() {
+    this.shuttingDown = true;
+  }
+
+  /**
+   * Process liveness: answers as long as the event loop does
+   */
+  getLiveness() {
+    return {
+      status: 'ok',
+      uptimeSeconds: Math.floor((Date.now() - this.startedAt) / 1000),
+      pid: process.pid,
+    };
+  }
+
+  /**
+   * Readiness with per-dependency diagnostics.
+   * `ready` is false when any required dependency is down or the server is
+   * shutting down; optional dependencies only make the service `degraded`.
+   */
+  async getReadiness() {
+    const { cacheMs, optionalDependencies } = config.getHealthConfig();
+
+    if (this.shuttingDown) {
+      return { ready: false, status: 'shutting_down', dependencies: this._withRequired(optionalDependencies) };
+    }
+
+    if (Date.now() - this.checkedAt >= cacheMs) {
+      this.pending ??= this._checkAll().finally(() => {
+        this.checkedAt = Date.now();
+        this.pending = null;
+      });
+      await this.pending;
+    }
+
+    const dependencies = this._withRequired(optionalDependencies);
+    const down = Object.values(dependencies).filter((dependency) => dependency.status !== 'up');
+    const ready = down.every((dependency) => !dependency.required);
+
+    return {
+      ready,
+      status: !ready ? 'not_ready' : down.length > 0 ? 'degraded' : 'ready',
+      dependencies,
+    };
+  }
+
+  /**
+   * Last check results, flagged required or optional
+   * @private
+   */
+  _withRequired(optionalDependencies) {
+    return Object.fromEntries(Object.entries(this.dependencies).map(([name, result]) => [
+      name,
+      { ...result, required: !optionalDependencies.includes(name) },
+    ]));
+  }
+
+  /**
+   * @private
+   */
+  async _checkAll() {
+    const { timeoutMs } = config.getHealthConfig();
+
+    await Promise.all(DEPENDENCIES.map(async (name) => {
+      const result = this.dependencies[name];
+      const started = Date.now();
+      try {
+        await CHECKS[name](timeoutMs);
+        result.status = 'up';
+      } catch (error) {
+        result.status = 'down';
+        result.lastError = error.message;
+        result.lastErrorAt = new Date().toISOString();
+      }
+      result.latencyMs = Date.now() - started;
+      result.lastCheckedAt = new Date().toISOString();
+    }));
+  }
+}
+
+// Export singleton instance
+export const healthMonitor = new HealthMonitor();
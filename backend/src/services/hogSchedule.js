@@ -0,0 +1,83 @@
+/**
+ * Resource hog load profiles.
+ *
+ * A profile is a list of stages, each holding a memory target and a CPU duty
+ * cycle (the share of every `cpuSliceMs` period spent burning CPU) for
+ * `durationSeconds`. A `step` stage jumps to its targets; a `linear` stage
+ * moves there from the previous stage's targets (zero before the first) over
+ * its duration. The stages run `repeat` times, then the hog stops.
+ *
+ * Both the worker, which follows the schedule, and the controller, which
+ * reports progress, work out the position from the elapsed time alone.
+ */
+
+/**
+ * Steady memory and CPU targets of a flat `HogConfig`: the `cpu` mode holds
+ * its memory at full duty cycle, blocking the event loop burns CPU for the
+ * blocked share of the time, and the disk and fd modes hold neither
+ */
+const flatTargets = ({ mode = 'cpu', memoryMb, blockMs, blockIntervalMs }) => {
+  switch (mode) {
+    case 'cpu':
+      return { memoryMb, cpuDutyCycle: 1 };
+    case 'event-loop':
+      return { memoryMb: 0, cpuDutyCycle: Math.round((blockMs / blockIntervalMs) * 100) / 100 };
+    default:
+      return { memoryMb: 0, cpuDutyCycle: 0 };
+  }
+};
+
+/**
+ * The flat `HogConfig` as a single-stage profile lasting `maxMinutes`
+ */
+export const toProfile = (config) => ({
+  ...(config.cpuSliceMs !== undefined && { cpuSliceMs: config.cpuSliceMs }),
+  ...(config.intensityMultiplier !== undefined && { intensityMultiplier: config.intensityMultiplier }),
+  repeat: 1,
+  stages: [{ ...flatTargets(config), durationSeconds: config.maxMinutes * 60, transition: 'step' }],
+});
+
+/**
+ * Stages in the order they run, repetitions included
+ */
+export const expandStages = ({ stages, repeat = 1 }) => Array.from({ length: repeat }, () => stages).flat();
+
+/**
+ * Total duration of a profile, in seconds
+ */
+export const profileDurationSeconds = (profile) =>
+  expandStages(profile).reduce((total, stage) => total + stage.durationSeconds, 0);
+
+const lerp = (from, to, progress) => from + (to - from) * progress;
+
+/**
+ * Where a profile stands after `elapsedMs`
+ * @returns {Object|null} The stage (`index` counts repetitions), the current
+ * targets and the time left, or null once the profile is finished
+ */
+export const stageAt = (profile, elapsedMs) => {
+  const stages = expandStages(profile);
+  const totalMs = profileDurationSeconds(profile) * 1000;
+  let stageStartMs = 0;
+
+  for (let index = 0; index < stages.length; index++) {
+    const stage = stages[index];
+    const stageEndMs = stageStartMs + stage.durationSeconds * 1000;
+    if (elapsedMs < stageEndMs) {
+      const previous = stages[index - 1] ?? { memoryMb: 0, cpuDutyCycle: 0 };
+      const progress = stage.transition === 'linear' ? (elapsedMs - stageStartMs) / (stageEndMs - stageStartMs) : 1;
+      return {
+        index,
+        count: stages.length,
+        transition: stage.transition ?? 'step',
+        memoryMb: Math.round(lerp(previous.memoryMb, stage.memoryMb, progress)),
+        cpuDutyCycle: Math.round(lerp(previous.cpuDutyCycle, stage.cpuDutyCycle, progress) * 100) / 100,
+        stageRemainingMs: stageEndMs - elapsedMs,
+        remainingMs: totalMs - elapsedMs,
+      };
+    }
+    stageStartMs = stageEndMs;
+  }
+
+  return null;
+};
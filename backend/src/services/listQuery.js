@@ -0,0 +1,208 @@
+/**
+ * Shared parsing for paginated todo listings (GET /db and GET /es).
+ *
+ * Pagination is keyset-based: the opaque `next` cursor encodes the sort value
+ * and id of the last item returned, so pages stay stable while todos are
+ * added or removed.
+ */
+
+import { TODO_PRIORITIES } from '../models/todo.js';
+
+export const SORT_FIELDS = ['createdAt', 'title'];
+// Elasticsearch only: order by score (always descending)
+export const RELEVANCE_SORT = 'relevance';
+export const SORT_ORDERS = ['asc', 'desc'];
+// Sorts whose cursor value is a date (epoch milliseconds or ISO string)
+const DATE_SORTS = ['createdAt'];
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const LIMIT_PATTERN = /^\d+$/;
+
+/**
+ * Encode the position after `item` as an opaque cursor
+ */
+export const encodeCursor = ({ sort, order }, after) =>
+  Buffer.from(JSON.stringify({ s: sort, o: order, after })).toString('base64url');
+
+/**
+ * Whether `after` is a `[sortValue, id]` pair that fits the sort: a valid
+ * date for date sorts, a number for relevance and a string otherwise
+ * @private
+ */
+const isValidAfter = (after, sort) => {
+  if (!Array.isArray(after) || after.length !== 2) {
+    return false;
+  }
+  const [value, id] = after;
+  if (typeof id !== 'string' || id === '') {
+    return false;
+  }
+  if (DATE_SORTS.includes(sort)) {
+    return (typeof value === 'number' || typeof value === 'string') && !isNaN(new Date(value).getTime());
+  }
+  if (sort === RELEVANCE_SORT) {
+    return Number.isFinite(value);
+  }
+  return typeof value === 'string';
+};
+
+/**
+ * Decode a cursor, checking it was issued for the same sort and holds
+ * values that sort can page from
+ * @private
+ */
+const decodeCursor = (cursor, sort, order) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (decoded?.s !== sort || decoded.o !== order || !isValidAfter(decoded.after, sort)) {
+      return null;
+    }
+    return decoded.after;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Parse an ISO date query parameter
+ * @private
+ */
+const parseDate = (value) => {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Parse and validate the filter query params shared by listings and stats.
+ *
+ * - `completed`: `true` / `false`
+ * - `createdFrom` / `createdTo`: inclusive ISO date bounds on `createdAt`
+ * - `dueFrom` / `dueTo`: inclusive ISO date bounds on `dueDate`
+ * - `priority`: one of the todo priorities
+ * - `tag`: repeatable (or comma-separated); todos must carry every tag
+ *
+ * @returns {{ error: string } | { filters: Object }}
+ */
+export const parseFilterQuery = (query) => {
+  let completed;
+  if (query.completed !== undefined) {
+    if (query.completed !== 'true' && query.completed !== 'false') {
+      return { error: 'completed must be true or false' };
+    }
+    completed = query.completed === 'true';
+  }
+
+  let createdFrom;
+  if (query.createdFrom !== undefined) {
+    createdFrom = parseDate(query.createdFrom);
+    if (!createdFrom) {
+      return { error: 'createdFrom must be an ISO 8601 date' };
+    }
+  }
+
+  let createdTo;
+  if (query.createdTo !== undefined) {
+    createdTo = parseDate(query.createdTo);
+    if (!createdTo) {
+      return { error: 'createdTo must be an ISO 8601 date' };
+    }
+  }
+
+  const dates = {};
+  for (const key of ['dueFrom', 'dueTo']) {
+    if (query[key] !== undefined) {
+      dates[key] = parseDate(query[key]);
+      if (!dates[key]) {
+        return { error: `${key} must be an ISO 8601 date` };
+      }
+    }
+  }
+
+  let priority;
+  if (query.priority !== undefined) {
+    if (!TODO_PRIORITIES.includes(query.priority)) {
+      return { error: `priority must be one of: ${TODO_PRIORITIES.join(', ')}` };
+    }
+    priority = query.priority;
+  }
+
+  let tags;
+  if (query.tag !== undefined) {
+    tags = [].concat(query.tag)
+      .flatMap((value) => String(value).split(','))
+      .map((tag) => tag.trim().toLowerCase())
+      .filter(Boolean);
+  }
+
+  return {
+    filters: { completed, createdFrom, createdTo, ...dates, priority, tags },
+  };
+};
+
+/**
+ * Parse and validate listing query params.
+ *
+ * - `limit`: page size (1-100, default 20)
+ * - `cursor`: `pagination.next` from the previous page
+ * - `sort`: `createdAt` (default) or `title`; `order`: `desc` (default) or `asc`.
+ *   Callers may allow extra sorts (e.g. `relevance`) and change the default.
+ * - plus the filters of `parseFilterQuery`
+ *
+ * @returns {{ error: string } | { params: Object }}
+ */
+export const parseListQuery = (query, { sorts = SORT_FIELDS, defaultSort = 'createdAt' } = {}) => {
+  // parseInt alone would accept `5abc` as 5
+  if (query.limit !== undefined && !LIMIT_PATTERN.test(query.limit)) {
+    return { error: `limit must be an integer between 1 and ${MAX_LIMIT}` };
+  }
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : parseInt(query.limit, 10);
+  if (limit < 1 || limit > MAX_LIMIT) {
+    return { error: `limit must be an integer between 1 and ${MAX_LIMIT}` };
+  }
+
+  const sort = query.sort || defaultSort;
+  if (!sorts.includes(sort)) {
+    return { error: `sort must be one of: ${sorts.join(', ')}` };
+  }
+
+  const order = sort === RELEVANCE_SORT ? 'desc' : query.order || 'desc';
+  if (!SORT_ORDERS.includes(order)) {
+    return { error: `order must be one of: ${SORT_ORDERS.join(', ')}` };
+  }
+
+  const filters = parseFilterQuery(query);
+  if (filters.error) {
+    return filters;
+  }
+
+  let after = null;
+  if (query.cursor) {
+    after = decodeCursor(query.cursor, sort, order);
+    if (!after) {
+      return { error: 'cursor is invalid or was issued for a different sort' };
+    }
+  }
+
+  return {
+    params: { limit, sort, order, ...filters.filters, after },
+  };
+};
+
+/**
+ * Build the paginated response envelope
+ * @param {Object} params - Parsed listing params
+ * @param {Array} items - Items of this page (at most `limit`)
+ * @param {number} total - Matching items across all pages
+ * @param {Array|null} nextAfter - Sort values of the last item if more pages exist
+ */
+export const buildPage = (params, items, total, nextAfter) => ({
+  items,
+  total,
+  pagination: {
+    limit: params.limit,
+    sort: params.sort,
+    order: params.order,
+    hasMore: Boolean(nextAfter),
+    next: nextAfter ? encodeCursor(params, nextAfter) : null,
+  },
+});
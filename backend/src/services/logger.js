@@ -0,0 +1,134 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { trace } from '@opentelemetry/api';
+import config from '../config/ConfigService.js';
+
+/**
+ * Leveled logger.
+ *
+ * Honours `LOG_LEVEL` and writes one JSON object per line when `LOG_FORMAT`
+ * is `json` (the default in production), or a readable line otherwise.
+ * Every line emitted while handling a request carries its `requestId`
+ * (see middleware/requestId.js), including lines from MongoDB and
+ * Elasticsearch calls made on its behalf. With tracing on, lines written
+ * inside a span also carry its `traceId` and `spanId`.
+ */
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with a per-request context visible to every log call it makes
+ */
+export const runWithRequestContext = (context, fn) => requestContext.run(context, fn);
+
+/**
+ * Context of the request being handled, if any
+ */
+export const getRequestContext = () => requestContext.getStore() ?? null;
+
+/**
+ * Errors don't survive JSON.stringify; keep the useful parts
+ * @private
+ */
+const serializeValue = (value) => {
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: value.message,
+      ...(value.code !== undefined && { code: value.code }),
+      ...(value.meta?.statusCode !== undefined && { statusCode: value.meta.statusCode }),
+      stack: value.stack,
+    };
+  }
+  return value;
+};
+
+/**
+ * @private
+ */
+const formatPretty = ({ time, level, msg, requestId, ...fields }) => {
+  const prefix = `${time} ${level.toUpperCase().padEnd(5)}${requestId ? ` [${requestId}]` : ''}`;
+  const stacks = [];
+  const pairs = Object.entries(fields).map(([key, value]) => {
+    if (value?.stack) {
+      stacks.push(value.stack);
+      return `${key}=${JSON.stringify(value.message)}`;
+    }
+    return `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`;
+  });
+  return [`${prefix} ${msg}${pairs.length > 0 ? ` ${pairs.join(' ')}` : ''}`, ...stacks].join('\n');
+};
+
+class Logger {
+  constructor(bindings = {}) {
+    this.bindings = bindings;
+  }
+
+  /**
+   * Logger that adds `bindings` to every line, e.g. `{ component: 'outbox' }`
+   */
+  child(bindings) {
+    return new Logger({ ...this.bindings, ...bindings });
+  }
+
+  /**
+   * True if lines at `level` are written
+   */
+  isLevelEnabled(level) {
+    return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(config.getLoggingConfig().level);
+  }
+
+  debug(msg, fields) {
+    this._write('debug', msg, fields);
+  }
+
+  info(msg, fields) {
+    this._write('info', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this._write('warn', msg, fields);
+  }
+
+  error(msg, fields) {
+    this._write('error', msg, fields);
+  }
+
+  /**
+   * @private
+   */
+  _write(level, msg, fields = {}) {
+    if (!this.isLevelEnabled(level)) {
+      return;
+    }
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...this.bindings,
+    };
+    const requestId = getRequestContext()?.requestId;
+    if (requestId) {
+      entry.requestId = requestId;
+    }
+    const spanContext = trace.getActiveSpan()?.spanContext();
+    if (spanContext?.traceFlags) {
+      entry.traceId = spanContext.traceId;
+      entry.spanId = spanContext.spanId;
+    }
+    for (const [key, value] of Object.entries(fields)) {
+      if (value !== undefined) {
+        entry[key] = serializeValue(value);
+      }
+    }
+
+    const line = config.getLoggingConfig().format === 'json' ? JSON.stringify(entry) : formatPretty(entry);
+    const stream = level === 'warn' || level === 'error' ? process.stderr : process.stdout;
+    stream.write(`${line}\n`);
+  }
+}
+
+// Export singleton instance
+export const logger = new Logger();
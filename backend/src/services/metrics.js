@@ -0,0 +1,222 @@
+import client from 'prom-client';
+import { getHogSnapshot } from '../controllers/hogController.js';
+
+/**
+ * Prometheus metrics served at GET /metrics.
+ *
+ * Process metrics (heap, RSS, event-loop lag, GC) come from prom-client's
+ * default collectors; the rest are recorded by the HTTP middleware, the
+ * MongoDB/Elasticsearch client hooks below and the outbox dispatcher.
+ */
+export const register = new client.Registry();
+
+client.collectDefaultMetrics({ register });
+
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+export const httpRequestsTotal = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests handled, by method, route and status',
+  labelNames: ['method', 'route', 'status'],
+  registers: [register],
+});
+
+export const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency, by method, route and status',
+  labelNames: ['method', 'route', 'status'],
+  buckets: LATENCY_BUCKETS,
+  registers: [register],
+});
+
+const mongoOperationDuration = new client.Histogram({
+  name: 'mongodb_operation_duration_seconds',
+  help: 'MongoDB command latency, by command and outcome',
+  labelNames: ['operation', 'status'],
+  buckets: LATENCY_BUCKETS,
+  registers: [register],
+});
+
+const mongoOperationErrors = new client.Counter({
+  name: 'mongodb_operation_errors_total',
+  help: 'Failed MongoDB commands, by command',
+  labelNames: ['operation'],
+  registers: [register],
+});
+
+const esOperationDuration = new client.Histogram({
+  name: 'elasticsearch_operation_duration_seconds',
+  help: 'Elasticsearch request latency, by endpoint and outcome',
+  labelNames: ['operation', 'status'],
+  buckets: LATENCY_BUCKETS,
+  registers: [register],
+});
+
+const esOperationErrors = new client.Counter({
+  name: 'elasticsearch_operation_errors_total',
+  help: 'Failed Elasticsearch requests, by endpoint',
+  labelNames: ['operation'],
+  registers: [register],
+});
+
+export const esSyncFailures = new client.Counter({
+  name: 'todo_es_sync_failures_total',
+  help: 'Failed attempts to sync a todo write from MongoDB to Elasticsearch, by operation',
+  labelNames: ['op'],
+  registers: [register],
+});
+
+export const esSyncDeadLetters = new client.Counter({
+  name: 'todo_es_sync_dead_letters_total',
+  help: 'Todo syncs given up after the maximum number of attempts, by operation',
+  labelNames: ['op'],
+  registers: [register],
+});
+
+new client.Gauge({
+  name: 'hog_running',
+  help: 'Whether the resource hog is running (1) or not (0)',
+  registers: [register],
+  collect() {
+    this.set(getHogSnapshot().running ? 1 : 0);
+  },
+});
+
+new client.Gauge({
+  name: 'hog_workers',
+  help: 'Resource hog worker threads running',
+  registers: [register],
+  collect() {
+    this.set(getHogSnapshot().totals.workers);
+  },
+});
+
+new client.Gauge({
+  name: 'hog_memory_mb',
+  help: 'Memory the running resource hog workers currently target together, in MB (0 when stopped)',
+  registers: [register],
+  collect() {
+    this.set(getHogSnapshot().totals.memoryMb);
+  },
+});
+
+new client.Gauge({
+  name: 'hog_cpu_slice_ms',
+  help: 'CPU slice of the running resource hog, in milliseconds (0 when stopped)',
+  registers: [register],
+  collect() {
+    this.set(getHogSnapshot().profile?.cpuSliceMs ?? 0);
+  },
+});
+
+new client.Gauge({
+  name: 'hog_cpu_millicores',
+  help: 'CPU the running resource hog workers currently burn together, in millicores (0 when stopped)',
+  registers: [register],
+  collect() {
+    this.set(getHogSnapshot().totals.cpuMillicores);
+  },
+});
+
+new client.Gauge({
+  name: 'hog_disk_bytes',
+  help: 'Temp files the resource hog has written, in bytes, from its latest samples (0 when stopped)',
+  registers: [register],
+  collect() {
+    this.set(getHogSnapshot().telemetry?.diskBytes ?? 0);
+  },
+});
+
+new client.Gauge({
+  name: 'hog_open_fds',
+  help: 'File descriptors the resource hog holds open, from its latest samples (0 when stopped)',
+  registers: [register],
+  collect() {
+    this.set(getHogSnapshot().telemetry?.openFds ?? 0);
+  },
+});
+
+/**
+ * Express middleware recording request count and latency.
+ * Routes are labelled by their pattern (e.g. `/db/:id`) to keep cardinality
+ * bounded. Requests that router-level middleware rejected before any route
+ * (e.g. a 401 from `requireAuth`) are labelled by its mount path, e.g.
+ * `/admin/*` (see `recordRoutePrefix`); the rest are labelled `unmatched`.
+ */
+export const httpMetricsMiddleware = (req, res, next) => {
+  const stopTimer = httpRequestDuration.startTimer();
+
+  res.on('finish', () => {
+    const route = req.route
+      ? `${req.baseUrl}${req.route.path}`
+      : req.routePrefix ? `${req.routePrefix}/*` : 'unmatched';
+    const labels = { method: req.method, route, status: res.statusCode };
+    stopTimer(labels);
+    httpRequestsTotal.inc(labels);
+  });
+
+  next();
+};
+
+/**
+ * Mount before router-level middleware (`router.use(path, recordRoutePrefix, ...)`)
+ * to remember its mount path for the route label. Express restores
+ * `req.baseUrl` once the request leaves the mount, so it is gone by the time
+ * the response finishes.
+ */
+export const recordRoutePrefix = (req, res, next) => {
+  req.routePrefix = req.baseUrl;
+  next();
+};
+
+/**
+ * Record MongoDB command latency and failures through driver command
+ * monitoring (the client must be created with `monitorCommands: true`)
+ */
+export const instrumentMongoClient = (mongoClient) => {
+  mongoClient.on('commandSucceeded', (event) => {
+    mongoOperationDuration.observe({ operation: event.commandName, status: 'success' }, event.duration / 1000);
+  });
+  mongoClient.on('commandFailed', (event) => {
+    mongoOperationDuration.observe({ operation: event.commandName, status: 'error' }, event.duration / 1000);
+    mongoOperationErrors.inc({ operation: event.commandName });
+  });
+};
+
+/**
+ * Endpoint label for an Elasticsearch request, e.g. `POST _search` or `PUT _doc`.
+ * Index names and ids are dropped so the label set stays small.
+ */
+export const getEsOperation = ({ method, path }) => {
+  const endpoint = path.split('/').filter((segment) => segment.startsWith('_')).pop();
+  return `${method} ${endpoint ?? 'index'}`;
+};
+
+/**
+ * Record Elasticsearch request latency and failures through the client's
+ * diagnostic events
+ */
+export const instrumentElasticsearchClient = (esClient) => {
+  // Keyed by the request's meta object, which both events share; request ids
+  // are only unique per client and child clients share these events
+  const startedAt = new WeakMap();
+
+  esClient.diagnostic.on('serialization', (error, result) => {
+    startedAt.set(result.meta, process.hrtime.bigint());
+  });
+
+  esClient.diagnostic.on('response', (error, result) => {
+    const started = result && startedAt.get(result.meta);
+    if (started === undefined) {
+      return;
+    }
+    startedAt.delete(result.meta);
+
+    const operation = getEsOperation(result.meta.request.params);
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    esOperationDuration.observe({ operation, status: error ? 'error' : 'success' }, seconds);
+    if (error) {
+      esOperationErrors.inc({ operation });
+    }
+  });
+};
@@ -0,0 +1,238 @@
+import mongoose from 'mongoose';
+import { hostname } from 'os';
+import { getElasticsearchClient } from '../config/database.js';
+import config from '../config/ConfigService.js';
+import { getIndex } from '../controllers/esController.js';
+import { ES_MIGRATIONS, LATEST_MAPPING_VERSION, buildProperties } from '../migrations/elasticsearch.js';
+import { MONGO_MIGRATIONS, LATEST_MONGO_VERSION } from '../migrations/mongo.js';
+import { SchemaMigration } from '../models/schemaMigration.js';
+import { reindexJob } from './reindex.js';
+import { logger } from './logger.js';
+import { ConflictError } from '../errors/index.js';
+
+const log = logger.child({ component: 'migrations' });
+
+const LOCK_ID = 'todo-migrations';
+const LOCK_TTL_MS = 10 * 60 * 1000;
+const LOCK_POLL_MS = 2000;
+
+const getIndexName = () => config.getElasticsearchConfig().indexName;
+
+/**
+ * Mapping versions of the concrete indices behind the alias.
+ * Indices built before versioning carry no `_meta` and count as version 1.
+ * @private
+ */
+const getMappingVersions = async () => {
+  const client = getElasticsearchClient();
+  const response = await client.indices.getMapping({ index: getIndexName() });
+  return Object.fromEntries(
+    Object.entries(response).map(([index, { mappings }]) => [index, mappings._meta?.mappingVersion ?? 1]),
+  );
+};
+
+/**
+ * Elasticsearch mapping status
+ */
+export const getElasticsearchMigrationStatus = async () => {
+  await getIndex();
+
+  const indices = await getMappingVersions();
+  const current = Math.min(...Object.values(indices));
+  const pending = ES_MIGRATIONS.filter((migration) => migration.version > current);
+
+  return {
+    alias: getIndexName(),
+    indices,
+    currentVersion: current,
+    latestVersion: LATEST_MAPPING_VERSION,
+    upToDate: pending.length === 0,
+    pending: pending.map(({ version, description, strategy }) => ({ version, description, strategy })),
+  };
+};
+
+/**
+ * Bring the index behind the alias to the latest mapping version.
+ * Compatible versions are applied in place; if any pending version needs a
+ * reindex, the index is rebuilt with the latest definition instead.
+ */
+export const applyElasticsearchMigrations = async () => {
+  const status = await getElasticsearchMigrationStatus();
+  if (status.upToDate) {
+    return { applied: [], reindexed: false };
+  }
+
+  const client = getElasticsearchClient();
+  const pending = ES_MIGRATIONS.filter((migration) => migration.version > status.currentVersion);
+
+  if (pending.some((migration) => migration.strategy === 'reindex')) {
+    log.info('Elasticsearch mapping change needs a reindex', {
+      from: status.currentVersion,
+      to: LATEST_MAPPING_VERSION,
+    });
+    await reindexJob.run();
+    return { applied: pending.map((migration) => migration.version), reindexed: true };
+  }
+
+  const applied = [];
+  for (const migration of pending) {
+    log.info('Applying Elasticsearch mapping', { version: migration.version, description: migration.description });
+
+    // Send the merged definitions so updated fields keep their earlier parameters
+    const properties = buildProperties(migration.version);
+    await client.indices.putMapping({
+      index: getIndexName(),
+      properties: Object.fromEntries(Object.keys(migration.properties).map((field) => [field, properties[field]])),
+      _meta: { mappingVersion: migration.version },
+    });
+
+    if (migration.backfill) {
+      await client.updateByQuery({
+        index: getIndexName(),
+        conflicts: 'proceed',
+        refresh: true,
+        wait_for_completion: true,
+        ...(migration.backfill !== true && { script: migration.backfill }),
+      });
+    }
+
+    applied.push(migration.version);
+  }
+
+  log.info('Elasticsearch mapping is up to date', { version: LATEST_MAPPING_VERSION });
+  return { applied, reindexed: false };
+};
+
+/**
+ * MongoDB migration status
+ */
+export const getMongoMigrationStatus = async () => {
+  const applied = await SchemaMigration.find().sort({ version: 1 });
+  const appliedVersions = new Set(applied.map((migration) => migration.version));
+  const pending = MONGO_MIGRATIONS.filter((migration) => !appliedVersions.has(migration.version));
+
+  return {
+    currentVersion: applied.length > 0 ? applied[applied.length - 1].version : 0,
+    latestVersion: LATEST_MONGO_VERSION,
+    upToDate: pending.length === 0,
+    applied: applied.map(({ version, description, appliedAt, durationMs }) => ({
+      version,
+      description,
+      appliedAt,
+      durationMs,
+    })),
+    pending: pending.map(({ version, description }) => ({ version, description })),
+  };
+};
+
+/**
+ * Take the cluster-wide migration lock, waiting while another instance holds it
+ * @private
+ */
+const acquireLock = async (owner) => {
+  const locks = mongoose.connection.collection('migrationlocks');
+  const deadline = Date.now() + LOCK_TTL_MS;
+
+  while (Date.now() < deadline) {
+    const now = new Date();
+    try {
+      await locks.updateOne(
+        { _id: LOCK_ID, lockedUntil: { $lt: now } },
+        { $set: { owner, lockedUntil: new Date(now.getTime() + LOCK_TTL_MS) } },
+        { upsert: true },
+      );
+      return;
+    } catch (error) {
+      // Duplicate key: the lock exists and has not expired
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+    log.info('Waiting for another instance to finish MongoDB migrations');
+    await new Promise((resolve) => setTimeout(resolve, LOCK_POLL_MS));
+  }
+
+  throw new ConflictError('Another instance is applying MongoDB migrations; timed out waiting for it');
+};
+
+/**
+ * @private
+ */
+const releaseLock = async (owner) => {
+  await mongoose.connection.collection('migrationlocks').deleteOne({ _id: LOCK_ID, owner });
+};
+
+/**
+ * Apply pending MongoDB migrations in order, holding the migration lock
+ */
+export const applyMongoMigrations = async () => {
+  const owner = `${hostname()}:${process.pid}`;
+  await acquireLock(owner);
+
+  try {
+    // Re-read under the lock: another instance may have just applied them
+    const { pending } = await getMongoMigrationStatus();
+    const applied = [];
+
+    for (const { version } of pending) {
+      const migration = MONGO_MIGRATIONS.find((candidate) => candidate.version === version);
+      log.info('Applying MongoDB migration', { version, description: migration.description });
+
+      const started = Date.now();
+      await migration.up();
+      await SchemaMigration.create({
+        version,
+        description: migration.description,
+        durationMs: Date.now() - started,
+      });
+      applied.push(version);
+    }
+
+    if (applied.length > 0) {
+      log.info('MongoDB migrations are up to date', { version: LATEST_MONGO_VERSION });
+    }
+    return { applied };
+  } finally {
+    await releaseLock(owner);
+  }
+};
+
+/**
+ * Check one store at startup and apply, refuse or warn per its mode
+ * @private
+ */
+const checkAtStartup = async (name, mode, getStatus, apply) => {
+  const status = await getStatus();
+  if (status.upToDate) {
+    log.info(`${name} schema is up to date`, { version: status.latestVersion });
+    return;
+  }
+
+  const summary = `${name} schema is at v${status.currentVersion}, latest is v${status.latestVersion}`;
+  if (mode === 'apply') {
+    log.info(`${summary}; applying migrations`);
+    await apply();
+  } else if (mode === 'refuse') {
+    throw new Error(`${summary}. Apply the migrations or set the migration mode to "apply".`);
+  } else {
+    log.warn(`${summary}. Running with an outdated schema; apply via POST /admin/migrations/apply.`);
+  }
+};
+
+/**
+ * MongoDB startup check. Throws if it is outdated and its mode is `refuse`.
+ */
+export const runMongoStartupMigrations = async () => {
+  const { migrationMode } = config.getMongoConfig();
+  await checkAtStartup('MongoDB', migrationMode, getMongoMigrationStatus, applyMongoMigrations);
+};
+
+/**
+ * Elasticsearch startup check, run once Elasticsearch is reachable and after
+ * the MongoDB one: the backfill mirrors MongoDB's defaults. Throws if the
+ * mapping is outdated and its mode is `refuse`.
+ */
+export const runElasticsearchStartupMigrations = async () => {
+  const { migrationMode } = config.getElasticsearchConfig();
+  await checkAtStartup('Elasticsearch', migrationMode, getElasticsearchMigrationStatus, applyElasticsearchMigrations);
+};
@@ -0,0 +1,357 @@
+import { Todo } from '../models/todo.js';
+import { getElasticsearchClient } from '../config/database.js';
+import config from '../config/ConfigService.js';
+import { getIndexDefinition, createVersionedIndexName } from '../controllers/esController.js';
+import { logger } from './logger.js';
+import { ConflictError } from '../errors/index.js';
+
+const log = logger.child({ component: 'reindex' });
+
+const getAliasName = () => config.getElasticsearchConfig().indexName;
+
+// `updatedAt` comes from the clock of whichever replica served the write
+const CLOCK_SKEW_MARGIN_MS = 60 * 1000;
+
+/**
+ * Shape a Todo document for Elasticsearch
+ */
+export const toEsDocument = (todo) => ({
+  id: todo.id,
+  title: todo.title,
+  completed: todo.completed,
+  description: todo.description ?? null,
+  dueDate: todo.dueDate ? todo.dueDate.toISOString() : null,
+  priority: todo.priority ?? 'medium',
+  tags: todo.tags ? [...todo.tags] : [],
+  owner: todo.owner ?? null,
+  workspace: todo.workspace ?? null,
+  createdAt: todo.createdAt.toISOString(),
+  updatedAt: todo.updatedAt ? todo.updatedAt.toISOString() : todo.createdAt.toISOString(),
+});
+
+/**
+ * External Elasticsearch version of a todo: its last change in epoch
+ * milliseconds. Indexing with `version_type: 'external'` then rejects a
+ * write carrying an older state than the document already has.
+ */
+export const toEsVersion = (todo) => (todo.updatedAt ?? todo.createdAt).getTime();
+
+/**
+ * Rebuilds the search index from MongoDB without downtime.
+ *
+ * Every todo is bulk-copied into a fresh versioned index while searches keep
+ * hitting the alias. Live syncs on this replica are mirrored into the new
+ * index for the duration of the copy (see `getShadowIndex`), and the copy
+ * uses `create` so it never overwrites a newer mirrored document.
+ *
+ * Mirroring alone misses writes served by other replicas, and deletes of
+ * todos the copy had already read. So before the alias is swapped atomically,
+ * a catch-up pass replays MongoDB into the new index: todos updated since the
+ * copy started are re-indexed and documents whose todo is gone are deleted.
+ * Writes between that pass and the swap still reach only the old index, so
+ * a second pass runs after the swap.
+ */
+class ReindexJob {
+  constructor() {
+    this.state = null;
+    this.promise = null;
+  }
+
+  /**
+   * True while a reindex is copying documents
+   */
+  isRunning() {
+    return this.state?.status === 'running';
+  }
+
+  /**
+   * Concrete index that live syncs should also write to, if any
+   */
+  getShadowIndex() {
+    // After the swap, live syncs reach the new index through the alias
+    return this.isRunning() && !this.state.aliasSwapped ? this.state.targetIndex : null;
+  }
+
+  /**
+   * Current or last job progress
+   */
+  getStatus() {
+    if (!this.state) {
+      return { status: 'idle' };
+    }
+    const { total, processed } = this.state;
+    return {
+      ...this.state,
+      percent: total > 0 ? Math.floor((processed / total) * 100) : 100,
+    };
+  }
+
+  /**
+   * Kick off a reindex in the background
+   * @param {Object} options
+   * @param {boolean} options.deleteOld - Delete the previous concrete indices after the swap
+   * @returns {Object} Initial job status
+   */
+  start({ deleteOld = false } = {}) {
+    if (this.isRunning()) {
+      throw new ConflictError('A reindex is already running');
+    }
+
+    this.state = {
+      status: 'running',
+      alias: getAliasName(),
+      targetIndex: createVersionedIndexName(getAliasName()),
+      previousIndices: [],
+      deleteOld,
+      total: 0,
+      processed: 0,
+      indexed: 0,
+      skipped: 0,
+      replayed: 0,
+      deleted: 0,
+      failed: 0,
+      aliasSwapped: false,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      error: null,
+    };
+
+    this.promise = this._run().catch((error) => {
+      log.error('Reindex failed', { error });
+      this.state.status = 'failed';
+      this.state.error = error.message;
+      this.state.finishedAt = new Date().toISOString();
+    });
+
+    return this.getStatus();
+  }
+
+  /**
+   * Reindex and wait for the alias swap
+   * @throws {Error} If the reindex fails
+   */
+  async run(options) {
+    this.start(options);
+    await this.promise;
+    if (this.state.status === 'failed') {
+      throw new Error(`Reindex failed: ${this.state.error}`);
+    }
+    return this.getStatus();
+  }
+
+  /**
+   * @private
+   */
+  async _run() {
+    const client = getElasticsearchClient();
+    const { alias, targetIndex } = this.state;
+    const { reindexBatchSize } = config.getElasticsearchConfig();
+
+    log.info('Reindexing', { alias, targetIndex });
+
+    await client.indices.create({ index: targetIndex, body: getIndexDefinition() });
+
+    const copyStartedAt = new Date();
+    this.state.total = await Todo.countDocuments();
+
+    let batch = [];
+    for await (const todo of Todo.find().sort({ _id: 1 }).cursor()) {
+      batch.push(todo);
+      if (batch.length >= reindexBatchSize) {
+        await this._copyBatch(client, targetIndex, batch);
+        batch = [];
+      }
+    }
+    if (batch.length > 0) {
+      await this._copyBatch(client, targetIndex, batch);
+    }
+
+    await client.indices.refresh({ index: targetIndex });
+    const catchUpStartedAt = await this._catchUp(client, targetIndex, copyStartedAt);
+
+    if (this.state.failed > 0) {
+      await client.indices.delete({ index: targetIndex }, { ignore: [404] });
+      throw new Error(`${this.state.failed} documents failed to index; alias left unchanged`);
+    }
+
+    await client.indices.refresh({ index: targetIndex });
+    await this._swapAlias(client, alias, targetIndex);
+    this.state.aliasSwapped = true;
+
+    await this._catchUp(client, targetIndex, catchUpStartedAt);
+    await client.indices.refresh({ index: targetIndex });
+    if (this.state.failed > 0) {
+      throw new Error(
+        `${this.state.failed} documents failed to sync after the alias swap; `
+        + 'run POST /admin/consistency/repair?direction=es',
+      );
+    }
+
+    this.state.status = 'completed';
+    this.state.finishedAt = new Date().toISOString();
+    log.info('Reindex complete', {
+      alias,
+      targetIndex,
+      indexed: this.state.indexed,
+      skipped: this.state.skipped,
+      replayed: this.state.replayed,
+      deleted: this.state.deleted,
+    });
+  }
+
+  /**
+   * Replay MongoDB changes made since `since` into the target index:
+   * re-index todos updated since then, and delete documents whose todo no
+   * longer exists. External versions keep a replayed todo from overwriting a
+   * newer live sync.
+   * @private
+   * @returns {Promise<Date>} When this pass started, for the next one
+   */
+  async _catchUp(client, targetIndex, since) {
+    const startedAt = new Date();
+    const { reindexBatchSize } = config.getElasticsearchConfig();
+    const changedSince = new Date(since.getTime() - CLOCK_SKEW_MARGIN_MS);
+
+    let batch = [];
+    for await (const todo of Todo.find({ updatedAt: { $gte: changedSince } }).cursor()) {
+      batch.push(todo);
+      if (batch.length >= reindexBatchSize) {
+        await this._replayBatch(client, targetIndex, batch);
+        batch = [];
+      }
+    }
+    if (batch.length > 0) {
+      await this._replayBatch(client, targetIndex, batch);
+    }
+
+    const scroll = client.helpers.scrollSearch({
+      index: targetIndex,
+      query: { match_all: {} },
+      _source: false,
+      size: reindexBatchSize,
+    });
+    for await (const response of scroll) {
+      const ids = response.body.hits.hits.map((hit) => hit._id);
+      const existing = new Set(await Todo.distinct('id', { id: { $in: ids } }));
+      const gone = ids.filter((id) => !existing.has(id));
+      if (gone.length > 0) {
+        await this._deleteBatch(client, targetIndex, gone);
+      }
+    }
+
+    return startedAt;
+  }
+
+  /**
+   * Bulk-index todos changed during the copy, versioned by `updatedAt`
+   * @private
+   */
+  async _replayBatch(client, targetIndex, todos) {
+    const operations = todos.flatMap((todo) => [
+      { index: { _index: targetIndex, _id: todo.id, version: toEsVersion(todo), version_type: 'external' } },
+      toEsDocument(todo),
+    ]);
+
+    const result = await client.bulk({ operations });
+
+    for (const item of result.items) {
+      const { status, error } = item.index;
+      if (status === 409) {
+        // A live sync already wrote this state or a newer one
+        continue;
+      }
+      if (error) {
+        this.state.failed++;
+        log.error('Reindex catch-up failed for document', { id: item.index._id, error: error.reason });
+      } else {
+        this.state.replayed++;
+      }
+    }
+  }
+
+  /**
+   * Bulk-delete documents whose todo was deleted during the copy
+   * @private
+   */
+  async _deleteBatch(client, targetIndex, ids) {
+    const result = await client.bulk({
+      operations: ids.map((id) => ({ delete: { _index: targetIndex, _id: id } })),
+    });
+
+    for (const item of result.items) {
+      const { status, error } = item.delete;
+      if (status === 404) {
+        // Deleted by a live sync in the meantime
+        continue;
+      }
+      if (error) {
+        this.state.failed++;
+        log.error('Reindex catch-up failed to delete document', { id: item.delete._id, error: error.reason });
+      } else {
+        this.state.deleted++;
+      }
+    }
+  }
+
+  /**
+   * Bulk-create one batch of todos in the target index
+   * @private
+   */
+  async _copyBatch(client, targetIndex, todos) {
+    const operations = todos.flatMap((todo) => [
+      { create: { _index: targetIndex, _id: todo.id } },
+      toEsDocument(todo),
+    ]);
+
+    const result = await client.bulk({ operations });
+
+    for (const item of result.items) {
+      const { status, error } = item.create;
+      if (status === 409) {
+        // Already written by a live sync during the copy; that version is newer
+        this.state.skipped++;
+      } else if (error) {
+        this.state.failed++;
+        log.error('Reindex failed for document', { id: item.create._id, error: error.reason });
+      } else {
+        this.state.indexed++;
+      }
+    }
+    this.state.processed += todos.length;
+  }
+
+  /**
+   * Point the alias at the new index in a single atomic request
+   * @private
+   */
+  async _swapAlias(client, alias, targetIndex) {
+    const actions = [];
+    const aliasExists = await client.indices.existsAlias({ name: alias });
+
+    if (aliasExists) {
+      const current = await client.indices.getAlias({ name: alias });
+      this.state.previousIndices = Object.keys(current);
+      for (const index of this.state.previousIndices) {
+        actions.push({ remove: { index, alias } });
+      }
+    } else if (await client.indices.exists({ index: alias })) {
+      // Legacy setup: a concrete index carries the alias name and must go
+      this.state.previousIndices = [alias];
+      actions.push({ remove_index: { index: alias } });
+    }
+
+    actions.push({ add: { index: targetIndex, alias } });
+    await client.indices.updateAliases({ actions });
+
+    if (this.state.deleteOld) {
+      for (const index of this.state.previousIndices) {
+        if (index !== alias) {
+          await client.indices.delete({ index }, { ignore: [404] });
+        }
+      }
+    }
+  }
+}
+
+// Export singleton instance
+export const reindexJob = new ReindexJob();
@@ -0,0 +1,130 @@
+import { TODO_PRIORITIES } from '../models/todo.js';
+
+/**
+ * Simple query-string syntax for GET /es.
+ *
+ *   groceries milk          analyzed, typo-tolerant match on all terms
+ *   "buy groceries"         exact phrase
+ *   completed:true report   field filter plus text
+ *   priority:high tag:work  priority and tag filters
+ *
+ * Unknown `field:value` tokens are searched as plain text.
+ */
+
+// Text fields searched by free terms, with boosts
+export const SEARCH_FIELDS = ['title^2', 'description', 'tags'];
+
+// Text fields returned as highlighted fragments (0 fragments = whole field)
+export const HIGHLIGHT_FIELDS = {
+  title: { number_of_fragments: 0 },
+  description: { fragment_size: 120, number_of_fragments: 2 },
+};
+
+const TOKEN_PATTERN = /(\w+):("[^"]*"|\S+)|"([^"]*)"|(\S+)/g;
+
+const tagFilter = (value) => (value ? { term: { tags: value } } : null);
+
+const FIELD_FILTERS = {
+  completed: (value) => {
+    if (value !== 'true' && value !== 'false') {
+      return null;
+    }
+    return { term: { completed: value === 'true' } };
+  },
+  priority: (value) => (TODO_PRIORITIES.includes(value) ? { term: { priority: value } } : null),
+  tag: tagFilter,
+  tags: tagFilter,
+};
+
+/**
+ * Split a query string into free terms, phrases and field filters
+ * @returns {{ terms: string[], phrases: string[], filters: Object[] }}
+ */
+export const parseSearchQuery = (q = '') => {
+  const terms = [];
+  const phrases = [];
+  const filters = [];
+
+  for (const match of q.matchAll(TOKEN_PATTERN)) {
+    const [token, field, fieldValue, phrase, term] = match;
+
+    if (field !== undefined) {
+      const value = fieldValue.replace(/^"|"$/g, '');
+      const toFilter = FIELD_FILTERS[field.toLowerCase()];
+      const filter = toFilter ? toFilter(value.toLowerCase()) : null;
+      if (filter) {
+        filters.push(filter);
+      } else {
+        terms.push(token.replace(/"/g, ''));
+      }
+    } else if (phrase !== undefined) {
+      if (phrase.trim()) {
+        phrases.push(phrase.trim());
+      }
+    } else {
+      terms.push(term);
+    }
+  }
+
+  return { terms, phrases, filters };
+};
+
+/**
+ * Build the bool clauses for a query string
+ * @returns {{ must: Object[], should: Object[], filter: Object[], hasText: boolean }}
+ */
+export const buildSearchClauses = (q) => {
+  const { terms, phrases, filters } = parseSearchQuery(q);
+  const must = [];
+  const should = [];
+
+  if (terms.length > 0) {
+    const text = terms.join(' ');
+    must.push({
+      multi_match: {
+        query: text,
+        fields: SEARCH_FIELDS,
+        fuzziness: 'AUTO',
+        operator: 'and',
+      },
+    });
+    // Rank documents where the terms appear together higher
+    should.push({
+      multi_match: {
+        query: text,
+        fields: SEARCH_FIELDS,
+        type: 'phrase',
+        slop: 2,
+        boost: 2,
+      },
+    });
+  }
+
+  for (const phrase of phrases) {
+    must.push({
+      multi_match: {
+        query: phrase,
+        fields: SEARCH_FIELDS,
+        type: 'phrase',
+      },
+    });
+  }
+
+  return {
+    must,
+    should,
+    filter: filters,
+    hasText: terms.length > 0 || phrases.length > 0,
+  };
+};
+
+/**
+ * Highlight request for matched text fields
+ */
+export const getHighlight = () => ({
+  // Escape the stored text so fragments are safe to render as HTML
+  encoder: 'html',
+  pre_tags: ['<mark>'],
+  post_tags: ['</mark>'],
+  fields: HIGHLIGHT_FIELDS,
+});
@@ -0,0 +1,156 @@
+import config from '../config/ConfigService.js';
+import { disconnectMongoDB, closeElasticsearch } from '../config/database.js';
+import { terminateHog } from '../controllers/hogController.js';
+import { outboxDispatcher } from './esSync.js';
+import { closeEventStreams } from './eventStream.js';
+import { healthMonitor } from './health.js';
+import { logger } from './logger.js';
+import { shutdownTracing } from '../tracing.js';
+
+const log = logger.child({ component: 'shutdown' });
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Coordinates a graceful shutdown on SIGTERM/SIGINT:
+ *
+ * 1. Fail readiness, then wait `shutdown.drainDelayMs` so the load balancer
+ *    notices before the listener goes away
+ * 2. End event streams, stop accepting connections and wait for in-flight
+ *    requests, up to `shutdown.timeoutMs`; whatever is still open after that
+ *    is cut off
+ * 3. Stop the outbox dispatcher and terminate the hog worker
+ * 4. Close MongoDB, then Elasticsearch, then flush pending trace spans
+ */
+class ShutdownCoordinator {
+  constructor() {
+    this.server = null;
+    this.inFlight = 0;
+    this.promise = null;
+    this.trackRequests = this.trackRequests.bind(this);
+  }
+
+  /**
+   * True once shutdown has started
+   */
+  isShuttingDown() {
+    return this.promise !== null;
+  }
+
+  /**
+   * HTTP server to drain on shutdown
+   */
+  attach(server) {
+    this.server = server;
+  }
+
+  /**
+   * Express middleware counting in-flight requests. During shutdown it asks
+   * keep-alive clients to reconnect elsewhere.
+   */
+  trackRequests(req, res, next) {
+    this.inFlight++;
+    res.on('close', () => {
+      this.inFlight--;
+      if (this.isShuttingDown() && this.server) {
+        // The socket only turns idle once the response is flushed
+        setImmediate(() => this.server.closeIdleConnections());
+      }
+    });
+
+    if (this.isShuttingDown()) {
+      res.set('Connection', 'close');
+    }
+    next();
+  }
+
+  /**
+   * Shut down once; later calls return the same promise
+   * @param {string} reason - e.g. the signal name
+   * @returns {Promise<number>} Exit code: 0 if everything closed cleanly
+   */
+  shutdown(reason) {
+    this.promise ??= this._run(reason);
+    return this.promise;
+  }
+
+  /**
+   * @private
+   */
+  async _run(reason) {
+    const { timeoutMs, drainDelayMs } = config.getShutdownConfig();
+    let exitCode = 0;
+
+    log.info('Shutting down', { reason, inFlight: this.inFlight, timeoutMs });
+    healthMonitor.markShuttingDown();
+
+    if (drainDelayMs > 0) {
+      await sleep(drainDelayMs);
+    }
+
+    if (this.server) {
+      const drained = await this._closeServer(timeoutMs);
+      if (!drained) {
+        exitCode = 1;
+      }
+    }
+
+    const steps = [
+      ['outbox dispatcher', () => outboxDispatcher.stop()],
+      ['hog worker', () => terminateHog()],
+      ['MongoDB', () => disconnectMongoDB()],
+      ['Elasticsearch', () => closeElasticsearch()],
+      // Last, so the spans of everything above are flushed too
+      ['tracing', () => shutdownTracing()],
+    ];
+    for (const [name, step] of steps) {
+      try {
+        await step();
+      } catch (error) {
+        exitCode = 1;
+        log.error(`Failed to stop ${name}`, { error });
+      }
+    }
+
+    log.info('Shutdown complete', { exitCode });
+    return exitCode;
+  }
+
+  /**
+   * Stop accepting connections and wait for in-flight requests
+   * @private
+   * @returns {Promise<boolean>} False if requests were cut off at the timeout
+   */
+  async _closeServer(timeoutMs) {
+    // Streams only end when the client hangs up, so don't wait for them
+    const streams = closeEventStreams();
+    if (streams > 0) {
+      log.info('Closed event streams', { streams });
+    }
+
+    const closed = new Promise((resolve) => this.server.close(resolve));
+    // Idle keep-alive connections would otherwise hold the server open
+    this.server.closeIdleConnections();
+
+    let timer;
+    const drained = await Promise.race([
+      closed.then(() => true),
+      new Promise((resolve) => {
+        timer = setTimeout(() => resolve(false), timeoutMs);
+      }),
+    ]);
+    clearTimeout(timer);
+
+    if (drained) {
+      log.info('HTTP server drained');
+    } else {
+      log.warn('Timed out waiting for in-flight requests; closing their connections', { inFlight: this.inFlight });
+      this.server.closeAllConnections();
+      await closed;
+    }
+    return drained;
+  }
+}
+
+// Export singleton instance
+export const shutdownCoordinator = new ShutdownCoordinator();
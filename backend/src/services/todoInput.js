@@ -0,0 +1,38 @@
+// Defaults applied on create and on PUT for omitted optional fields
+export const TODO_DEFAULTS = {
+  completed: false,
+  description: null,
+  dueDate: null,
+  priority: 'medium',
+  tags: [],
+};
+
+const WRITABLE_FIELDS = ['title', 'completed', 'description', 'dueDate', 'priority', 'tags'];
+
+/**
+ * Pick the writable fields present in a body validated against the
+ * `TodoInput` / `TodoPatch` schemas (see middleware/validate.js) and normalize them:
+ * trimmed lowercase unique tags, Date due date, empty description as null.
+ * With `withDefaults`, omitted optional fields get their defaults.
+ */
+export const normalizeTodoInput = (body, { withDefaults = false } = {}) => {
+  const input = withDefaults ? { ...TODO_DEFAULTS } : {};
+
+  for (const field of WRITABLE_FIELDS) {
+    if (body[field] !== undefined) {
+      input[field] = body[field];
+    }
+  }
+
+  if (input.tags !== undefined) {
+    input.tags = [...new Set(input.tags.map((tag) => tag.trim().toLowerCase()))];
+  }
+  if (input.dueDate !== undefined && input.dueDate !== null) {
+    input.dueDate = new Date(input.dueDate);
+  }
+  if (input.description !== undefined && input.description !== null && !input.description.trim()) {
+    input.description = null;
+  }
+
+  return input;
+};
@@ -0,0 +1,56 @@
+import { Workspace, WORKSPACE_ROLES } from '../models/workspace.js';
+import { NotFoundError, ForbiddenError } from '../errors/index.js';
+
+/**
+ * Workspace membership: who may see and change the todos of which workspace.
+ */
+
+export const PERSONAL_WORKSPACE_NAME = 'Personal';
+
+/**
+ * Whether `role` grants at least the rights of `minRole`
+ * @param {string} role
+ * @param {string} minRole
+ */
+export const hasRole = (role, minRole) => WORKSPACE_ROLES.indexOf(role) <= WORKSPACE_ROLES.indexOf(minRole);
+
+/**
+ * Create a user's personal workspace unless it exists. It has the user's
+ * `id`, so it can be found without a lookup.
+ * @param {string} userId
+ */
+export const ensurePersonalWorkspace = (userId) => Workspace.updateOne(
+  { id: userId },
+  {
+    $setOnInsert: {
+      id: userId,
+      name: PERSONAL_WORKSPACE_NAME,
+      personal: true,
+      members: [{ userId, role: 'owner' }],
+      createdAt: new Date(),
+    },
+  },
+  { upsert: true },
+);
+
+/**
+ * Load a workspace the user belongs to and check their role in it. A
+ * workspace the user is not a member of is reported as missing, so its
+ * existence doesn't leak.
+ * @param {string} workspaceId
+ * @param {string} userId
+ * @param {string} minRole - Least role needed, e.g. `editor` to change todos
+ * @returns {Promise<{ workspace: Object, role: string }>}
+ */
+export const getMembership = async (workspaceId, userId, minRole) => {
+  const workspace = await Workspace.findOne({ id: workspaceId, 'members.userId': userId });
+  if (!workspace) {
+    throw new NotFoundError('Workspace not found');
+  }
+
+  const { role } = workspace.members.find((member) => member.userId === userId);
+  if (!hasRole(role, minRole)) {
+    throw new ForbiddenError(`This needs at least the ${minRole} role in the workspace; yours is ${role}`);
+  }
+  return { workspace, role };
+};
@@ -0,0 +1,95 @@
+import { register } from 'module';
+import {
+  NodeTracerProvider,
+  BatchSpanProcessor,
+  SimpleSpanProcessor,
+  ConsoleSpanExporter,
+  ParentBasedSampler,
+  TraceIdRatioBasedSampler,
+} from '@opentelemetry/sdk-trace-node';
+import { resourceFromAttributes } from '@opentelemetry/resources';
+import { ATTR_SERVICE_NAME } from '@opentelemetry/semantic-conventions';
+import { OTLPTraceExporter } from '@opentelemetry/exporter-trace-otlp-http';
+import { registerInstrumentations } from '@opentelemetry/instrumentation';
+import { HttpInstrumentation } from '@opentelemetry/instrumentation-http';
+import { ExpressInstrumentation, ExpressLayerType } from '@opentelemetry/instrumentation-express';
+import { MongooseInstrumentation } from '@opentelemetry/instrumentation-mongoose';
+import config from './config/ConfigService.js';
+import { FileSpanExporter } from './services/fileSpanExporter.js';
+import { QUIET_PATHS } from './middleware/requestId.js';
+
+/**
+ * OpenTelemetry tracing, preloaded with `node --import ./src/tracing.js` so
+ * the instrumentations are in place before Express and Mongoose are imported.
+ *
+ * Spans are recorded for every HTTP request (with Express route and handler
+ * spans), every Mongoose operation and every Elasticsearch client call; the
+ * Elasticsearch client traces itself once a tracer provider is registered.
+ * Incoming W3C `traceparent` headers continue the caller's trace.
+ *
+ * `TRACING_EXPORTER` picks where spans go: `otlp` (configured through the
+ * standard `OTEL_EXPORTER_OTLP_*` variables), `console`, `file` (JSON lines
+ * at `TRACING_FILE_PATH`) or `none`, the default, which leaves tracing off.
+ */
+
+let provider = null;
+
+const createSpanProcessor = (exporter) => {
+  switch (exporter) {
+    case 'otlp':
+      return new BatchSpanProcessor(new OTLPTraceExporter());
+    case 'console':
+      return new SimpleSpanProcessor(new ConsoleSpanExporter());
+    case 'file':
+      return new BatchSpanProcessor(new FileSpanExporter(config.getTracingConfig().filePath));
+    default:
+      return null;
+  }
+};
+
+const startTracing = () => {
+  const { exporters, serviceName, sampleRatio } = config.getTracingConfig();
+  const spanProcessors = exporters.map(createSpanProcessor).filter(Boolean);
+  if (spanProcessors.length === 0) {
+    return;
+  }
+
+  // Lets the instrumentations patch ES modules, not just require() calls
+  register('@opentelemetry/instrumentation/hook.mjs', import.meta.url);
+
+  provider = new NodeTracerProvider({
+    resource: resourceFromAttributes({ [ATTR_SERVICE_NAME]: serviceName }),
+    // Follow the caller's sampling decision, sample new traces at the ratio
+    sampler: new ParentBasedSampler({ root: new TraceIdRatioBasedSampler(sampleRatio) }),
+    spanProcessors,
+  });
+  // Also installs the W3C trace-context propagator and async context tracking
+  provider.register();
+
+  registerInstrumentations({
+    tracerProvider: provider,
+    instrumentations: [
+      new HttpInstrumentation({
+        // Probes and scrapes would drown out the real traffic
+        ignoreIncomingRequestHook: (req) => QUIET_PATHS.has(req.url.split('?')[0]),
+      }),
+      new ExpressInstrumentation({
+        // Route handlers only; a span per app-level middleware is noise
+        ignoreLayersType: [ExpressLayerType.MIDDLEWARE],
+      }),
+      new MongooseInstrumentation(),
+    ],
+  });
+};
+
+/**
+ * Flush buffered spans and stop exporting
+ */
+export const shutdownTracing = async () => {
+  if (provider) {
+    await provider.shutdown();
+    provider = null;
+  }
+};
+
+startTracing();
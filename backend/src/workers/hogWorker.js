@@ -1,17 +1,25 @@
 import { parentPort } from 'worker_threads';
+import { performance } from 'perf_hooks';
+import { closeSync, mkdirSync, openSync, readSync, writeFileSync } from 'fs';
+import { createConnection, createServer } from 'net';
+import { devNull } from 'os';
+import { join } from 'path';
+import { logger } from '../services/logger.js';
+import { stageAt } from '../services/hogSchedule.js';
+
+const log = logger.child({ component: 'hog-worker', workerId: Number(process.env.HOG_WORKER_ID) || 1 });
 
 let stopped = false;
 let allocatedMemory = [];
-let stopTimeout = null;
+
+// How often a telemetry sample is sent to the parent
+const SAMPLE_INTERVAL_MS = 1000;
 
 // Listen for stop messages from parent
 if (parentPort) {
   parentPort.on('message', (msg) => {
     if (msg.type === 'stop') {
       stopped = true;
-      if (stopTimeout) {
-        clearTimeout(stopTimeout);
-      }
       process.exit(0);
     }
   });
@@ -67,72 +75,320 @@ function burnCPU(durationMs, intensityMultiplier = 2) {
   return iterations;
 }
 
+const CHUNK_SIZE = 8 * 1024 * 1024; // 8MB chunks
+
 /**
- * Allocate memory in chunks
+ * Grow or shrink the allocated memory to the target, in whole chunks
  */
-function allocateMemory(targetMb) {
-  const chunkSize = 8 * 1024 * 1024; // 8MB chunks
-  const targetBytes = targetMb * 1024 * 1024;
-  let allocated = 0;
-  
-  console.log(`[Worker] Starting memory allocation: ${targetMb}MB`);
+function setMemory(targetMb) {
+  const targetChunks = Math.ceil((targetMb * 1024 * 1024) / CHUNK_SIZE);
+  if (targetChunks === allocatedMemory.length) {
+    return;
+  }
   
-  while (allocated < targetBytes && !stopped) {
-    const chunk = Buffer.alloc(chunkSize);
+  while (allocatedMemory.length < targetChunks && !stopped) {
+    const chunk = Buffer.alloc(CHUNK_SIZE);
     // Write to buffer to ensure it's actually allocated
     chunk.fill(Math.floor(Math.random() * 256));
     allocatedMemory.push(chunk);
-    allocated += chunkSize;
-    
-    // Occasionally log progress
-    if (allocatedMemory.length % 32 === 0) {
-      console.log(`[Worker] Allocated ${Math.floor(allocated / 1024 / 1024)}MB`);
-    }
   }
+  // Dropped chunks are reclaimed by the next GC
+  allocatedMemory.length = Math.min(allocatedMemory.length, targetChunks);
   
-  console.log(`[Worker] Memory allocation complete: ${Math.floor(allocated / 1024 / 1024)}MB`);
+  log.debug('Allocated memory', { allocatedMb: (allocatedMemory.length * CHUNK_SIZE) / 1024 / 1024 });
 }
 
 /**
- * Main worker loop
+ * Measurements over the current sample window
  */
-function startHog(config) {
-  const { memoryMb, cpuSliceMs, maxMinutes, intensityMultiplier = 2 } = config;
-  
-  console.log('[Worker] Starting resource hog with config:', config);
-  
-  // Set auto-stop timer
-  stopTimeout = setTimeout(() => {
-    console.log(`[Worker] Auto-stopping after ${maxMinutes} minutes`);
-    stopped = true;
-    process.exit(0);
-  }, maxMinutes * 60 * 1000);
-  
-  // Allocate memory first
-  if (memoryMb > 0) {
-    allocateMemory(memoryMb);
+const newSampleWindow = () => ({ startedAt: performance.now(), burnMs: 0, iterations: 0, writtenBytes: 0, readBytes: 0 });
+let sampleWindow = newSampleWindow();
+
+/**
+ * RSS of the whole process, or null when it can't be read, e.g. with every
+ * file descriptor taken
+ */
+function readRss() {
+  try {
+    return process.memoryUsage.rss();
+  } catch {
+    return null;
   }
+}
+
+/**
+ * Send what the worker actually achieved since the last sample, as
+ * `measure(elapsedMs)` works it out, along with the RSS of the whole process
+ * (shared by all workers)
+ */
+function sendSample(stageIndex, measure) {
+  const now = performance.now();
+  const elapsedMs = now - sampleWindow.startedAt;
+  parentPort?.postMessage({
+    type: 'sample',
+    sample: {
+      time: new Date().toISOString(),
+      stage: stageIndex,
+      ...measure(elapsedMs),
+      rssBytes: readRss(),
+    },
+  });
+  sampleWindow = newSampleWindow();
+}
+
+/**
+ * Memory held, burn loop iterations per second and the share of wall-clock time spent burning
+ */
+const measureCpu = (elapsedMs) => ({
+  allocatedBytes: allocatedMemory.length * CHUNK_SIZE,
+  iterationsPerSecond: Math.round((sampleWindow.iterations * 1000) / elapsedMs),
+  cpuDutyCycle: Math.round((sampleWindow.burnMs / elapsedMs) * 100) / 100,
+});
+
+/**
+ * Main worker loop: follow the load profile until it ends
+ */
+function startCpuHog(profile, startedAt) {
+  const { cpuSliceMs, intensityMultiplier = 2 } = profile;
+  let stageIndex = -1;
   
-  // Start CPU burn loop
-  console.log('[Worker] Starting CPU burn loop');
+  log.info('Starting resource hog', { profile });
   
-  function cpuLoop() {
+  function tick() {
     if (stopped) {
-      console.log('[Worker] Stopping CPU burn loop');
+      log.info('Stopping CPU burn loop');
       process.exit(0);
       return;
     }
     
-    // Burn CPU for the specified slice with intensity multiplier
-    burnCPU(cpuSliceMs, intensityMultiplier);
+    const position = stageAt(profile, Date.now() - startedAt);
+    if (!position) {
+      log.info('Load profile finished; auto-stopping');
+      stopped = true;
+      process.exit(0);
+      return;
+    }
+    if (position.index !== stageIndex) {
+      stageIndex = position.index;
+      log.info('Entering stage', {
+        stage: position.index + 1,
+        of: position.count,
+        transition: position.transition,
+        durationSeconds: Math.round(position.stageRemainingMs / 1000),
+      });
+    }
     
-    // Yield control back to event loop
-    setImmediate(cpuLoop);
+    setMemory(position.memoryMb);
+    
+    // Burn CPU for the duty-cycle share of the slice, idle for the rest
+    const burnMs = Math.round(cpuSliceMs * position.cpuDutyCycle);
+    if (burnMs > 0) {
+      const burnStartedAt = performance.now();
+      sampleWindow.iterations += burnCPU(burnMs, intensityMultiplier);
+      sampleWindow.burnMs += performance.now() - burnStartedAt;
+    }
+    if (performance.now() - sampleWindow.startedAt >= SAMPLE_INTERVAL_MS) {
+      sendSample(stageIndex, measureCpu);
+    }
+    const idleMs = cpuSliceMs - burnMs;
+    if (idleMs > 0) {
+      setTimeout(tick, idleMs);
+    } else {
+      // Yield control back to event loop
+      setImmediate(tick);
+    }
   }
   
-  cpuLoop();
+  tick();
+}
+
+/**
+ * Call `step` until stopped or the profile ends, waiting the milliseconds it
+ * returns in between, and send a sample about every second. Used by the
+ * modes that hold a steady amount of a resource for the whole profile.
+ */
+function runUntilFinished(profile, startedAt, step, measure) {
+  function tick() {
+    if (stopped) {
+      process.exit(0);
+      return;
+    }
+    if (!stageAt(profile, Date.now() - startedAt)) {
+      log.info('Load profile finished; auto-stopping');
+      stopped = true;
+      process.exit(0);
+      return;
+    }
+
+    const delayMs = step();
+    if (performance.now() - sampleWindow.startedAt >= SAMPLE_INTERVAL_MS) {
+      sendSample(0, measure);
+    }
+    if (delayMs > 0) {
+      setTimeout(tick, delayMs);
+    } else {
+      setImmediate(tick);
+    }
+  }
+
+  tick();
+}
+
+// Pause between reads once the disk quota is written
+const DISK_READ_INTERVAL_MS = 100;
+
+/**
+ * Disk mode: write temp files into `dir` until they add up to `diskMb`, then
+ * keep reading them back. The controller removes `dir` when the worker exits,
+ * however it exits.
+ */
+function startDiskHog(profile, startedAt, { diskMb, dir }) {
+  const quotaBytes = diskMb * 1024 * 1024;
+  const chunk = Buffer.alloc(CHUNK_SIZE, Math.floor(Math.random() * 256));
+  const files = [];
+  let diskBytes = 0;
+  let full = false;
+  let nextRead = 0;
+
+  log.info('Starting disk hog', { diskMb, dir });
+  mkdirSync(dir, { recursive: true });
+
+  function step() {
+    if (!full) {
+      const size = Math.min(CHUNK_SIZE, quotaBytes - diskBytes);
+      const file = join(dir, `chunk-${files.length}`);
+      try {
+        writeFileSync(file, chunk.subarray(0, size));
+      } catch (err) {
+        // e.g. ENOSPC: keep holding what was written
+        log.warn('Disk write failed; holding what was written', { error: err, diskBytes });
+        full = true;
+        return DISK_READ_INTERVAL_MS;
+      }
+      files.push({ file, size });
+      diskBytes += size;
+      sampleWindow.writtenBytes += size;
+      full = diskBytes >= quotaBytes;
+      if (full) {
+        log.info('Disk quota written', { diskBytes, files: files.length });
+      }
+      return 0;
+    }
+
+    if (files.length > 0) {
+      const { file, size } = files[nextRead];
+      nextRead = (nextRead + 1) % files.length;
+      const fd = openSync(file, 'r');
+      try {
+        sampleWindow.readBytes += readSync(fd, chunk, 0, size, 0);
+      } finally {
+        closeSync(fd);
+      }
+    }
+    return DISK_READ_INTERVAL_MS;
+  }
+
+  runUntilFinished(profile, startedAt, step, (elapsedMs) => ({
+    diskBytes,
+    writeBytesPerSecond: Math.round((sampleWindow.writtenBytes * 1000) / elapsedMs),
+    readBytesPerSecond: Math.round((sampleWindow.readBytes * 1000) / elapsedMs),
+  }));
+}
+
+// Descriptors opened per step, so the worker still handles `stop` meanwhile
+const FD_BATCH_SIZE = 100;
+
+/**
+ * File descriptor mode: hold `fdCount` files (the null device) or loopback
+ * TCP connections open. Each connection takes up to two descriptors, both
+ * ends being in this process, plus one for the listening socket. Opening stops at
+ * the first error, e.g. EMFILE once the process limit is reached. Descriptors
+ * and sockets are released when the worker exits.
+ */
+function startFdHog(profile, startedAt, { fdCount, fdKind }) {
+  const files = [];
+  const sockets = [];
+  // Server ends of the connections, which the listener may fail to accept
+  const accepted = new Set();
+  let pending = 0;
+  let fdError = null;
+  let server = null;
+
+  log.info('Starting file descriptor hog', { fdCount, fdKind });
+
+  const fail = (err) => {
+    if (!fdError) {
+      fdError = err.code ?? err.message;
+      log.warn('Could not open more descriptors; holding what is open', { error: err, opened: files.length + sockets.length });
+    }
+  };
+
+  const openFile = () => {
+    try {
+      files.push(openSync(devNull, 'r'));
+    } catch (err) {
+      fail(err);
+    }
+  };
+
+  const openSocket = () => {
+    pending++;
+    const socket = createConnection({ host: '127.0.0.1', port: server.address().port });
+    socket.once('connect', () => {
+      pending--;
+      sockets.push(socket);
+    });
+    socket.once('error', (err) => {
+      pending--;
+      fail(err);
+    });
+  };
+
+  function step() {
+    const opened = files.length + sockets.length + pending;
+    if (fdError || opened >= fdCount || (fdKind === 'sockets' && !server?.listening)) {
+      return SAMPLE_INTERVAL_MS / 10;
+    }
+    const batch = Math.min(FD_BATCH_SIZE, fdCount - opened);
+    for (let i = 0; i < batch; i++) {
+      if (fdKind === 'sockets') {
+        openSocket();
+      } else {
+        openFile();
+      }
+    }
+    return 0;
+  }
+
+  if (fdKind === 'sockets') {
+    server = createServer((socket) => {
+      accepted.add(socket);
+      socket.on('error', () => {});
+      socket.on('close', () => accepted.delete(socket));
+    });
+    server.on('error', fail);
+    server.listen(0, '127.0.0.1');
+  }
+
+  runUntilFinished(profile, startedAt, step, () => ({
+    openFds: fdKind === 'sockets' ? sockets.length + accepted.size + (server?.listening ? 1 : 0) : files.length,
+    fdError,
+  }));
 }
 
 // Start the hog when worker is initialized
-const config = process.env.HOG_CONFIG ? JSON.parse(process.env.HOG_CONFIG) : {};
-startHog(config);
+// Without a profile there are no stages, so it stops right away
+const profile = process.env.HOG_CONFIG ? JSON.parse(process.env.HOG_CONFIG) : { cpuSliceMs: 20, stages: [] };
+const startedAt = process.env.HOG_STARTED_AT ? Date.parse(process.env.HOG_STARTED_AT) : Date.now();
+// Mode settings besides the profile; event-loop blocking runs on the main thread instead
+const mode = process.env.HOG_MODE ? JSON.parse(process.env.HOG_MODE) : { mode: 'cpu' };
+switch (mode.mode) {
+  case 'disk':
+    startDiskHog(profile, startedAt, mode);
+    break;
+  case 'fds':
+    startFdHog(profile, startedAt, mode);
+    break;
+  default:
+    startCpuHog(profile, startedAt);
+}
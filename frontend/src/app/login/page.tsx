@@ -0,0 +1,151 @@
+'use client';
+
+import React, { useState } from 'react';
+import { useRouter } from 'next/navigation';
+import { login, register } from '../../lib/api';
+
+export default function LoginPage() {
+  const router = useRouter();
+  const [mode, setMode] = useState<'login' | 'register'>('login');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setLoading(true);
+    setError(null);
+
+    try {
+      await (mode === 'login' ? login : register)(email, password);
+      router.replace('/');
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Authentication failed');
+      setLoading(false);
+    }
+  };
+
+  const toggleMode = () => {
+    setMode(mode === 'login' ? 'register' : 'login');
+    setError(null);
+  };
+
+  return (
+    <main className="container">
+      <div className="auth-form">
+        <h1>{mode === 'login' ? 'Log in' : 'Create an account'}</h1>
+        <form onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label htmlFor="email">Email:</label>
+            <input
+              id="email"
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              autoComplete="email"
+              required
+              disabled={loading}
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="password">Password:</label>
+            <input
+              id="password"
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoComplete={mode === 'login' ? 'current-password' : 'new-password'}
+              minLength={8}
+              maxLength={72}
+              required
+              disabled={loading}
+            />
+          </div>
+          {error && <div className="error">{error}</div>}
+          <button type="submit" disabled={loading} className="btn btn-primary">
+            {loading ? 'Please wait...' : mode === 'login' ? 'Log in' : 'Register'}
+          </button>
+        </form>
+        <button type="button" onClick={toggleMode} disabled={loading} className="btn-link">
+          {mode === 'login' ? 'No account yet? Register' : 'Already registered? Log in'}
+        </button>
+      </div>
+      <style jsx>{`
+        .container {
+          max-width: 400px;
+          margin: 0 auto;
+          padding: 80px 20px;
+        }
+        .auth-form {
+          background: white;
+          padding: 24px;
+          border-radius: 8px;
+          box-shadow: 0 2px 8px rgba(0, 0, 0, 0.1);
+        }
+        h1 {
+          font-size: 1.8rem;
+          color: #333;
+          margin-bottom: 20px;
+          text-align: center;
+        }
+        .form-group {
+          margin-bottom: 16px;
+        }
+        label {
+          display: block;
+          margin-bottom: 8px;
+          font-weight: 500;
+          color: #555;
+        }
+        input {
+          width: 100%;
+          padding: 10px;
+          border: 1px solid #ddd;
+          border-radius: 4px;
+          font-size: 16px;
+          box-sizing: border-box;
+        }
+        input:focus {
+          outline: none;
+          border-color: #0070f3;
+        }
+        .error {
+          padding: 12px;
+          margin-bottom: 16px;
+          background: #fee;
+          color: #c33;
+          border-radius: 4px;
+        }
+        .btn {
+          width: 100%;
+          padding: 10px 20px;
+          border: none;
+          border-radius: 4px;
+          font-size: 16px;
+          cursor: pointer;
+          transition: background 0.2s;
+        }
+        .btn-primary {
+          background: #0070f3;
+          color: white;
+        }
+        .btn-primary:hover:not(:disabled) {
+          background: #0051cc;
+        }
+        .btn:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+        .btn-link {
+          display: block;
+          margin: 16px auto 0;
+          background: none;
+          border: none;
+          color: #0070f3;
+          cursor: pointer;
+        }
+      `}</style>
+    </main>
+  );
+}
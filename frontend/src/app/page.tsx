@@ -1,14 +1,35 @@
 'use client';
 
-import { useRef } from 'react';
+import { useEffect, useRef, useState } from 'react';
+import { useRouter } from 'next/navigation';
 import { TodoForm } from '../components/TodoForm';
 import { TodoList, TodoListRef } from '../components/TodoList';
 import { ESList, ESListRef } from '../components/ESList';
+import { WorkspaceSelector } from '../components/WorkspaceSelector';
+import { getSession, logout, User, Workspace } from '../lib/api';
 
 export default function Home() {
+  const router = useRouter();
+  const [user, setUser] = useState<User | null>(null);
+  const [workspace, setWorkspace] = useState<Workspace | null>(null);
   const todoListRef = useRef<TodoListRef>(null);
   const esListRef = useRef<ESListRef>(null);
 
+  // Todos belong to users, so nothing is shown until someone is logged in
+  useEffect(() => {
+    const session = getSession();
+    if (session) {
+      setUser(session.user);
+    } else {
+      router.replace('/login');
+    }
+  }, [router]);
+
+  const handleLogout = async () => {
+    await logout();
+    router.replace('/login');
+  };
+
   const handleTodoCreated = () => {
     // Refresh both lists after 1 second delay to allow backend processing
     setTimeout(() => {
@@ -17,23 +38,57 @@ export default function Home() {
     }, 1000);
   };
 
+  if (!user) {
+    return null;
+  }
+
   return (
     <main className="container">
+      <div className="account">
+        <span>{user.email}</span>
+        <button onClick={handleLogout} className="logout-btn">
+          Log out
+        </button>
+      </div>
       <header>
         <h1>Todo Application</h1>
         <p>Manage your todos with MongoDB and Elasticsearch</p>
       </header>
-      <TodoForm onTodoCreated={handleTodoCreated} />
-      <div className="lists-container">
-        <TodoList ref={todoListRef} />
-        <ESList ref={esListRef} />
-      </div>
+      <WorkspaceSelector onWorkspaceChanged={setWorkspace} />
+      {/* Keyed by workspace, so switching remounts the lists with its todos */}
+      {workspace && (
+        <div key={workspace.id}>
+          {workspace.role !== 'viewer' && <TodoForm onTodoCreated={handleTodoCreated} />}
+          <div className="lists-container">
+            <TodoList ref={todoListRef} />
+            <ESList ref={esListRef} />
+          </div>
+        </div>
+      )}
       <style jsx>{`
         .container {
           max-width: 1200px;
           margin: 0 auto;
           padding: 40px 20px;
         }
+        .account {
+          display: flex;
+          justify-content: flex-end;
+          align-items: center;
+          gap: 12px;
+          color: #666;
+        }
+        .logout-btn {
+          padding: 6px 14px;
+          background: none;
+          border: 1px solid #ddd;
+          border-radius: 4px;
+          color: #333;
+          cursor: pointer;
+        }
+        .logout-btn:hover {
+          background: #f5f5f5;
+        }
         header {
           text-align: center;
           margin-bottom: 40px;
@@ -14,10 +14,36 @@ export const TodoItem: React.FC<TodoItemProps> = ({ todo }) => {
   return (
     <div className="todo-item">
       <div className="todo-content">
-        <h3 className={todo.completed ? 'completed' : ''}>{todo.title}</h3>
+        {todo.highlight?.title ? (
+          // Fragments are HTML-escaped by Elasticsearch (encoder: 'html'); only <mark> is markup
+          <h3
+            className={todo.completed ? 'completed' : ''}
+            dangerouslySetInnerHTML={{ __html: todo.highlight.title[0] }}
+          />
+        ) : (
+          <h3 className={todo.completed ? 'completed' : ''}>{todo.title}</h3>
+        )}
+        {todo.highlight?.description ? (
+          <p
+            className="todo-description"
+            dangerouslySetInnerHTML={{ __html: todo.highlight.description.join(' … ') }}
+          />
+        ) : (
+          todo.description && <p className="todo-description">{todo.description}</p>
+        )}
         <p className="todo-meta">
-          Status: {todo.completed ? 'Completed' : 'Pending'} | Created: {formatDate(todo.createdAt)}
+          Status: {todo.completed ? 'Completed' : 'Pending'} | Priority: {todo.priority ?? 'medium'}
+          {todo.dueDate && <> | Due: {formatDate(todo.dueDate)}</>} | Created: {formatDate(todo.createdAt)}
         </p>
+        {todo.tags?.length > 0 && (
+          <div className="todo-tags">
+            {todo.tags.map((tag) => (
+              <span key={tag} className="tag">
+                {tag}
+              </span>
+            ))}
+          </div>
+        )}
       </div>
       <style jsx>{`
         .todo-item {
@@ -37,11 +63,37 @@ export const TodoItem: React.FC<TodoItemProps> = ({ todo }) => {
           text-decoration: line-through;
           color: #888;
         }
+        .todo-content h3 :global(mark) {
+          background: #fff3a0;
+          color: inherit;
+        }
+        .todo-description {
+          margin: 0 0 8px 0;
+          font-size: 15px;
+          color: #444;
+        }
+        .todo-description :global(mark) {
+          background: #fff3a0;
+          color: inherit;
+        }
         .todo-meta {
           margin: 0;
           font-size: 14px;
           color: #666;
         }
+        .todo-tags {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 6px;
+          margin-top: 8px;
+        }
+        .tag {
+          padding: 2px 8px;
+          background: #eef3ff;
+          color: #0051cc;
+          border-radius: 12px;
+          font-size: 12px;
+        }
       `}</style>
     </div>
   );
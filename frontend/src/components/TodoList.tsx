@@ -12,13 +12,18 @@ export const TodoList = forwardRef<TodoListRef>((props, ref) => {
   const [todos, setTodos] = useState<Todo[]>([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [loadingMore, setLoadingMore] = useState(false);
 
   const fetchTodos = async () => {
     setLoading(true);
     setError(null);
     try {
-      const data = await getTodosFromDB();
-      setTodos(data);
+      const page = await getTodosFromDB();
+      setTodos(page.items);
+      setTotal(page.total);
+      setNextCursor(page.pagination.next);
     } catch (err) {
       setError(err instanceof Error ? err.message : 'Failed to fetch todos');
     } finally {
@@ -26,6 +31,24 @@ export const TodoList = forwardRef<TodoListRef>((props, ref) => {
     }
   };
 
+  const loadMore = async () => {
+    if (!nextCursor) {
+      return;
+    }
+    setLoadingMore(true);
+    setError(null);
+    try {
+      const page = await getTodosFromDB({ cursor: nextCursor });
+      setTodos((current) => [...current, ...page.items]);
+      setTotal(page.total);
+      setNextCursor(page.pagination.next);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to fetch todos');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
   useImperativeHandle(ref, () => ({
     refresh: fetchTodos,
   }));
@@ -52,6 +75,16 @@ export const TodoList = forwardRef<TodoListRef>((props, ref) => {
           {todos.map((todo) => (
             <TodoItem key={todo.id} todo={todo} />
           ))}
+          <div className="pagination">
+            <span>
+              Showing {todos.length} of {total}
+            </span>
+            {nextCursor && (
+              <button onClick={loadMore} disabled={loadingMore} className="refresh-btn">
+                {loadingMore ? 'Loading...' : 'Load more'}
+              </button>
+            )}
+          </div>
         </div>
       )}
       <style jsx>{`
@@ -104,6 +137,13 @@ export const TodoList = forwardRef<TodoListRef>((props, ref) => {
           display: flex;
           flex-direction: column;
         }
+        .pagination {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          font-size: 14px;
+          color: #666;
+        }
       `}</style>
     </div>
   );
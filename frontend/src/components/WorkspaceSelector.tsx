@@ -0,0 +1,145 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import {
+  listWorkspaces,
+  createWorkspace,
+  getSelectedWorkspace,
+  selectWorkspace,
+  Workspace,
+} from '../lib/api';
+
+interface WorkspaceSelectorProps {
+  onWorkspaceChanged?: (workspace: Workspace) => void;
+}
+
+export const WorkspaceSelector: React.FC<WorkspaceSelectorProps> = ({ onWorkspaceChanged }) => {
+  const [workspaces, setWorkspaces] = useState<Workspace[]>([]);
+  const [selectedId, setSelectedId] = useState<string | null>(null);
+  const [newName, setNewName] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  const choose = (workspace: Workspace) => {
+    selectWorkspace(workspace.id);
+    setSelectedId(workspace.id);
+    onWorkspaceChanged?.(workspace);
+  };
+
+  useEffect(() => {
+    const fetchWorkspaces = async () => {
+      try {
+        const items = await listWorkspaces();
+        setWorkspaces(items);
+        // Fall back to the personal workspace if the stored one is gone
+        const stored = items.find((workspace) => workspace.id === getSelectedWorkspace());
+        const current = stored ?? items.find((workspace) => workspace.personal) ?? items[0];
+        if (current) {
+          choose(current);
+        }
+      } catch (err) {
+        setError(err instanceof Error ? err.message : 'Failed to fetch workspaces');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchWorkspaces();
+  }, []);
+
+  const handleSelect = (e: React.ChangeEvent<HTMLSelectElement>) => {
+    const workspace = workspaces.find((candidate) => candidate.id === e.target.value);
+    if (workspace) {
+      choose(workspace);
+    }
+  };
+
+  const handleCreate = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setLoading(true);
+    setError(null);
+    try {
+      const workspace = await createWorkspace(newName.trim());
+      setWorkspaces([...workspaces, workspace]);
+      setNewName('');
+      choose(workspace);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to create workspace');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="workspace-selector">
+      <label htmlFor="workspace">Workspace:</label>
+      <select id="workspace" value={selectedId ?? ''} onChange={handleSelect} disabled={loading}>
+        {workspaces.map((workspace) => (
+          <option key={workspace.id} value={workspace.id}>
+            {workspace.name} ({workspace.role})
+          </option>
+        ))}
+      </select>
+      <form onSubmit={handleCreate}>
+        <input
+          type="text"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          placeholder="New workspace name"
+          disabled={loading}
+        />
+        <button type="submit" disabled={loading || !newName.trim()}>
+          Create
+        </button>
+      </form>
+      {error && <div className="error">{error}</div>}
+      <style jsx>{`
+        .workspace-selector {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: 12px;
+          background: white;
+          padding: 16px 24px;
+          border-radius: 8px;
+          box-shadow: 0 2px 8px rgba(0, 0, 0, 0.1);
+          margin-bottom: 24px;
+        }
+        label {
+          font-weight: 500;
+          color: #555;
+        }
+        select,
+        input {
+          padding: 8px;
+          border: 1px solid #ddd;
+          border-radius: 4px;
+          font-size: 14px;
+        }
+        form {
+          display: flex;
+          gap: 8px;
+          margin-left: auto;
+        }
+        button {
+          padding: 8px 16px;
+          border: none;
+          border-radius: 4px;
+          background: #0070f3;
+          color: white;
+          cursor: pointer;
+        }
+        button:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+        .error {
+          width: 100%;
+          padding: 10px;
+          background: #fee;
+          color: #c33;
+          border-radius: 4px;
+        }
+      `}</style>
+    </div>
+  );
+};
@@ -10,13 +10,12 @@ class ConfigService {
     api: {
       url: string;
     };
-    elasticsearch: {
-      url: string;
-      indexName: string;
-    };
     app: {
       nodeEnv: string;
     };
+    tracing: {
+      sampleRatio: number;
+    };
   };
 
   constructor() {
@@ -26,16 +25,16 @@ class ConfigService {
         url: '/api',
       },
 
-      // Elasticsearch Configuration
-      elasticsearch: {
-        url: '/es',
-        indexName: this._getString('NEXT_PUBLIC_ELASTICSEARCH_INDEX', 'todos'),
-      },
-
       // App Configuration
       app: {
         nodeEnv: this._getString('NODE_ENV', 'development'),
       },
+
+      // Tracing Configuration
+      tracing: {
+        // Named in full so Next.js inlines it into the browser bundle
+        sampleRatio: this._parseRatio(process.env.NEXT_PUBLIC_TRACING_SAMPLE_RATIO, 1),
+      },
     };
 
     // Validate configuration on initialization
@@ -79,6 +78,18 @@ class ConfigService {
     return value === 'true' || value === '1';
   }
 
+  /**
+   * Parse a ratio from 0 to 1, with fallback to default
+   * @private
+   */
+  private _parseRatio(value: string | undefined, defaultValue: number): number {
+    if (value === undefined || value === '') {
+      return defaultValue;
+    }
+    const parsed = Number(value);
+    return isNaN(parsed) ? defaultValue : parsed;
+  }
+
   /**
    * Validate configuration values
    * @private
@@ -97,15 +108,9 @@ class ConfigService {
       }
     }
 
-    // Validate Elasticsearch URL format (allow relative paths starting with /)
-    if (this.config.elasticsearch.url.startsWith('/')) {
-      // Relative path - valid for routing through ingress
-    } else {
-      try {
-        new URL(this.config.elasticsearch.url);
-      } catch {
-        errors.push(`Invalid Elasticsearch URL format: ${this.config.elasticsearch.url}`);
-      }
+    const { sampleRatio } = this.config.tracing;
+    if (sampleRatio < 0 || sampleRatio > 1) {
+      errors.push(`Invalid tracing sample ratio: ${sampleRatio}. Must be between 0 and 1`);
     }
 
     // Validate node environment
@@ -136,31 +141,17 @@ class ConfigService {
   }
 
   /**
-   * Get Elasticsearch configuration
-   */
-  getElasticsearchConfig() {
-    return { ...this.config.elasticsearch };
-  }
-
-  /**
-   * Get Elasticsearch URL
-   */
-  getElasticsearchUrl(): string {
-    return this.config.elasticsearch.url;
-  }
-
-  /**
-   * Get Elasticsearch index name
+   * Get app configuration
    */
-  getElasticsearchIndex(): string {
-    return this.config.elasticsearch.indexName;
+  getAppConfig() {
+    return { ...this.config.app };
   }
 
   /**
-   * Get app configuration
+   * Get tracing configuration
    */
-  getAppConfig() {
-    return { ...this.config.app };
+  getTracingConfig() {
+    return { ...this.config.tracing };
   }
 
   /**
@@ -212,8 +203,7 @@ class ConfigService {
     console.log('─────────────────────────────────────');
     console.log(`Environment: ${this.config.app.nodeEnv}`);
     console.log(`API URL: ${this.config.api.url}`);
-    console.log(`Elasticsearch URL: ${this.config.elasticsearch.url}`);
-    console.log(`Elasticsearch Index: ${this.config.elasticsearch.indexName}`);
+    console.log(`Tracing Sample Ratio: ${this.config.tracing.sampleRatio}`);
     console.log('─────────────────────────────────────\n');
   }
 }
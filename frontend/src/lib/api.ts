@@ -1,24 +1,293 @@
 import ConfigService from './ConfigService';
 
 const API_URL = ConfigService.getApiUrl();
-const ES_URL = ConfigService.getElasticsearchUrl();
-const ES_INDEX = ConfigService.getElasticsearchIndex();
+const { sampleRatio: TRACE_SAMPLE_RATIO } = ConfigService.getTracingConfig();
+
+export type TodoPriority = 'low' | 'medium' | 'high';
 
 export interface Todo {
   id: string;
   title: string;
   completed: boolean;
+  description: string | null;
+  dueDate: string | null;
+  priority: TodoPriority;
+  tags: string[];
+  owner: string;
+  workspace: string;
   createdAt: string;
+  updatedAt: string;
+  // Present on Elasticsearch search results
+  score?: number | null;
+  highlight?: {
+    title?: string[];
+    description?: string[];
+  };
+}
+
+export interface TodoPage {
+  items: Todo[];
+  total: number;
+  pagination: {
+    limit: number;
+    sort: 'createdAt' | 'title';
+    order: 'asc' | 'desc';
+    hasMore: boolean;
+    next: string | null;
+  };
+}
+
+export interface ListTodosParams {
+  limit?: number;
+  cursor?: string;
+  sort?: 'createdAt' | 'title';
+  order?: 'asc' | 'desc';
+  completed?: boolean;
+  createdFrom?: string;
+  createdTo?: string;
+  dueFrom?: string;
+  dueTo?: string;
+  priority?: TodoPriority;
+  tag?: string[];
+}
+
+export interface TodoStats {
+  total: number;
+  status: {
+    completed: number;
+    pending: number;
+  };
+  createdOverTime: {
+    interval: 'day' | 'week' | 'month';
+    buckets: {
+      date: string;
+      count: number;
+      completed: number;
+      pending: number;
+    }[];
+  };
+  topTerms: {
+    term: string;
+    count: number;
+  }[];
+  priority: Record<TodoPriority, number>;
+  topTags: {
+    tag: string;
+    count: number;
+  }[];
+  createdAt: {
+    count: number;
+    first: string | null;
+    last: string | null;
+  };
+}
+
+export interface TodoStatsParams {
+  q?: string;
+  interval?: 'day' | 'week' | 'month';
+  topTerms?: number;
+  completed?: boolean;
+  createdFrom?: string;
+  createdTo?: string;
+  dueFrom?: string;
+  dueTo?: string;
+  priority?: TodoPriority;
+  tag?: string[];
 }
 
 export interface CreateTodoRequest {
   title: string;
   completed?: boolean;
+  description?: string | null;
+  dueDate?: string | null;
+  priority?: TodoPriority;
+  tags?: string[];
+}
+
+const randomHex = (bytes: number): string =>
+  Array.from(crypto.getRandomValues(new Uint8Array(bytes)), (byte) =>
+    byte.toString(16).padStart(2, '0')
+  ).join('');
+
+// W3C trace context, so the backend's spans for a call join one trace per
+// request. Each trace is sampled at NEXT_PUBLIC_TRACING_SAMPLE_RATIO, and the
+// backend follows that decision.
+const traceHeaders = (): Record<string, string> => {
+  const flags = Math.random() < TRACE_SAMPLE_RATIO ? '01' : '00';
+  return { traceparent: `00-${randomHex(16)}-${randomHex(8)}-${flags}` };
+};
+
+export interface User {
+  id: string;
+  email: string;
+  createdAt: string;
+}
+
+export interface AuthSession {
+  user: User;
+  accessToken: string;
+  refreshToken: string;
+  tokenType: 'Bearer';
+  expiresIn: number;
+}
+
+export type WorkspaceRole = 'owner' | 'editor' | 'viewer';
+
+export interface Workspace {
+  id: string;
+  name: string;
+  personal: boolean;
+  role: WorkspaceRole;
+  memberCount: number;
+  createdAt: string;
 }
 
+// Where the session from the last login is kept, so it survives reloads
+const SESSION_KEY = 'todo-session';
+// Workspace whose todos are shown; the personal workspace when unset
+const WORKSPACE_KEY = 'todo-workspace';
+
+export const getSession = (): AuthSession | null => {
+  if (typeof window === 'undefined') {
+    return null;
+  }
+  const stored = window.localStorage.getItem(SESSION_KEY);
+  return stored ? JSON.parse(stored) : null;
+};
+
+const saveSession = (session: AuthSession): void => {
+  window.localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+};
+
+const clearSession = (): void => {
+  window.localStorage.removeItem(SESSION_KEY);
+  window.localStorage.removeItem(WORKSPACE_KEY);
+};
+
+export const getSelectedWorkspace = (): string | null =>
+  typeof window === 'undefined' ? null : window.localStorage.getItem(WORKSPACE_KEY);
+
+export const selectWorkspace = (workspaceId: string): void => {
+  window.localStorage.setItem(WORKSPACE_KEY, workspaceId);
+};
+
+// Selects the workspace todo calls read and change
+const workspaceHeaders = (): Record<string, string> => {
+  const workspaceId = getSelectedWorkspace();
+  return workspaceId ? { 'X-Workspace-Id': workspaceId } : {};
+};
+
+const authHeaders = (): Record<string, string> => {
+  const session = getSession();
+  return session ? { Authorization: `Bearer ${session.accessToken}` } : {};
+};
+
+// Message of an RFC 7807 error response, if it has one
+const problemDetail = async (response: Response, fallback: string): Promise<string> => {
+  const problem = await response.json().catch(() => null);
+  return problem?.detail || fallback;
+};
+
+// Shared by concurrent calls, so an expired access token is refreshed once
+let refreshing: Promise<boolean> | null = null;
+
+const refreshSession = (): Promise<boolean> => {
+  const session = getSession();
+  if (!session) {
+    return Promise.resolve(false);
+  }
+  refreshing ??= fetch(`${API_URL}/auth/refresh`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...traceHeaders(),
+    },
+    body: JSON.stringify({ refreshToken: session.refreshToken }),
+  })
+    .then(async (response) => {
+      if (!response.ok) {
+        return false;
+      }
+      saveSession(await response.json());
+      return true;
+    })
+    .catch(() => false)
+    .finally(() => {
+      refreshing = null;
+    });
+  return refreshing;
+};
+
+// Backend call with the access token. An expired token is refreshed and the
+// call retried once; if that fails too, the session is dropped and the user
+// is sent to the login page.
+const apiFetch = async (path: string, init: RequestInit = {}): Promise<Response> => {
+  const send = () =>
+    fetch(`${API_URL}${path}`, {
+      ...init,
+      headers: {
+        ...traceHeaders(),
+        ...authHeaders(),
+        ...workspaceHeaders(),
+        ...init.headers,
+      },
+    });
+
+  let response = await send();
+  if (response.status === 401 && (await refreshSession())) {
+    response = await send();
+  }
+  if (response.status === 401) {
+    clearSession();
+    window.location.assign('/login');
+    throw new Error('Your session has expired. Please log in again.');
+  }
+  return response;
+};
+
+const authenticate = async (path: string, email: string, password: string): Promise<AuthSession> => {
+  const response = await fetch(`${API_URL}${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...traceHeaders(),
+    },
+    body: JSON.stringify({ email, password }),
+  });
+
+  if (!response.ok) {
+    throw new Error(await problemDetail(response, 'Authentication failed'));
+  }
+
+  const session: AuthSession = await response.json();
+  saveSession(session);
+  return session;
+};
+
+export const login = (email: string, password: string): Promise<AuthSession> =>
+  authenticate('/auth/login', email, password);
+
+export const register = (email: string, password: string): Promise<AuthSession> =>
+  authenticate('/auth/register', email, password);
+
+// Revokes the refresh token on the backend; the local session goes either way
+export const logout = async (): Promise<void> => {
+  try {
+    await fetch(`${API_URL}/auth/logout`, {
+      method: 'POST',
+      headers: {
+        ...traceHeaders(),
+        ...authHeaders(),
+      },
+    });
+  } finally {
+    clearSession();
+  }
+};
+
 // Backend API calls
 export const createTodoInDB = async (todo: CreateTodoRequest): Promise<Todo> => {
-  const response = await fetch(`${API_URL}/db`, {
+  const response = await apiFetch('/db', {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
@@ -33,8 +302,21 @@ export const createTodoInDB = async (todo: CreateTodoRequest): Promise<Todo> =>
   return response.json();
 };
 
-export const getTodosFromDB = async (): Promise<Todo[]> => {
-  const response = await fetch(`${API_URL}/db`);
+const toQueryString = (params: ListTodosParams | TodoStatsParams = {}): string => {
+  const search = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (Array.isArray(value)) {
+      value.forEach((item) => search.append(key, String(item)));
+    } else if (value !== undefined) {
+      search.set(key, String(value));
+    }
+  });
+  const query = search.toString();
+  return query ? `?${query}` : '';
+};
+
+export const getTodosFromDB = async (params?: ListTodosParams): Promise<TodoPage> => {
+  const response = await apiFetch(`/db${toQueryString(params)}`);
 
   if (!response.ok) {
     throw new Error('Failed to fetch todos from MongoDB');
@@ -44,7 +326,7 @@ export const getTodosFromDB = async (): Promise<Todo[]> => {
 };
 
 export const indexTodoInES = async (todo: CreateTodoRequest): Promise<Todo> => {
-  const response = await fetch(`${API_URL}/es`, {
+  const response = await apiFetch('/es', {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
@@ -59,41 +341,57 @@ export const indexTodoInES = async (todo: CreateTodoRequest): Promise<Todo> => {
   return response.json();
 };
 
-// Direct Elasticsearch search
+export const getTodoStats = async (params?: TodoStatsParams): Promise<TodoStats> => {
+  const response = await apiFetch(`/es/stats${toQueryString(params)}`);
+
+  if (!response.ok) {
+    throw new Error('Failed to fetch todo statistics');
+  }
+
+  return response.json();
+};
+
+// Full-text search through the backend, which only searches the user's own todos
 export const searchTodosInES = async (query?: string): Promise<Todo[]> => {
-  const searchQuery = query
-    ? {
-        query: {
-          wildcard: {
-            title: {
-              value: `*${query}*`,
-              case_insensitive: true,
-            },
-          },
-        },
-      }
-    : {
-        query: {
-          match_all: {},
-        },
-      };
+  const text = query?.trim();
+  const params = new URLSearchParams({ limit: '100' });
+  if (text) {
+    params.set('q', text);
+  }
+
+  const response = await apiFetch(`/es?${params}`);
 
-  const response = await fetch(`${ES_URL}/${ES_INDEX}/_search`, {
+  if (!response.ok) {
+    throw new Error('Failed to search todos in Elasticsearch');
+  }
+
+  const page: TodoPage = await response.json();
+  return page.items;
+};
+
+export const listWorkspaces = async (): Promise<Workspace[]> => {
+  const response = await apiFetch('/workspaces');
+
+  if (!response.ok) {
+    throw new Error('Failed to fetch workspaces');
+  }
+
+  const data: { items: Workspace[] } = await response.json();
+  return data.items;
+};
+
+export const createWorkspace = async (name: string): Promise<Workspace> => {
+  const response = await apiFetch('/workspaces', {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
     },
-    body: JSON.stringify({
-      ...searchQuery,
-      size: 100,
-    }),
+    body: JSON.stringify({ name }),
   });
 
   if (!response.ok) {
-    throw new Error('Failed to search todos in Elasticsearch');
+    throw new Error(await problemDetail(response, 'Failed to create workspace'));
   }
 
-  const data = await response.json();
-  return data.hits.hits.map((hit: any) => hit._source);
+  return response.json();
 };
-